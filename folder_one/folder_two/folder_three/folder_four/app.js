@@ -13,21 +13,36 @@
  * - Input validation ready - validateRequest imported for route-level validation
  * 
  * Middleware Execution Order (security-first):
- * 1. Rate Limiter - Blocks excessive requests before processing
- * 2. Helmet - Sets security response headers
- * 3. CORS - Validates cross-origin requests
- * 4. Body Parser - Parses JSON/URL-encoded bodies with size limits
- * 5. Routes - Application endpoints with validation as needed
- * 6. 404 Handler - Catches unknown routes
- * 7. Error Handler - Global error handling
+ * 1. Request ID - Assigns the X-Request-Id used in logs and error bodies
+ * 2. Access Log - One line per request (ACCESS_LOG_ENABLED only)
+ * 3. Request Metrics - Counts and times every request (METRICS_ENABLED only)
+ * 4. Configuration Pin - Pins the reloadable middleware set for the request
+ * 5. Rate Limiter - Blocks excessive requests before processing
+ *    (ACME HTTP-01 challenges are answered right after it when ACME_ENABLED
+ *    is set, then the HTTPS redirect applies when HTTPS_REDIRECT is set)
+ * 6. Helmet - Sets security response headers
+ * 7. CORS - Validates cross-origin requests
+ * 8. Body Parser - Parses JSON/URL-encoded bodies with size limits
+ * 9. Client Certificate - Exposes the mTLS peer identity on req.clientCertificate
+ * 10. Routes - Application endpoints with validation as needed
+ * 11. 404 Handler - Catches unknown routes
+ * 12. Error Handler - Global error handling
+ * 
+ * The rate limiter, helmet and CORS middleware are reloadable: a
+ * configuration reload (see config/reload.js) swaps them without a restart.
  * 
  * @module app
  * @requires express
- * @requires helmet
- * @requires cors
- * @requires ./config/security
- * @requires ./middleware/rateLimiter
+ * @requires ./config/reload
+ * @requires ./middleware/requestId
+ * @requires ./middleware/accessLog
  * @requires ./middleware/validation
+ * @requires ./middleware/clientCertificate
+ * @requires ./config/acme
+ * @requires ./config/certificateMonitor
+ * @requires ./config/healthChecks
+ * @requires ./config/metrics
+ * @requires ./config/logger
  */
 
 'use strict';
@@ -41,37 +56,33 @@
  * Provides middleware architecture, routing, and HTTP utility methods
  * @see https://expressjs.com/
  */
+const http = require('http');
 const express = require('express');
 
-/**
- * Helmet.js security middleware
- * Sets 15+ HTTP security headers to protect against common web vulnerabilities
- * @see https://helmetjs.github.io/
- */
-const helmet = require('helmet');
-
-/**
- * CORS (Cross-Origin Resource Sharing) middleware
- * Configures cross-origin access control with whitelist-based policies
- * @see https://www.npmjs.com/package/cors
- */
-const cors = require('cors');
-
 // =============================================================================
 // INTERNAL IMPORTS
 // =============================================================================
 
 /**
- * Security configuration module
- * Provides helmet options and CORS whitelist configuration
+ * Reloadable security middleware
+ * Rate limiter, helmet and CORS built from config/security.js and
+ * middleware/rateLimiter.js, swapped as a set on configuration reloads
+ */
+const { pinConfiguration, reloadable } = require('./config/reload');
+
+/**
+ * Request ID middleware
+ * Assigns each request the ID returned in X-Request-Id, written with its
+ * log records and included in error bodies
  */
-const { securityConfig, corsOptions } = require('./config/security');
+const { requestId } = require('./middleware/requestId');
 
 /**
- * Rate limiting middleware
- * IP-based rate limiting with configurable thresholds
+ * Access log middleware
+ * Writes one Common, Combined or JSON line per request to stdout or a
+ * rotating file
  */
-const { rateLimiter } = require('./middleware/rateLimiter');
+const { createAccessLog, isAccessLogEnabled } = require('./middleware/accessLog');
 
 /**
  * Input validation middleware factory
@@ -80,6 +91,84 @@ const { rateLimiter } = require('./middleware/rateLimiter');
  */
 const { validateRequest } = require('./middleware/validation');
 
+/**
+ * Client certificate middleware
+ * Exposes the verified mTLS peer identity for route-level authorization
+ * (use requireClientCertificate() on routes that need it)
+ */
+const { clientCertificate } = require('./middleware/clientCertificate');
+
+/**
+ * HTTP-to-HTTPS redirect middleware
+ * Redirects plain HTTP requests to the HTTPS listener in redirect mode
+ */
+const { createHttpsRedirect, isHttpsRedirectEnabled } = require('./middleware/httpsRedirect');
+
+/**
+ * ACME HTTP-01 challenge responder
+ * Answers certificate authority validation requests during issuance/renewal
+ */
+const { isAcmeEnabled, acmeChallengeHandler } = require('./config/acme');
+
+/**
+ * Certificate monitoring
+ * Provides the remaining validity of served TLS certificates for /health
+ */
+const { getCertificateStatus } = require('./config/certificateMonitor');
+
+/**
+ * TLS session resumption statistics
+ * Reports resumed (hit) and full (miss) handshakes of the HTTPS server for /health
+ */
+const { getSessionResumptionStats } = require('./config/sessionTickets');
+
+/**
+ * Slow-client protection counters
+ * Reports timed-out and rejected connections for /health
+ */
+const { getServerLimitStats } = require('./config/serverLimits');
+
+/**
+ * PROXY protocol header counters
+ * Reports accepted and rejected load balancer headers for /health
+ */
+const { getProxyProtocolStats } = require('./config/proxyProtocol');
+
+/**
+ * Request protocol description (HTTP/1.1 or HTTP/2.0) for request logs
+ */
+const { getRequestProtocol } = require('./config/http2');
+
+/**
+ * Shutdown state
+ * /health reports not-ready (503) while the server drains connections
+ */
+const { isDraining } = require('./config/shutdown');
+
+/**
+ * Readiness check registry
+ * /readyz runs the registered dependency checks (see config/healthChecks.js)
+ */
+const { getReadiness } = require('./config/healthChecks');
+
+/**
+ * Prometheus metrics
+ * Request counts and latency, served with the other counters on /metrics
+ */
+const { isMetricsEnabled, requestMetrics, metricsHandler } = require('./config/metrics');
+
+/**
+ * Typed settings (TRUST_PROXY, NODE_ENV), validated at startup
+ */
+const { getSettings } = require('./config/settings');
+
+/**
+ * Structured logger for the error handler
+ */
+const { createLogger } = require('./config/logger');
+
+const log = createLogger('app');
+
 // =============================================================================
 // APPLICATION INITIALIZATION
 // =============================================================================
@@ -110,7 +199,7 @@ const app = express();
  * - 1: Trust first proxy
  * - 'loopback': Trust loopback addresses
  */
-if (process.env.TRUST_PROXY === 'true') {
+if (getSettings().TRUST_PROXY) {
   app.set('trust proxy', 1);
 }
 
@@ -119,24 +208,108 @@ if (process.env.TRUST_PROXY === 'true') {
 // =============================================================================
 
 /**
- * 1. RATE LIMITER - First Line of Defense
+ * 1. REQUEST ID - Log Correlation
  * 
- * Applied first to block excessive requests before any other processing.
- * This protects all subsequent middleware from abuse.
+ * Mounted first so that every response, including 429s from the rate
+ * limiter, carries the X-Request-Id header and every log record written
+ * for the request carries the same ID. A client reporting an error can
+ * quote the ID from the header or the error body.
+ * 
+ * An incoming X-Request-Id is only kept from REQUEST_ID_TRUSTED addresses
+ * (see middleware/requestId.js).
+ */
+app.use(requestId);
+
+/**
+ * 2. ACCESS LOG - One Line per Request
+ * 
+ * Mounted right after the request ID so that every line carries it, and
+ * ahead of the security middleware so that rate-limited and redirected
+ * requests are logged too. Only mounted when ACCESS_LOG_ENABLED is 'true';
+ * health probes and /metrics are excluded by default
+ * (ACCESS_LOG_EXCLUDE_PATHS, see middleware/accessLog.js).
+ */
+if (isAccessLogEnabled()) {
+  app.use(createAccessLog());
+}
+
+/**
+ * 3. REQUEST METRICS - Counts and Latency
+ * 
+ * Mounted ahead of the security middleware so that requests rejected by the
+ * rate limiter, the HTTPS redirect or CORS are counted too. Only mounted when
+ * METRICS_ENABLED is 'true' (see config/metrics.js).
+ */
+if (isMetricsEnabled()) {
+  app.use(requestMetrics);
+}
+
+/**
+ * 4. CONFIGURATION PIN - Consistent Reloads
+ * 
+ * The rate limiter, helmet and CORS below can be replaced at runtime by a
+ * configuration reload (SIGHUP, see config/reload.js). Each request is
+ * pinned to the middleware set active when it arrives, so a reload in the
+ * middle of a request does not mix old and new policies.
+ */
+app.use(pinConfiguration);
+
+/**
+ * 5. RATE LIMITER - First Line of Defense
+ * 
+ * Applied ahead of the security headers, CORS and body parsing to block
+ * excessive requests before any further processing. This protects all
+ * subsequent middleware from abuse.
  * 
  * Default configuration:
  * - 15-minute window
  * - 100 requests per IP per window
  * - Returns 429 Too Many Requests when exceeded
+ * - /health, /livez, /readyz and /metrics are not limited, so frequent
+ *   probes and scrapes never fail with 429
  * 
  * Configuration via environment variables:
  * - RATE_LIMIT_WINDOW_MS: Time window in milliseconds
  * - RATE_LIMIT_MAX: Maximum requests per window
+ * 
+ * Both are applied on configuration reloads (counters restart).
+ */
+app.use(reloadable('rateLimiter'));
+
+/**
+ * ACME HTTP-01 Challenge Responder
+ * 
+ * When automatic certificate management is enabled (ACME_ENABLED=true), the
+ * certificate authority validates domain control by requesting
+ * /.well-known/acme-challenge/<token> over plain HTTP. Answered before the
+ * remaining middleware so the plain-text response is not affected by CORS
+ * or body parsing. Unknown tokens fall through to the 404 handler.
+ * 
+ * @see module:config/acme
+ */
+if (isAcmeEnabled()) {
+  app.use(acmeChallengeHandler);
+}
+
+/**
+ * HTTP-to-HTTPS Redirect
+ * 
+ * In redirect mode (ENABLE_HTTPS=true and HTTPS_REDIRECT=true), requests that
+ * did not arrive over TLS are redirected to the HTTPS listener with their
+ * method and path intact, so the HTTP port no longer serves the application
+ * and the HSTS policy cannot be bypassed. ACME challenges and health probes
+ * are still answered over HTTP. With TRUST_PROXY=true, X-Forwarded-Proto
+ * decides whether a request is secure, so a TLS-terminating proxy does not
+ * cause redirect loops.
+ * 
+ * @see module:middleware/httpsRedirect
  */
-app.use(rateLimiter);
+if (isHttpsRedirectEnabled()) {
+  app.use(createHttpsRedirect());
+}
 
 /**
- * 2. HELMET - HTTP Security Headers
+ * 6. HELMET - HTTP Security Headers
  * 
  * Helmet sets various HTTP headers to secure the application:
  * - Content-Security-Policy: Prevents XSS by controlling resource sources
@@ -149,12 +322,13 @@ app.use(rateLimiter);
  * - Cross-Origin-Opener-Policy: Isolates browsing context
  * - Cross-Origin-Resource-Policy: Protects against speculative attacks
  * 
- * Configuration is loaded from config/security.js (securityConfig.helmet)
+ * Configuration is loaded from config/security.js (securityConfig.helmet),
+ * with HELMET_OPTIONS merged over it; reloads apply HELMET_OPTIONS changes.
  */
-app.use(helmet(securityConfig.helmet));
+app.use(reloadable('helmet'));
 
 /**
- * 3. CORS - Cross-Origin Resource Sharing
+ * 7. CORS - Cross-Origin Resource Sharing
  * 
  * Controls which origins can access this API.
  * Configuration includes:
@@ -164,12 +338,13 @@ app.use(helmet(securityConfig.helmet));
  * - Credentials support (cookies, auth headers)
  * - Preflight cache duration (24 hours)
  * 
- * Configuration is loaded from config/security.js (corsOptions)
+ * Configuration is loaded from config/security.js (corsOptions);
+ * reloads apply changes to ALLOWED_ORIGINS and the CORS_* settings.
  */
-app.use(cors(corsOptions));
+app.use(reloadable('cors'));
 
 /**
- * 4. BODY PARSING - Request Body Processing
+ * 8. BODY PARSING - Request Body Processing
  * 
  * Parses incoming request bodies with security-conscious limits:
  * 
@@ -187,6 +362,19 @@ app.use(cors(corsOptions));
 app.use(express.json({ limit: '10kb' }));
 app.use(express.urlencoded({ extended: true, limit: '10kb' }));
 
+/**
+ * 9. CLIENT CERTIFICATE - Mutual TLS Peer Identity
+ * 
+ * Attaches the client certificate presented on HTTPS connections to
+ * req.clientCertificate (subject CN, SANs, SHA-256 fingerprint, trust status).
+ * Does not reject requests by itself; routes that require a trusted client
+ * certificate use requireClientCertificate() from middleware/clientCertificate.
+ * 
+ * Certificates are only requested when SSL_CLIENT_AUTH is enabled
+ * (see config/https.js).
+ */
+app.use(clientCertificate);
+
 // =============================================================================
 // ROUTES
 // =============================================================================
@@ -238,11 +426,28 @@ app.get('/', (req, res) => {
  * Dedicated health check endpoint for monitoring systems, load balancers,
  * and container orchestration platforms (Kubernetes, Docker Swarm).
  * 
- * Returns JSON with application status information.
+ * Returns JSON with application status information. When the HTTPS server
+ * is running, the served certificates and their remaining validity are
+ * included so monitoring can alert before a certificate expires
+ * (status: 'ok', 'expiring' within the largest SSL_EXPIRY_WARN_DAYS
+ * threshold, or 'expired'). Once TLS handshakes have taken place, session
+ * resumption hits and misses are included as well, showing whether shared
+ * session ticket keys (SSL_TICKET_KEYS_PATH) work across instances.
+ * Connections closed by the slow-client limits (timeouts, per-IP cap) are
+ * included once the first one occurs, and so are PROXY protocol headers
+ * from TCP load balancers (PROXY_PROTOCOL=true).
+ * 
+ * Once graceful shutdown has started, the endpoint answers 503 with status
+ * 'draining', so load balancers take the instance out of rotation while
+ * in-flight requests finish (see config/shutdown.js).
+ * 
+ * Probes should prefer /livez and /readyz below: this endpoint reports
+ * statistics and runs no dependency checks.
  * 
  * @route GET /health
  * @returns {Object} Health status object
  * @status 200 - Application is healthy
+ * @status 503 - Application is shutting down
  * 
  * @example
  * // Request
@@ -252,17 +457,167 @@ app.get('/', (req, res) => {
  * {
  *   "status": "healthy",
  *   "timestamp": "2024-01-15T10:30:00.000Z",
- *   "uptime": 3600
+ *   "uptime": 3600,
+ *   "certificates": [
+ *     {
+ *       "name": "default",
+ *       "subject": "CN=example.com",
+ *       "notAfter": "2024-03-01T12:00:00.000Z",
+ *       "daysRemaining": 45,
+ *       "status": "ok",
+ *       "chainComplete": true
+ *     }
+ *   ],
+ *   "tlsSessions": {
+ *     "hits": 812,
+ *     "misses": 95,
+ *     "hitRatio": 0.895,
+ *     "sharedTicketKeys": true
+ *   },
+ *   "serverLimits": {
+ *     "headersTimeouts": 14,
+ *     "requestTimeouts": 2,
+ *     "idleTimeouts": 0,
+ *     "tlsHandshakeTimeouts": 3,
+ *     "rejectedConnections": 40
+ *   },
+ *   "proxyProtocol": {
+ *     "accepted": 15230,
+ *     "local": 120,
+ *     "malformed": 0,
+ *     "timeouts": 1
+ *   }
  * }
  */
 app.get('/health', (req, res) => {
-  res.status(200).json({
-    status: 'healthy',
+  const draining = isDraining();
+  const health = {
+    status: draining ? 'draining' : 'healthy',
     timestamp: new Date().toISOString(),
     uptime: process.uptime()
-  });
+  };
+
+  const certificates = getCertificateStatus();
+
+  if (certificates.length > 0) {
+    health.certificates = certificates;
+  }
+
+  const tlsSessions = getSessionResumptionStats();
+
+  if (tlsSessions.hits + tlsSessions.misses > 0) {
+    health.tlsSessions = tlsSessions;
+  }
+
+  const serverLimits = getServerLimitStats();
+
+  if (Object.values(serverLimits).some((count) => count > 0)) {
+    health.serverLimits = serverLimits;
+  }
+
+  const proxyProtocol = getProxyProtocolStats();
+
+  if (Object.values(proxyProtocol).some((count) => count > 0)) {
+    health.proxyProtocol = proxyProtocol;
+  }
+
+  res.status(draining ? 503 : 200).json(health);
+});
+
+/**
+ * Liveness Probe
+ * 
+ * GET /livez
+ * 
+ * Answers 200 as long as the process can serve requests at all. Runs no
+ * dependency checks and stays 200 during graceful shutdown, so an
+ * orchestrator never restarts the process because a database is down or
+ * because it is draining.
+ * 
+ * @route GET /livez
+ * @returns {Object} `{ status: 'alive', uptime }`
+ * @status 200 - Process is alive
+ * 
+ * @example
+ * curl http://localhost:3000/livez
+ * // {"status":"alive","uptime":3600.12}
+ */
+app.get('/livez', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.status(200).json({ status: 'alive', uptime: process.uptime() });
+});
+
+/**
+ * Readiness Probe
+ * 
+ * GET /readyz
+ * 
+ * Runs the checks registered with registerHealthCheck() (see
+ * config/healthChecks.js) and answers 503 while a critical one fails or
+ * graceful shutdown is in progress. Each check is reported with its status,
+ * duration and details or error. Results are cached for
+ * HEALTH_CHECK_CACHE_MS, so probes do not load the dependencies.
+ * 
+ * @route GET /readyz
+ * @returns {Object} `{ status, checks }`, status being 'ready', 'degraded'
+ *   (only non-critical checks fail), 'not ready' or 'draining'
+ * @status 200 - Ready (including degraded)
+ * @status 503 - Not ready or draining
+ * 
+ * @example
+ * curl http://localhost:3000/readyz
+ * // {
+ * //   "status": "not ready",
+ * //   "checks": {
+ * //     "disk": { "status": "pass", "critical": true, "details": { "freeMb": 20480, "minFreeMb": 100 },
+ * //               "durationMs": 1, "checkedAt": "2024-01-15T10:30:00.000Z" },
+ * //     "database": { "status": "fail", "critical": true, "error": "timed out after 2000 ms",
+ * //                   "durationMs": 2001, "checkedAt": "2024-01-15T10:30:00.000Z" }
+ * //   }
+ * // }
+ */
+app.get('/readyz', (req, res, next) => {
+  getReadiness()
+    .then(({ ready, status, checks }) => {
+      res.set('Cache-Control', 'no-store');
+      res.status(ready ? 200 : 503).json({ status, checks });
+    })
+    .catch(next);
 });
 
+/**
+ * Metrics Endpoint
+ * 
+ * GET /metrics
+ * 
+ * Serves the metrics of config/metrics.js in the Prometheus text format:
+ * request counts and latency by route and status, 429s per rate limiter,
+ * CORS rejections, validation failures, TLS client errors, and process
+ * statistics (event loop lag, heap, open handles). In cluster mode the
+ * metrics of all workers are summed.
+ * 
+ * Only registered when METRICS_ENABLED is 'true'. Clients outside
+ * METRICS_ALLOWED get 403; when METRICS_TOKEN is set, requests without
+ * `Authorization: Bearer <token>` get 401. Scrapes are not rate limited.
+ * 
+ * @route GET /metrics
+ * @returns {string} Metrics in the Prometheus text format
+ * @status 200 - Metrics
+ * @status 401 - Missing or wrong bearer token
+ * @status 403 - Client address not in METRICS_ALLOWED
+ * @status 503 - Cluster metrics could not be collected
+ * 
+ * @example
+ * curl -H "Authorization: Bearer $METRICS_TOKEN" http://localhost:3000/metrics
+ * // # HELP http_requests_total HTTP requests by method, route and status
+ * // # TYPE http_requests_total counter
+ * // http_requests_total{method="GET",route="/",status="200"} 1027
+ * // ...
+ */
+if (isMetricsEnabled()) {
+  app.get('/metrics', metricsHandler);
+}
+
 // =============================================================================
 // ERROR HANDLING MIDDLEWARE
 // =============================================================================
@@ -289,7 +644,8 @@ app.get('/health', (req, res) => {
  *   "status": 404,
  *   "error": "Not Found",
  *   "message": "The requested resource could not be found",
- *   "path": "/nonexistent"
+ *   "path": "/nonexistent",
+ *   "requestId": "9b2c7f0e-4d1a-4f6e-9c3b-2a8d5e7f1c04"
  * }
  */
 app.use((req, res, next) => {
@@ -297,7 +653,8 @@ app.use((req, res, next) => {
     status: 404,
     error: 'Not Found',
     message: 'The requested resource could not be found',
-    path: req.originalUrl
+    path: req.originalUrl,
+    requestId: req.id
   });
 });
 
@@ -307,8 +664,14 @@ app.use((req, res, next) => {
  * Catches all errors thrown in route handlers or middleware.
  * Returns a standardized JSON error response.
  * 
- * In development mode, includes the error stack trace for debugging.
- * In production mode, hides sensitive error details.
+ * In development mode, includes the error stack trace of server errors (5xx)
+ * for debugging. In production mode, hides sensitive error details.
+ * Client errors (4xx), such as a missing client certificate, are answered
+ * with their standard status text and message only.
+ * 
+ * Every response includes the request ID, which is also written with the
+ * log record of the error, so a reported error can be traced to its log
+ * line.
  * 
  * Security Note: Never expose stack traces or internal error details
  * in production as they may reveal sensitive application information.
@@ -327,6 +690,7 @@ app.use((req, res, next) => {
  *   "status": 500,
  *   "error": "Internal Server Error",
  *   "message": "Something went wrong",
+ *   "requestId": "9b2c7f0e-4d1a-4f6e-9c3b-2a8d5e7f1c04",
  *   "stack": "Error: Something went wrong\n    at ..."
  * }
  * 
@@ -334,32 +698,46 @@ app.use((req, res, next) => {
  * {
  *   "status": 500,
  *   "error": "Internal Server Error",
- *   "message": "An unexpected error occurred"
+ *   "message": "An unexpected error occurred",
+ *   "requestId": "9b2c7f0e-4d1a-4f6e-9c3b-2a8d5e7f1c04"
  * }
  */
 app.use((err, req, res, next) => {
-  // Log the error for monitoring and debugging purposes
-  // In production, this should be connected to a logging service
-  console.error(`[Error] ${err.message}`);
-  console.error(err.stack);
-
   // Determine the status code (use error's status or default to 500)
   const statusCode = err.status || err.statusCode || 500;
+
+  // Log the error for monitoring and debugging purposes
+  const request = {
+    status: statusCode,
+    method: req.method,
+    path: req.originalUrl,
+    protocol: getRequestProtocol(req)
+  };
+
+  // Client errors are expected conditions and do not need a stack trace.
+  // Server errors include the request headers; credentials in them
+  // (Authorization, Cookie) are redacted by the logger.
+  if (statusCode < 500) {
+    log.warn('Request failed', { ...request, error: err.message });
+  } else {
+    log.error('Request failed', { ...request, err, headers: req.headers });
+  }
   
   // Determine if we're in production environment
-  const isProduction = process.env.NODE_ENV === 'production';
+  const isProduction = getSettings().NODE_ENV === 'production';
   
   // Build error response
   const errorResponse = {
     status: statusCode,
-    error: statusCode === 500 ? 'Internal Server Error' : 'Error',
+    error: http.STATUS_CODES[statusCode] || 'Error',
     message: isProduction && statusCode === 500 
       ? 'An unexpected error occurred' 
-      : err.message || 'An unexpected error occurred'
+      : err.message || 'An unexpected error occurred',
+    requestId: req.id
   };
   
-  // Include stack trace only in development for debugging
-  if (!isProduction && err.stack) {
+  // Include stack trace only in development for debugging server errors
+  if (!isProduction && statusCode >= 500 && err.stack) {
     errorResponse.stack = err.stack;
   }
   
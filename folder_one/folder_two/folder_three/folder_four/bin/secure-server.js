@@ -0,0 +1,533 @@
+#!/usr/bin/env node
+/**
+ * Command-Line Interface
+ *
+ * Operates the server from the shell:
+ *
+ *   secure-server start [options]            Start the server (or the cluster supervisor)
+ *   secure-server check-config [options]     Validate the configuration without starting
+ *   secure-server show-config [options]      Show every setting and where its value came from
+ *   secure-server gen-certs [options]        Create a self-signed development certificate
+ *   secure-server inspect-headers [options]  Show the security headers and CORS policy
+ *
+ * start, check-config, show-config and inspect-headers accept the same setting overrides
+ * (--port, --https, --env, --set NAME=VALUE, ...). Overrides take precedence
+ * over the environment and .env, and go through the same validation as any
+ * other setting (see config/settings.js), so
+ * `secure-server check-config --env production` shows what a production
+ * start would refuse.
+ *
+ * Installed as `secure-server` through the package.json "bin" field; inside
+ * the project, run it with `npx secure-server` or the npm scripts.
+ *
+ * @module bin/secure-server
+ * @requires dotenv
+ * @see module:server
+ * @see module:config/settings
+ */
+
+'use strict';
+
+const http = require('http');
+const path = require('path');
+
+// =============================================================================
+// ARGUMENT PARSING
+// =============================================================================
+
+/**
+ * Setting overrides shared by start, check-config and inspect-headers
+ * @constant {Object<string, string>}
+ */
+const OVERRIDE_FLAGS = {
+  port: 'string',
+  'https-port': 'string',
+  https: 'boolean',
+  'no-https': 'boolean',
+  http2: 'boolean',
+  env: 'string',
+  set: 'list'
+};
+
+/**
+ * Flags accepted by each command ('string', 'boolean' or repeatable 'list')
+ * @constant {Object<string, Object<string, string>>}
+ */
+const COMMAND_FLAGS = {
+  start: { ...OVERRIDE_FLAGS, cluster: 'boolean', workers: 'string' },
+  'check-config': { ...OVERRIDE_FLAGS },
+  'show-config': { ...OVERRIDE_FLAGS, changed: 'boolean' },
+  'gen-certs': { out: 'string', host: 'list', days: 'string', 'key-type': 'string', force: 'boolean' },
+  'inspect-headers': { ...OVERRIDE_FLAGS, path: 'string', origin: 'string' }
+};
+
+/**
+ * Usage text
+ * @constant {string}
+ */
+const USAGE = `Usage: secure-server <command> [options]
+
+Commands:
+  start              Start the server
+  check-config       Validate the configuration without starting the server
+  show-config        Show every setting and the source of its value
+  gen-certs          Create a self-signed development certificate (no openssl needed)
+  inspect-headers    Print the security headers and CORS policy the app sends
+  help               Show this help
+
+Setting overrides (start, check-config, show-config, inspect-headers):
+  --port <value>         PORT (port, unix socket path, fd:N or systemd[:name])
+  --https-port <value>   HTTPS_PORT
+  --https, --no-https    ENABLE_HTTPS=true / false
+  --http2                ENABLE_HTTP2=true
+  --env <name>           NODE_ENV (e.g. production, to check production rules)
+  --set NAME=VALUE       Any other setting; repeatable
+
+start:
+  --cluster              Run the cluster supervisor (cluster.js)
+  --workers <n>          CLUSTER_WORKERS (implies --cluster)
+
+show-config:
+  --changed              Only show settings that differ from the built-in defaults
+
+gen-certs:
+  --out <dir>            Output directory (default: ./certs)
+  --host <name>          Host name or IP address; repeatable or comma-separated
+                         (default: localhost, 127.0.0.1, ::1)
+  --days <n>             Validity in days (default: 365)
+  --key-type <type>      ec (P-256, default) or rsa (2048 bit)
+  --force                Replace existing server.key/server.cert
+
+inspect-headers:
+  --path <path>          Request path (default: /)
+  --origin <origin>      Origin sent with the request (default: first allowed origin)`;
+
+/**
+ * Parses command flags.
+ *
+ * Accepts `--name value` and `--name=value`; 'list' flags may be repeated.
+ *
+ * @param {string[]} args - Arguments after the command name
+ * @param {Object<string, string>} spec - Accepted flags and their kinds
+ * @returns {Object} Flag values keyed by flag name
+ * @throws {Error} On unknown flags, missing values or positional arguments
+ */
+function parseFlags(args, spec) {
+  const flags = {};
+
+  for (let index = 0; index < args.length; index++) {
+    const arg = args[index];
+
+    if (!arg.startsWith('--')) {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+
+    const separator = arg.indexOf('=');
+    const name = separator === -1 ? arg.slice(2) : arg.slice(2, separator);
+    const kind = spec[name];
+
+    if (!kind) {
+      throw new Error(`Unknown option: --${name}`);
+    }
+
+    if (kind === 'boolean') {
+      if (separator !== -1) {
+        throw new Error(`Option --${name} does not take a value`);
+      }
+
+      flags[name] = true;
+      continue;
+    }
+
+    const value = separator === -1 ? args[++index] : arg.slice(separator + 1);
+
+    if (value === undefined || (separator === -1 && value.startsWith('--'))) {
+      throw new Error(`Option --${name} requires a value`);
+    }
+
+    if (kind === 'list') {
+      flags[name] = [...(flags[name] || []), value];
+    } else {
+      flags[name] = value;
+    }
+  }
+
+  return flags;
+}
+
+/**
+ * Applies setting overrides to process.env.
+ *
+ * Must run before the application modules are loaded, since some of them
+ * read their settings at load time.
+ *
+ * @param {Object} flags - Parsed flags
+ * @returns {string[]} Names of the overridden settings
+ * @throws {Error} When --set names an unknown setting or has no '='
+ */
+function applyOverrides(flags) {
+  const { SETTINGS } = require('../config/settings');
+
+  if (flags.https && flags['no-https']) {
+    throw new Error('--https and --no-https cannot be combined');
+  }
+
+  const overrides = {
+    PORT: flags.port,
+    HTTPS_PORT: flags['https-port'],
+    ENABLE_HTTPS: flags.https ? 'true' : (flags['no-https'] ? 'false' : undefined),
+    ENABLE_HTTP2: flags.http2 ? 'true' : undefined,
+    NODE_ENV: flags.env,
+    CLUSTER_WORKERS: flags.workers
+  };
+
+  (flags.set || []).forEach((assignment) => {
+    const separator = assignment.indexOf('=');
+    const name = assignment.slice(0, separator);
+
+    if (separator === -1 || !SETTINGS[name]) {
+      throw new Error(
+        separator === -1
+          ? `--set expects NAME=VALUE, got '${assignment}'`
+          : `--set: unknown setting ${name}`
+      );
+    }
+
+    overrides[name] = assignment.slice(separator + 1);
+  });
+
+  const names = Object.keys(overrides).filter((name) => overrides[name] !== undefined);
+
+  names.forEach((name) => {
+    process.env[name] = overrides[name];
+  });
+
+  // .env never overrides variables that are already set
+  require('dotenv').config();
+
+  return names;
+}
+
+// =============================================================================
+// COMMANDS
+// =============================================================================
+
+/**
+ * start: runs server.js (or cluster.js) in this process.
+ *
+ * @param {Object} flags - Parsed flags
+ */
+function start(flags) {
+  applyOverrides(flags);
+
+  if (flags.cluster || flags.workers) {
+    require('../cluster');
+  } else {
+    require('../server').main();
+  }
+}
+
+/**
+ * check-config: validates all settings and, when HTTPS is enabled with
+ * certificate files, loads and checks the certificates the server would use.
+ *
+ * @param {Object} flags - Parsed flags
+ * @returns {number} Exit code: 0 when the configuration is valid, 1 otherwise
+ */
+function checkConfig(flags) {
+  applyOverrides(flags);
+
+  const { SETTINGS, readSettings } = require('../config/settings');
+  const { settings, problems, files } = readSettings();
+
+  console.log(`Environment: ${settings.NODE_ENV}`);
+  console.log(`Settings files: ${files.join(', ') || `none in ${settings.CONFIG_DIR}`}`);
+
+  if (problems.length === 0) {
+    console.log(`✓ ${Object.keys(SETTINGS).length} settings valid`);
+  }
+
+  // Certificates are only worth loading once the settings are sound
+  if (problems.length === 0 && settings.ENABLE_HTTPS) {
+    if (settings.ACME_ENABLED) {
+      console.log('- Certificates: managed by ACME (obtained at startup)');
+    } else {
+      const { getHttpsOptions, validateCertificates } = require('../config/https');
+      const { createSniResolver } = require('../config/sni');
+
+      try {
+        const httpsOptions = getHttpsOptions();
+        const info = validateCertificates(httpsOptions);
+
+        console.log(info
+          ? `✓ Certificate: ${info.subject}, valid until ${info.notAfter} (${info.daysRemaining} days)`
+          : '✓ Certificate: PFX bundle loaded');
+
+        const sniResolver = createSniResolver(httpsOptions);
+
+        if (sniResolver) {
+          console.log(`✓ SNI certificates: ${sniResolver.hostnames().join(', ')}`);
+        }
+      } catch (error) {
+        problems.push(`Certificates: ${error.message}`);
+      }
+    }
+  }
+
+  if (problems.length > 0) {
+    console.error(`✗ ${problems.length} problem${problems.length === 1 ? '' : 's'}:`);
+    problems.forEach((problem) => console.error(`  - ${problem}`));
+    return 1;
+  }
+
+  console.log('Configuration OK');
+  return 0;
+}
+
+/**
+ * show-config: prints every effective setting with the source of its value.
+ *
+ * @param {Object} flags - Parsed flags
+ * @returns {number} Exit code: 0 when the configuration is valid, 1 otherwise
+ */
+function showConfig(flags) {
+  const commandLine = applyOverrides(flags);
+
+  const { SETTINGS, readSettings, formatSettingValue } = require('../config/settings');
+  const { settings, problems, sources, files } = readSettings();
+
+  const rows = Object.entries(SETTINGS)
+    .map(([name]) => [
+      name,
+      formatSettingValue(name, settings[name]),
+      commandLine.includes(name) ? 'command line' : sources[name]
+    ])
+    .filter(([, , source]) => !flags.changed || source !== 'default');
+
+  // Values go last: structured values such as HELMET_OPTIONS can be long
+  const widths = [0, 2].map((column) => Math.max(...rows.map((row) => row[column].length), 7));
+
+  console.log(`Environment:    ${settings.NODE_ENV}`);
+  console.log(`Settings files: ${files.join(', ') || `none in ${settings.CONFIG_DIR}`}`);
+  console.log('Precedence:     default < settings files < .env < environment < command line');
+  console.log('');
+  console.log(`${'SETTING'.padEnd(widths[0])}  ${'SOURCE'.padEnd(widths[1])}  VALUE`);
+  rows.forEach(([name, value, source]) => {
+    console.log(`${name.padEnd(widths[0])}  ${source.padEnd(widths[1])}  ${value}`);
+  });
+
+  if (problems.length > 0) {
+    console.error('');
+    console.error(`✗ ${problems.length} problem${problems.length === 1 ? '' : 's'}:`);
+    problems.forEach((problem) => console.error(`  - ${problem}`));
+    return 1;
+  }
+
+  return 0;
+}
+
+/**
+ * gen-certs: writes a self-signed development certificate.
+ *
+ * @param {Object} flags - Parsed flags
+ * @returns {number} Exit code
+ */
+function genCerts(flags) {
+  const { writeSelfSignedCertificate } = require('../config/selfSigned');
+
+  const outDir = flags.out || './certs';
+  const days = flags.days !== undefined ? Number(flags.days) : undefined;
+  const hosts = (flags.host || [])
+    .flatMap((value) => value.split(','))
+    .map((host) => host.trim())
+    .filter((host) => host.length > 0);
+
+  const certificate = writeSelfSignedCertificate({
+    keyPath: path.join(outDir, 'server.key'),
+    certPath: path.join(outDir, 'server.cert'),
+    hosts,
+    days,
+    keyType: flags['key-type'],
+    force: flags.force
+  });
+
+  console.log(`Created self-signed certificate in ${outDir}`);
+  console.log(`  Key:         ${path.join(outDir, 'server.key')} (mode 600)`);
+  console.log(`  Certificate: ${path.join(outDir, 'server.cert')}`);
+  console.log(`  Names:       ${certificate.subjectAltName}`);
+  console.log(`  Valid until: ${new Date(certificate.validTo).toISOString()}`);
+  console.log('');
+  console.log('For development only: browsers show a certificate warning.');
+  console.log('Start with HTTPS: secure-server start --https --https-port 8443');
+
+  return 0;
+}
+
+/**
+ * Sends a request to a local server and collects the response head.
+ *
+ * @param {http.Server} server - Listening server
+ * @param {Object} options - http.request() options (method, path, headers)
+ * @returns {Promise<http.IncomingMessage>} Response, body discarded
+ */
+function sendRequest(server, options) {
+  return new Promise((resolve, reject) => {
+    const request = http.request({
+      ...options,
+      host: '127.0.0.1',
+      port: server.address().port,
+      agent: false
+    }, (response) => {
+      response.resume();
+      response.on('end', () => resolve(response));
+    });
+
+    request.on('error', reject);
+    request.end();
+  });
+}
+
+/**
+ * Headers that describe the transfer or correlate the request rather than
+ * the security policy
+ * @constant {string[]}
+ */
+const TRANSFER_HEADERS = [
+  'date', 'connection', 'keep-alive', 'content-length', 'content-type', 'etag', 'transfer-encoding', 'vary',
+  'x-request-id'
+];
+
+/**
+ * inspect-headers: sends a request and a CORS preflight through the app and
+ * prints the headers it answers with.
+ *
+ * The app runs in this process on a loopback port with the current
+ * configuration; requests are plain HTTP, so HTTPS_REDIRECT=true shows the
+ * redirect response.
+ *
+ * @param {Object} flags - Parsed flags
+ * @returns {Promise<number>} Exit code
+ */
+async function inspectHeaders(flags) {
+  applyOverrides(flags);
+
+  const app = require('../app');
+  const { getCorsOptions } = require('../config/security');
+
+  const corsOptions = getCorsOptions();
+  const requestPath = flags.path || '/';
+  const origin = flags.origin || corsOptions.origin[0];
+  const server = http.createServer(app);
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  let response;
+  let preflight;
+
+  try {
+    response = await sendRequest(server, {
+      method: 'GET',
+      path: requestPath,
+      headers: origin ? { Origin: origin } : {}
+    });
+
+    if (origin) {
+      preflight = await sendRequest(server, {
+        method: 'OPTIONS',
+        path: requestPath,
+        headers: {
+          Origin: origin,
+          'Access-Control-Request-Method': 'POST',
+          'Access-Control-Request-Headers': 'Content-Type'
+        }
+      });
+    }
+  } finally {
+    server.close();
+  }
+
+  const isSecurityHeader = (name) => !TRANSFER_HEADERS.includes(name) &&
+    !name.startsWith('access-control-') && !name.startsWith('ratelimit');
+
+  console.log(`GET ${requestPath} → ${response.statusCode} ${response.statusMessage}${origin ? ` (Origin: ${origin})` : ''}`);
+  console.log('');
+  console.log('Security headers:');
+  Object.entries(response.headers)
+    .filter(([name]) => isSecurityHeader(name))
+    .forEach(([name, value]) => console.log(`  ${name}: ${value}`));
+
+  console.log('');
+  console.log('CORS policy:');
+  console.log(`  Allowed origins:  ${corsOptions.origin.join(', ') || '(none)'}`);
+  console.log(`  Methods:          ${corsOptions.methods.join(', ')}`);
+  console.log(`  Allowed headers:  ${corsOptions.allowedHeaders.join(', ')}`);
+  console.log(`  Credentials:      ${corsOptions.credentials}`);
+  console.log(`  Preflight cache:  ${corsOptions.maxAge}s`);
+
+  if (origin) {
+    const allowedOrigin = response.headers['access-control-allow-origin'];
+    console.log(`  Origin ${origin}: ${allowedOrigin ? 'allowed' : 'not allowed'}`);
+    console.log(`  Preflight:        OPTIONS → ${preflight.statusCode}` +
+      (preflight.headers['access-control-allow-origin']
+        ? `, methods: ${preflight.headers['access-control-allow-methods']}`
+        : ', origin not allowed'));
+  }
+
+  const rateLimitPolicy = response.headers['ratelimit-policy'];
+
+  if (rateLimitPolicy) {
+    console.log('');
+    console.log(`Rate limit policy: ${rateLimitPolicy}`);
+  }
+
+  return 0;
+}
+
+// =============================================================================
+// ENTRY POINT
+// =============================================================================
+
+/**
+ * Command handlers
+ * @constant {Object<string, Function>}
+ */
+const COMMANDS = {
+  start,
+  'check-config': checkConfig,
+  'show-config': showConfig,
+  'gen-certs': genCerts,
+  'inspect-headers': inspectHeaders
+};
+
+/**
+ * Runs a command and exits with its exit code (start keeps running).
+ *
+ * @param {string[]} argv - Arguments after the script name
+ */
+async function run(argv) {
+  const [command, ...args] = argv;
+
+  if (!command || command === 'help' || command === '--help' || command === '-h') {
+    console.log(USAGE);
+    return;
+  }
+
+  if (!COMMANDS[command]) {
+    console.error(`Unknown command: ${command}\n`);
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  try {
+    const exitCode = await COMMANDS[command](parseFlags(args, COMMAND_FLAGS[command]));
+
+    if (exitCode !== undefined) {
+      process.exit(exitCode);
+    }
+  } catch (error) {
+    console.error(`secure-server ${command}: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+run(process.argv.slice(2));
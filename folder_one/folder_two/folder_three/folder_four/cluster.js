@@ -0,0 +1,568 @@
+/**
+ * Cluster Supervisor Entry Point
+ *
+ * Runs the server in several worker processes so that a crash in one worker
+ * (server.js exits on uncaught exceptions) does not take down the service,
+ * and so that all CPU cores are used. The primary process only supervises:
+ * - Forks CLUSTER_WORKERS workers (default: number of CPUs), each running
+ *   server.js with the full Express security middleware stack
+ * - Restarts crashed workers with exponential backoff, so a worker that
+ *   crashes on startup does not turn into a fork loop
+ * - Performs a rolling restart on SIGHUP: workers are replaced one at a time,
+ *   and an old worker is only shut down once its replacement is listening,
+ *   so deploys do not drop traffic
+ * - Reloads CORS, helmet and rate-limit settings in all workers on SIGUSR2,
+ *   without replacing them (see config/reload.js)
+ * - Shuts all workers down gracefully on SIGTERM/SIGINT
+ * - Collects the metrics of all workers for /metrics when METRICS_ENABLED
+ *   is 'true' (see config/metrics.js)
+ * - Writes the access log lines of all workers to ACCESS_LOG_FILE, so one
+ *   process rotates it (see middleware/accessLog.js)
+ *
+ * Workers are stopped through an IPC 'shutdown' message that runs the same
+ * gracefulShutdown() as a SIGTERM sent to a single-process server.
+ *
+ * Configuration (via environment variables):
+ *   CLUSTER_WORKERS               - Number of workers (default: number of CPUs)
+ *   CLUSTER_RESTART_DELAY_MS      - Initial restart delay after a crash (default: 1000)
+ *   CLUSTER_RESTART_MAX_DELAY_MS  - Maximum restart delay (default: 30000)
+ *   CLUSTER_READY_TIMEOUT_MS      - Time a new worker gets to start listening
+ *                                   during a rolling restart (default: 30000)
+ *
+ * Usage:
+ *   node cluster.js                      # Start the supervisor
+ *   kill -HUP <primary pid>              # Rolling restart (e.g. after a deploy)
+ *   kill -USR2 <primary pid>             # Live reload of CORS, CSP and rate limits
+ *
+ * Notes:
+ * - Session tickets: workers generate their own ticket keys unless
+ *   SSL_TICKET_KEYS_PATH is set, so set it for session resumption to work
+ *   across workers (see config/sessionTickets.js).
+ * - ACME is not supported in cluster mode: HTTP-01 challenge tokens are kept
+ *   in the memory of the worker that requested the certificate, while the
+ *   CA's validation request may reach any worker.
+ * - Unix sockets work as PORT/HTTPS_PORT; stale sockets are removed by the
+ *   supervisor before forking. Inherited file descriptors (fd:N, systemd)
+ *   are not supported, since workers do not inherit them.
+ *
+ * @module cluster
+ * @requires dotenv
+ * @requires prom-client
+ * @requires ./config/shutdown
+ * @requires ./config/listenTarget
+ * @requires ./config/settings
+ * @requires ./config/logger
+ * @requires ./middleware/accessLog
+ * @see module:server
+ */
+
+'use strict';
+
+require('dotenv').config();
+
+const cluster = require('cluster');
+const os = require('os');
+const path = require('path');
+const { AggregatorRegistry } = require('prom-client');
+const { getShutdownTiming } = require('./config/shutdown');
+const { parseListenTarget, removeStaleSocket } = require('./config/listenTarget');
+const { getSettings, loadSettings, reloadSettings } = require('./config/settings');
+const { createLogger } = require('./config/logger');
+const { openAccessLogFile } = require('./middleware/accessLog');
+
+const log = createLogger('cluster');
+
+// =============================================================================
+// SUPERVISOR CONFIGURATION
+// =============================================================================
+
+/**
+ * Supervisor settings; validated by loadSettings() below before any worker
+ * is forked
+ */
+const settings = getSettings();
+
+/**
+ * Number of CPUs available to the process
+ * os.availableParallelism() requires Node.js 18.14; os.cpus() is the fallback
+ *
+ * @constant {number}
+ */
+const CPU_COUNT = typeof os.availableParallelism === 'function'
+  ? os.availableParallelism()
+  : os.cpus().length;
+
+/**
+ * Number of worker processes
+ * @constant {number}
+ */
+const WORKER_COUNT = settings.CLUSTER_WORKERS || CPU_COUNT;
+
+/**
+ * Initial delay before restarting a crashed worker; doubled for every crash
+ * in a row up to RESTART_MAX_DELAY_MS
+ * @constant {number}
+ */
+const RESTART_DELAY_MS = settings.CLUSTER_RESTART_DELAY_MS;
+
+/**
+ * Upper bound for the restart delay
+ * @constant {number}
+ */
+const RESTART_MAX_DELAY_MS = settings.CLUSTER_RESTART_MAX_DELAY_MS;
+
+/**
+ * Time a replacement worker gets to start listening during a rolling restart
+ * @constant {number}
+ */
+const READY_TIMEOUT_MS = settings.CLUSTER_READY_TIMEOUT_MS;
+
+/**
+ * A worker that ran this long before crashing resets the backoff
+ * @constant {number}
+ */
+const STABLE_UPTIME_MS = 60000;
+
+/**
+ * Time workers get to finish their graceful shutdown before the supervisor
+ * exits anyway: the workers' readiness delay and drain deadline, plus margin
+ * @constant {number}
+ */
+const SHUTDOWN_TIMEOUT_MS = (() => {
+  const { readinessDelayMs, drainTimeoutMs } = getShutdownTiming();
+  return readinessDelayMs + drainTimeoutMs + 5000;
+})();
+
+/**
+ * Number of listeners a worker opens: HTTP, plus HTTPS when enabled
+ * @constant {number}
+ */
+const EXPECTED_LISTENERS = settings.ENABLE_HTTPS ? 2 : 1;
+
+// =============================================================================
+// SUPERVISOR STATE
+// =============================================================================
+
+/**
+ * Crashes in a row without a worker reaching STABLE_UPTIME_MS
+ * @type {number}
+ */
+let consecutiveCrashes = 0;
+
+/**
+ * Set while all workers are being shut down; crashed workers are not restarted
+ * @type {boolean}
+ */
+let shuttingDown = false;
+
+/**
+ * Set while a rolling restart is in progress
+ * @type {boolean}
+ */
+let restarting = false;
+
+/**
+ * Workers that are being stopped on purpose (rolling restart or shutdown)
+ * @type {WeakSet<cluster.Worker>}
+ */
+const retiringWorkers = new WeakSet();
+
+/**
+ * Replacements forked by a rolling restart that are not listening yet; the
+ * rolling restart handles their exit instead of restarting them
+ * @type {WeakSet<cluster.Worker>}
+ */
+const pendingReplacements = new WeakSet();
+
+/**
+ * Worker whose replacement is starting; if it exits meanwhile, the
+ * replacement takes its place
+ * @type {cluster.Worker|null}
+ */
+let replacedWorker = null;
+
+/**
+ * Collects and sums the metrics of all workers; null when metrics are disabled
+ * @type {AggregatorRegistry|null}
+ */
+const aggregatorRegistry = settings.METRICS_ENABLED ? new AggregatorRegistry() : null;
+
+/**
+ * Access log file written on behalf of the workers; opened at startup when
+ * ACCESS_LOG_ENABLED and ACCESS_LOG_FILE are set
+ * @type {{write: Function, close: Function}|null}
+ */
+let accessLogFile = null;
+
+// =============================================================================
+// WORKER MANAGEMENT
+// =============================================================================
+
+/**
+ * Forks a worker running server.js.
+ *
+ * @returns {cluster.Worker} The new worker
+ */
+function forkWorker() {
+  const worker = cluster.fork();
+  worker.startedAt = Date.now();
+  worker.listeningCount = 0;
+
+  worker.on('listening', () => {
+    worker.listeningCount++;
+  });
+
+  return worker;
+}
+
+/**
+ * Waits until a worker listens on all its ports.
+ *
+ * @param {cluster.Worker} worker - Worker to wait for
+ * @returns {Promise<boolean>} True when ready, false when the worker exited first
+ */
+function waitForReady(worker) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => {
+      // HTTPS may be disabled by a certificate problem; a worker serving HTTP is usable
+      log.warn('Worker not fully listening in time', {
+        worker: worker.process.pid,
+        timeoutMs: READY_TIMEOUT_MS,
+        listeners: worker.listeningCount,
+        expectedListeners: EXPECTED_LISTENERS
+      });
+      cleanup();
+      resolve(worker.listeningCount > 0);
+    }, READY_TIMEOUT_MS);
+
+    const onListening = () => {
+      if (worker.listeningCount >= EXPECTED_LISTENERS) {
+        cleanup();
+        resolve(true);
+      }
+    };
+
+    const onExit = () => {
+      cleanup();
+      resolve(false);
+    };
+
+    const cleanup = () => {
+      clearTimeout(timer);
+      worker.removeListener('listening', onListening);
+      worker.removeListener('exit', onExit);
+    };
+
+    worker.on('listening', onListening);
+    worker.once('exit', onExit);
+    onListening();
+  });
+}
+
+/**
+ * Asks a worker to shut down gracefully and waits for it to exit.
+ *
+ * @param {cluster.Worker} worker - Worker to stop
+ * @returns {Promise<void>} Resolves when the worker has exited
+ */
+function stopWorker(worker) {
+  return new Promise((resolve) => {
+    if (worker.isDead()) {
+      return resolve();
+    }
+
+    retiringWorkers.add(worker);
+    worker.once('exit', () => resolve());
+    worker.send({ type: 'shutdown' });
+  });
+}
+
+/**
+ * Restarts all workers one at a time.
+ *
+ * Each replacement must be listening before the worker it replaces is shut
+ * down. If a replacement crashes or is not listening in time, the rolling
+ * restart stops (a replacement still running is terminated) and the
+ * remaining old workers keep serving. An invalid configuration cancels the
+ * restart before any worker is replaced.
+ *
+ * The number of workers stays at WORKER_COUNT: replacements are not
+ * restarted by onWorkerExit() while starting, old workers that crashed
+ * (and were restarted) before their turn are skipped, and an old worker
+ * that crashes while its replacement starts is not restarted unless the
+ * replacement fails.
+ */
+async function rollingRestart() {
+  if (restarting || shuttingDown) {
+    log.warn('Restart already in progress, ignoring SIGHUP');
+    return;
+  }
+
+  // Replacements inherit this process's environment, including .env values,
+  // which is only updated when the configuration is valid. The supervisor
+  // keeps its own settings (names: []).
+  const { problems } = reloadSettings({ names: [] });
+
+  if (problems.length > 0) {
+    log.error('Configuration rejected, rolling restart cancelled, workers keep running', { problems });
+    return;
+  }
+
+  restarting = true;
+
+  const oldWorkers = Object.values(cluster.workers).filter((worker) => !retiringWorkers.has(worker));
+  log.info('Rolling restart started', { workers: oldWorkers.length });
+
+  for (const oldWorker of oldWorkers) {
+    if (shuttingDown) {
+      break;
+    }
+
+    // Already restarted by onWorkerExit() with the new configuration
+    if (oldWorker.isDead()) {
+      continue;
+    }
+
+    const replacement = forkWorker();
+    pendingReplacements.add(replacement);
+    replacedWorker = oldWorker;
+
+    const ready = await waitForReady(replacement);
+    pendingReplacements.delete(replacement);
+    replacedWorker = null;
+
+    if (!ready) {
+      log.error('Replacement worker failed to start; rolling restart aborted, remaining workers keep running', {
+        worker: replacement.process.pid
+      });
+
+      // A replacement that is not listening has no requests to drain and may
+      // not handle a shutdown request yet; retired first, so that its exit
+      // does not trigger a restart
+      if (!replacement.isDead()) {
+        retiringWorkers.add(replacement);
+        replacement.process.kill('SIGTERM');
+      }
+
+      // The old worker it was to replace crashed meanwhile
+      if (oldWorker.isDead() && !shuttingDown) {
+        restartWorker(oldWorker, oldWorker.process.exitCode, oldWorker.process.signalCode);
+      }
+
+      restarting = false;
+      return;
+    }
+
+    await stopWorker(oldWorker);
+    log.info('Worker replaced', { worker: oldWorker.process.pid, replacement: replacement.process.pid });
+  }
+
+  restarting = false;
+  log.info('Rolling restart complete');
+}
+
+/**
+ * Asks every worker to reload its configuration (see config/reload.js).
+ *
+ * The configuration is validated here first, so an invalid one is reported
+ * once rather than by every worker; the workers then keep their current
+ * configuration. Workers forked later read the configuration at startup.
+ */
+function reloadWorkers() {
+  if (shuttingDown) {
+    return;
+  }
+
+  // Applies .env only when valid, so workers forked later get the current
+  // configuration; the supervisor keeps its own settings (names: [])
+  const { problems } = reloadSettings({ names: [] });
+
+  if (problems.length > 0) {
+    log.error('Configuration rejected, workers keep the current configuration', { problems });
+    return;
+  }
+
+  const workers = Object.values(cluster.workers)
+    .filter((worker) => !retiringWorkers.has(worker) && worker.isConnected());
+
+  log.info('Reloading configuration in workers', { workers: workers.length });
+  workers.forEach((worker) => worker.send({ type: 'reload' }));
+}
+
+/**
+ * Handles IPC messages from workers: writes their access log lines and
+ * answers requests for the metrics of the whole cluster, which a worker
+ * serves on /metrics (see config/metrics.js).
+ *
+ * @param {cluster.Worker} worker - Worker that sent the message
+ * @param {Object} message - IPC message from the worker
+ */
+function onWorkerMessage(worker, message) {
+  if (message && message.type === 'accessLog' && accessLogFile) {
+    accessLogFile.write(message.line);
+    return;
+  }
+
+  if (!aggregatorRegistry || !message || message.type !== 'metrics') {
+    return;
+  }
+
+  const reply = (result) => {
+    if (worker.isConnected()) {
+      worker.send({ type: 'metrics', requestId: message.requestId, ...result });
+    }
+  };
+
+  aggregatorRegistry.clusterMetrics().then(
+    (metrics) => reply({ metrics }),
+    (error) => {
+      log.error('Metrics collection failed', { error: error.message });
+      reply({ error: error.message });
+    }
+  );
+}
+
+/**
+ * Shuts down all workers gracefully, then exits the supervisor.
+ *
+ * @param {string} signal - The signal that triggered shutdown
+ */
+function shutdown(signal) {
+  if (shuttingDown) {
+    return;
+  }
+
+  shuttingDown = true;
+  log.info('Shutting down workers', { signal });
+
+  Promise.all(Object.values(cluster.workers).map(stopWorker)).then(() => {
+    log.info('All workers stopped');
+    return accessLogFile && accessLogFile.close();
+  }).then(() => process.exit(0));
+
+  setTimeout(() => {
+    log.error('Workers did not stop in time, forcefully shutting down');
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT_MS).unref();
+}
+
+/**
+ * Handles worker exits: restarts crashed workers with exponential backoff.
+ *
+ * @param {cluster.Worker} worker - Worker that exited
+ * @param {number|null} code - Exit code
+ * @param {string|null} signal - Signal that terminated the worker
+ */
+function onWorkerExit(worker, code, signal) {
+  if (shuttingDown || retiringWorkers.has(worker) || pendingReplacements.has(worker)) {
+    return;
+  }
+
+  if (worker === replacedWorker) {
+    log.warn('Worker died during rolling restart; its starting replacement takes its place', {
+      worker: worker.process.pid,
+      ...(signal ? { signal } : { exitCode: code })
+    });
+    return;
+  }
+
+  restartWorker(worker, code, signal);
+}
+
+/**
+ * Forks a substitute for a crashed worker after an exponential backoff.
+ *
+ * @param {cluster.Worker} worker - Worker that exited
+ * @param {number|null} code - Exit code
+ * @param {string|null} signal - Signal that terminated the worker
+ */
+function restartWorker(worker, code, signal) {
+  if (Date.now() - worker.startedAt >= STABLE_UPTIME_MS) {
+    consecutiveCrashes = 0;
+  }
+
+  const delay = Math.min(RESTART_DELAY_MS * 2 ** consecutiveCrashes, RESTART_MAX_DELAY_MS);
+  consecutiveCrashes++;
+
+  log.error('Worker died, restarting', {
+    worker: worker.process.pid,
+    ...(signal ? { signal } : { exitCode: code }),
+    restartDelayMs: delay
+  });
+
+  setTimeout(() => {
+    if (!shuttingDown) {
+      forkWorker();
+    }
+  }, delay);
+}
+
+// =============================================================================
+// SUPERVISOR STARTUP
+// =============================================================================
+
+// Workers would each fail with the same problems; report them once
+try {
+  loadSettings();
+} catch (error) {
+  log.error('Invalid configuration', { problems: error.problems });
+  process.exit(1);
+}
+
+if (settings.ACME_ENABLED) {
+  log.error('ACME_ENABLED is not supported in cluster mode. Use server.js or external certificates.');
+  process.exit(1);
+}
+
+let listenTargets;
+
+try {
+  listenTargets = [
+    parseListenTarget(settings.PORT, { envName: 'PORT' }),
+    ...(settings.ENABLE_HTTPS
+      ? [parseListenTarget(settings.HTTPS_PORT, { envName: 'HTTPS_PORT', systemdIndex: 1 })]
+      : [])
+  ];
+} catch (error) {
+  log.error('Invalid listen target', { error: error.message });
+  process.exit(1);
+}
+
+if (listenTargets.some((target) => target.type === 'fd')) {
+  log.error('Inherited file descriptors (fd:N, systemd) are not supported in cluster mode');
+  process.exit(1);
+}
+
+if (settings.ACCESS_LOG_ENABLED && settings.ACCESS_LOG_FILE) {
+  try {
+    accessLogFile = openAccessLogFile();
+  } catch (error) {
+    log.error('Could not open the access log file', { file: settings.ACCESS_LOG_FILE, err: error });
+    process.exit(1);
+  }
+}
+
+// Workers run the regular single-process entry point
+cluster.setupPrimary({ exec: path.join(__dirname, 'server.js') });
+
+cluster.on('exit', onWorkerExit);
+cluster.on('message', onWorkerMessage);
+
+process.on('SIGHUP', () => {
+  rollingRestart();
+});
+process.on('SIGUSR2', reloadWorkers);
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+// Workers skip stale socket cleanup; it would race with the sockets bound for them
+Promise.all(listenTargets.map(removeStaleSocket)).then(() => {
+  log.info('Supervisor starting workers', { workers: WORKER_COUNT });
+
+  for (let i = 0; i < WORKER_COUNT; i++) {
+    forkWorker();
+  }
+}, (error) => {
+  log.error('Could not prepare the listen targets', { err: error });
+  process.exit(1);
+});
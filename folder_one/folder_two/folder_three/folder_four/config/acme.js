@@ -0,0 +1,610 @@
+/**
+ * ACME Certificate Management Module
+ *
+ * Obtains and renews TLS certificates automatically from an ACME certificate
+ * authority (RFC 8555) such as Let's Encrypt, or a local test CA such as
+ * Pebble for offline testing.
+ *
+ * Features:
+ * - Account key creation and persistence (reused across restarts)
+ * - HTTP-01 challenges answered by the Express app through acmeChallengeHandler
+ *   (served on the plain HTTP listener started by server.js)
+ * - Issued key and certificate chain written to SSL_KEY_PATH/SSL_CERT_PATH, so
+ *   the existing certificate loading and hot reload in config/https.js apply
+ * - Periodic renewal ahead of expiry
+ *
+ * Implemented with Node.js built-in modules only (crypto, https); no external
+ * ACME library is required.
+ *
+ * Usage:
+ *   const { ensureCertificate, scheduleRenewal } = require('./config/acme');
+ *   await ensureCertificate();
+ *   const server = createSecureServer(app, 443);
+ *   scheduleRenewal(server);
+ *
+ * Environment Variables:
+ *   ACME_ENABLED           - Manage certificates via ACME ('true' to enable)
+ *   ACME_DIRECTORY_URL     - ACME directory (default: Let's Encrypt production)
+ *   ACME_DOMAINS           - Comma-separated domain names for the certificate
+ *   ACME_EMAIL             - Contact e-mail for the ACME account (optional)
+ *   ACME_TERMS_AGREED      - Must be 'true' to agree to the CA's terms of service
+ *   ACME_ACCOUNT_KEY_PATH  - Account key file (default: ./certs/acme-account.key)
+ *   ACME_CA_BUNDLE_PATH    - Extra CA bundle to trust for the ACME API (e.g. Pebble's)
+ *   ACME_KEY_TYPE          - Certificate key type: 'ec' (P-256, default) or 'rsa' (2048)
+ *   ACME_RENEW_DAYS        - Renew when fewer days of validity remain (default: 30)
+ *   ACME_CHECK_INTERVAL_MS - Interval between renewal checks (default: 12 hours)
+ *
+ * @module config/acme
+ */
+
+'use strict';
+
+const https = require('https');
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { reloadCertificates } = require('./https');
+const { derElement, derOid, derSequence, derSet } = require('./der');
+const { getSettings } = require('./settings');
+const { createLogger } = require('./logger');
+
+const log = createLogger('acme');
+
+/**
+ * Polling settings for pending authorizations and orders
+ */
+const POLL_INTERVAL_MS = 2000;
+const POLL_ATTEMPTS = 30;
+
+/**
+ * Path prefix of HTTP-01 challenge requests (RFC 8555, section 8.3)
+ */
+const CHALLENGE_PATH_PREFIX = '/.well-known/acme-challenge/';
+
+/**
+ * Pending HTTP-01 challenges: token → key authorization
+ * Filled while an order is being validated and served by acmeChallengeHandler
+ */
+const challengeResponses = new Map();
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+/**
+ * Checks whether ACME certificate management is enabled.
+ *
+ * @returns {boolean} True when ACME_ENABLED is on
+ */
+const isAcmeEnabled = () => getSettings().ACME_ENABLED;
+
+/**
+ * Reads the ACME configuration from the settings.
+ *
+ * The settings are validated at startup (config/settings.js), including the
+ * domain list, the terms of service and the PFX/chain combination.
+ *
+ * @returns {Object} ACME configuration
+ * @throws {Error} When the CA bundle cannot be read
+ */
+function getAcmeConfig() {
+  const settings = getSettings();
+
+  return {
+    directoryUrl: settings.ACME_DIRECTORY_URL,
+    domains: settings.ACME_DOMAINS.map((domain) => domain.toLowerCase()),
+    email: settings.ACME_EMAIL || null,
+    keyType: settings.ACME_KEY_TYPE,
+    accountKeyPath: path.resolve(settings.ACME_ACCOUNT_KEY_PATH),
+    keyPath: path.resolve(settings.SSL_KEY_PATH),
+    certPath: path.resolve(settings.SSL_CERT_PATH),
+    caBundle: settings.ACME_CA_BUNDLE_PATH
+      ? fs.readFileSync(path.resolve(settings.ACME_CA_BUNDLE_PATH))
+      : null,
+    renewDays: settings.ACME_RENEW_DAYS,
+    checkIntervalMs: settings.ACME_CHECK_INTERVAL_MS
+  };
+}
+
+// =============================================================================
+// HTTP-01 CHALLENGE MIDDLEWARE
+// =============================================================================
+
+/**
+ * Express middleware answering ACME HTTP-01 challenges.
+ *
+ * Responds to GET /.well-known/acme-challenge/<token> with the key
+ * authorization for tokens of pending orders. Other requests pass through.
+ * The ACME CA validates challenges over plain HTTP on port 80, so the HTTP
+ * listener (or a proxy in front of it) must be reachable on that port.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ *
+ * @example
+ * app.use(acmeChallengeHandler);
+ */
+const acmeChallengeHandler = (req, res, next) => {
+  if (req.method !== 'GET' || !req.path.startsWith(CHALLENGE_PATH_PREFIX)) {
+    return next();
+  }
+
+  const token = req.path.slice(CHALLENGE_PATH_PREFIX.length);
+  const keyAuthorization = challengeResponses.get(token);
+
+  if (!keyAuthorization) {
+    return next();
+  }
+
+  res.status(200).type('text/plain').send(keyAuthorization);
+};
+
+// =============================================================================
+// ENCODING HELPERS
+// =============================================================================
+
+/**
+ * Encodes a buffer or string as unpadded base64url (RFC 7515).
+ *
+ * @param {Buffer|string} data - Data to encode
+ * @returns {string} base64url string
+ */
+const base64url = (data) => Buffer.from(data).toString('base64url');
+
+/**
+ * Object identifiers used in certificate signing requests
+ */
+const OID = {
+  commonName: '2.5.4.3',
+  extensionRequest: '1.2.840.113549.1.9.14',
+  subjectAltName: '2.5.29.17',
+  ecdsaWithSha256: '1.2.840.10045.4.3.2',
+  sha256WithRsa: '1.2.840.113549.1.1.11'
+};
+
+/**
+ * Creates a PKCS#10 certificate signing request for the given domains.
+ *
+ * The first domain becomes the subject common name; all domains are listed
+ * as DNS subject alternative names.
+ *
+ * @param {crypto.KeyObject} privateKey - Certificate private key (EC or RSA)
+ * @param {string[]} domains - Domain names
+ * @returns {Buffer} DER-encoded CSR
+ */
+function createCsr(privateKey, domains) {
+  const publicKeyInfo = crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'der' });
+
+  const subject = derSequence(
+    derSet(derSequence(derOid(OID.commonName), derElement(0x0c, Buffer.from(domains[0]))))
+  );
+
+  // GeneralNames with dNSName entries ([2] IMPLICIT IA5String)
+  const subjectAltNames = derSequence(
+    ...domains.map((domain) => derElement(0x82, Buffer.from(domain)))
+  );
+
+  const extensionRequest = derSequence(
+    derOid(OID.extensionRequest),
+    derSet(derSequence(derSequence(derOid(OID.subjectAltName), derElement(0x04, subjectAltNames))))
+  );
+
+  const requestInfo = derSequence(
+    derElement(0x02, Buffer.from([0])), // version 0
+    subject,
+    publicKeyInfo,
+    derElement(0xa0, extensionRequest) // attributes [0]
+  );
+
+  const isEc = privateKey.asymmetricKeyType === 'ec';
+  const signatureAlgorithm = isEc
+    ? derSequence(derOid(OID.ecdsaWithSha256))
+    : derSequence(derOid(OID.sha256WithRsa), derElement(0x05, Buffer.alloc(0)));
+  const signature = crypto.sign('sha256', requestInfo, privateKey);
+
+  return derSequence(
+    requestInfo,
+    signatureAlgorithm,
+    derElement(0x03, Buffer.concat([Buffer.from([0]), signature]))
+  );
+}
+
+// =============================================================================
+// KEY MANAGEMENT
+// =============================================================================
+
+/**
+ * Writes a file atomically with restrictive permissions.
+ *
+ * Writing to a temporary file and renaming ensures readers (including the
+ * certificate watcher in config/https.js) never see a partially written file.
+ *
+ * @param {string} filePath - Destination path
+ * @param {string|Buffer} content - File content
+ */
+function writeFileAtomic(filePath, content) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(tempPath, content, { mode: 0o600 });
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Loads the ACME account key, creating and persisting a new one if needed.
+ *
+ * @param {string} accountKeyPath - Account key file path
+ * @returns {crypto.KeyObject} EC P-256 account private key
+ */
+function loadAccountKey(accountKeyPath) {
+  if (fs.existsSync(accountKeyPath)) {
+    return crypto.createPrivateKey(fs.readFileSync(accountKeyPath));
+  }
+
+  const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  writeFileAtomic(accountKeyPath, privateKey.export({ type: 'pkcs8', format: 'pem' }));
+  log.info('ACME account key created', { path: accountKeyPath });
+
+  return privateKey;
+}
+
+/**
+ * Generates a new certificate private key.
+ *
+ * @param {string} keyType - 'ec' (P-256) or 'rsa' (2048 bit)
+ * @returns {crypto.KeyObject} Private key
+ */
+function generateCertificateKey(keyType) {
+  const { privateKey } = keyType === 'rsa'
+    ? crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+    : crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+
+  return privateKey;
+}
+
+// =============================================================================
+// ACME CLIENT
+// =============================================================================
+
+/**
+ * Sends an HTTP(S) request and collects the response.
+ *
+ * @param {string} url - Request URL
+ * @param {Object} options - Request options
+ * @param {string} [options.method='GET'] - HTTP method
+ * @param {string} [options.body] - Request body (JOSE JSON)
+ * @param {Buffer} [options.ca] - Additional CA bundle to trust
+ * @returns {Promise<Object>} Response with status, headers and parsed body
+ */
+function acmeRequest(url, options = {}) {
+  const target = new URL(url);
+  const transport = target.protocol === 'http:' ? http : https;
+
+  return new Promise((resolve, reject) => {
+    const req = transport.request(target, {
+      method: options.method || 'GET',
+      headers: {
+        'User-Agent': 'secure-node-server-acme',
+        ...(options.body ? { 'Content-Type': 'application/jose+json' } : {})
+      },
+      ...(options.ca ? { ca: options.ca } : {})
+    }, (res) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => {
+        const raw = Buffer.concat(chunks).toString('utf8');
+        const contentType = res.headers['content-type'] || '';
+        let body = raw;
+
+        if (contentType.includes('json') && raw.length > 0) {
+          try {
+            body = JSON.parse(raw);
+          } catch (error) {
+            return reject(new Error(`ACME server returned invalid JSON from ${target.pathname}`));
+          }
+        }
+
+        resolve({ status: res.statusCode, headers: res.headers, body });
+      });
+    });
+
+    req.setTimeout(30000, () => req.destroy(new Error('ACME request timed out')));
+    req.on('error', reject);
+    req.end(options.body);
+  });
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Creates an ACME client bound to an account key.
+ *
+ * @param {Object} config - Configuration from getAcmeConfig()
+ * @returns {Object} Client with an obtainCertificate(domains) method
+ */
+function createAcmeClient(config) {
+  const accountKey = loadAccountKey(config.accountKeyPath);
+  const { kty, crv, x, y } = accountKey.export({ format: 'jwk' });
+  const jwk = { crv, kty, x, y }; // lexicographic member order for the thumbprint
+  const thumbprint = base64url(crypto.createHash('sha256').update(JSON.stringify(jwk)).digest());
+
+  let directory = null;
+  let accountUrl = null;
+  let nonce = null;
+
+  const getDirectory = async () => {
+    if (!directory) {
+      const res = await acmeRequest(config.directoryUrl, { ca: config.caBundle });
+      if (res.status !== 200 || typeof res.body !== 'object') {
+        throw new Error(`ACME directory request failed with status ${res.status}`);
+      }
+      directory = res.body;
+    }
+    return directory;
+  };
+
+  const getNonce = async () => {
+    if (nonce) {
+      const current = nonce;
+      nonce = null;
+      return current;
+    }
+    const res = await acmeRequest((await getDirectory()).newNonce, { method: 'HEAD', ca: config.caBundle });
+    return res.headers['replay-nonce'];
+  };
+
+  /**
+   * Sends a JWS-signed POST request (RFC 8555, section 6.2).
+   * A null payload sends a POST-as-GET request.
+   */
+  const signedRequest = async (url, payload, retried = false) => {
+    const header = {
+      alg: 'ES256',
+      nonce: await getNonce(),
+      url,
+      ...(accountUrl ? { kid: accountUrl } : { jwk })
+    };
+    const protectedHeader = base64url(JSON.stringify(header));
+    const encodedPayload = payload === null ? '' : base64url(JSON.stringify(payload));
+    const signature = crypto.sign(
+      'sha256',
+      Buffer.from(`${protectedHeader}.${encodedPayload}`),
+      { key: accountKey, dsaEncoding: 'ieee-p1363' }
+    );
+
+    const res = await acmeRequest(url, {
+      method: 'POST',
+      body: JSON.stringify({ protected: protectedHeader, payload: encodedPayload, signature: base64url(signature) }),
+      ca: config.caBundle
+    });
+
+    nonce = res.headers['replay-nonce'] || null;
+
+    if (res.status >= 400) {
+      const problem = typeof res.body === 'object' ? res.body : {};
+
+      // Nonces may expire between requests; retry once with a fresh one
+      if (problem.type === 'urn:ietf:params:acme:error:badNonce' && !retried) {
+        return signedRequest(url, payload, true);
+      }
+
+      throw new Error(`ACME request failed (${res.status}): ${problem.detail || problem.type || 'unknown error'}`);
+    }
+
+    return res;
+  };
+
+  const ensureAccount = async () => {
+    if (accountUrl) {
+      return;
+    }
+
+    const res = await signedRequest((await getDirectory()).newAccount, {
+      termsOfServiceAgreed: true,
+      ...(config.email ? { contact: [`mailto:${config.email}`] } : {})
+    });
+
+    accountUrl = res.headers.location;
+  };
+
+  const poll = async (url, pendingStates) => {
+    for (let attempt = 0; attempt < POLL_ATTEMPTS; attempt++) {
+      const res = await signedRequest(url, null);
+
+      if (!pendingStates.includes(res.body.status)) {
+        return res.body;
+      }
+
+      const retryAfter = parseInt(res.headers['retry-after'], 10);
+      await sleep(isNaN(retryAfter) ? POLL_INTERVAL_MS : retryAfter * 1000);
+    }
+
+    throw new Error('ACME server did not complete the request in time');
+  };
+
+  const completeAuthorization = async (authorizationUrl) => {
+    const authorization = (await signedRequest(authorizationUrl, null)).body;
+
+    if (authorization.status === 'valid') {
+      return;
+    }
+
+    const challenge = (authorization.challenges || []).find((item) => item.type === 'http-01');
+
+    if (!challenge) {
+      throw new Error(`ACME server offered no http-01 challenge for ${authorization.identifier.value}`);
+    }
+
+    challengeResponses.set(challenge.token, `${challenge.token}.${thumbprint}`);
+
+    try {
+      await signedRequest(challenge.url, {});
+      const result = await poll(authorizationUrl, ['pending']);
+
+      if (result.status !== 'valid') {
+        const failed = (result.challenges || []).find((item) => item.error);
+        const detail = failed ? failed.error.detail : result.status;
+        throw new Error(`ACME validation failed for ${authorization.identifier.value}: ${detail}`);
+      }
+    } finally {
+      challengeResponses.delete(challenge.token);
+    }
+  };
+
+  /**
+   * Runs a complete order for the domains.
+   *
+   * @param {string[]} domains - Domain names
+   * @param {crypto.KeyObject} certificateKey - Private key for the certificate
+   * @returns {Promise<string>} PEM certificate chain
+   */
+  const obtainCertificate = async (domains, certificateKey) => {
+    await ensureAccount();
+
+    const orderRes = await signedRequest((await getDirectory()).newOrder, {
+      identifiers: domains.map((domain) => ({ type: 'dns', value: domain }))
+    });
+    const orderUrl = orderRes.headers.location;
+    let order = orderRes.body;
+
+    for (const authorizationUrl of order.authorizations) {
+      await completeAuthorization(authorizationUrl);
+    }
+
+    order = await signedRequest(order.finalize, {
+      csr: base64url(createCsr(certificateKey, domains))
+    }).then((res) => res.body);
+
+    if (order.status !== 'valid') {
+      order = await poll(orderUrl, ['pending', 'ready', 'processing']);
+    }
+
+    if (order.status !== 'valid' || !order.certificate) {
+      throw new Error(`ACME order finished with status ${order.status}`);
+    }
+
+    return (await signedRequest(order.certificate, null)).body;
+  };
+
+  return { obtainCertificate };
+}
+
+// =============================================================================
+// CERTIFICATE LIFECYCLE
+// =============================================================================
+
+/**
+ * Determines whether the certificate on disk must be (re)issued.
+ *
+ * @param {Object} config - Configuration from getAcmeConfig()
+ * @returns {string|null} Reason for issuing, or null when the certificate is current
+ */
+function getRenewalReason(config) {
+  if (!fs.existsSync(config.certPath) || !fs.existsSync(config.keyPath)) {
+    return 'no certificate found';
+  }
+
+  let certificate;
+
+  try {
+    certificate = new crypto.X509Certificate(fs.readFileSync(config.certPath));
+  } catch (error) {
+    return 'existing certificate could not be parsed';
+  }
+
+  const missing = config.domains.filter((domain) => !certificate.checkHost(domain));
+
+  if (missing.length > 0) {
+    return `certificate does not cover ${missing.join(', ')}`;
+  }
+
+  const daysLeft = (Date.parse(certificate.validTo) - Date.now()) / (24 * 60 * 60 * 1000);
+
+  if (daysLeft < config.renewDays) {
+    return `certificate expires in ${Math.max(0, Math.floor(daysLeft))} days`;
+  }
+
+  return null;
+}
+
+/**
+ * Ensures a current certificate for ACME_DOMAINS exists on disk.
+ *
+ * Issues a new certificate when none exists, when it no longer covers the
+ * configured domains, or when it is within ACME_RENEW_DAYS of expiry. The
+ * key and certificate are written to SSL_KEY_PATH/SSL_CERT_PATH.
+ *
+ * The HTTP listener must already be serving acmeChallengeHandler, because
+ * the CA validates domain control by requesting the challenge over HTTP.
+ *
+ * @returns {Promise<boolean>} True when a new certificate was issued
+ * @throws {Error} When configuration is invalid or issuance fails
+ */
+async function ensureCertificate() {
+  const config = getAcmeConfig();
+  const reason = getRenewalReason(config);
+
+  if (!reason) {
+    return false;
+  }
+
+  log.info('ACME certificate requested', { domains: config.domains, reason });
+
+  const certificateKey = generateCertificateKey(config.keyType);
+  const chain = await createAcmeClient(config).obtainCertificate(config.domains, certificateKey);
+
+  // Key first: the certificate watcher reloads once both files have settled
+  writeFileAtomic(config.keyPath, certificateKey.export({ type: 'pkcs8', format: 'pem' }));
+  writeFileAtomic(config.certPath, chain);
+
+  const certificate = new crypto.X509Certificate(chain);
+  log.info('ACME certificate issued', { validUntil: certificate.validTo });
+
+  return true;
+}
+
+/**
+ * Periodically renews the certificate and applies it to a running HTTPS server.
+ *
+ * When certificate watching is enabled (SSL_WATCH), the renewed files are
+ * picked up by the watcher; otherwise the server is reloaded explicitly.
+ * Failed renewals are logged and retried at the next check, while the
+ * current certificate stays in use.
+ *
+ * @param {https.Server} server - HTTPS server created by createSecureServer()
+ * @returns {Function} Function that stops the renewal timer
+ */
+function scheduleRenewal(server) {
+  const checkIntervalMs = getSettings().ACME_CHECK_INTERVAL_MS;
+
+  const timer = setInterval(() => {
+    ensureCertificate()
+      .then((renewed) => {
+        if (renewed && !getSettings().SSL_WATCH) {
+          reloadCertificates(server);
+        }
+      })
+      .catch((error) => {
+        log.error('ACME certificate renewal failed', { err: error });
+      });
+  }, checkIntervalMs);
+
+  // The renewal timer should never keep the process alive on shutdown
+  timer.unref();
+
+  const stop = () => clearInterval(timer);
+  server.once('close', stop);
+
+  return stop;
+}
+
+module.exports = {
+  isAcmeEnabled,
+  getAcmeConfig,
+  acmeChallengeHandler,
+  ensureCertificate,
+  scheduleRenewal,
+  createCsr
+};
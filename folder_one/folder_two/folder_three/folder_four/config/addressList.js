@@ -0,0 +1,65 @@
+/**
+ * Address List Module
+ *
+ * Matches client addresses against lists of IP addresses and CIDR ranges
+ * from the settings (validated there by the cidrList() type), e.g. the
+ * load balancers trusted to send PROXY protocol headers or the scrapers
+ * allowed to read /metrics.
+ *
+ * @module config/addressList
+ */
+
+'use strict';
+
+const net = require('net');
+
+/**
+ * Builds an address list.
+ *
+ * @param {string[]} entries - Addresses and CIDR ranges such as '10.0.0.0/8'
+ *   or 'fd00::/8'; a plain address matches only itself
+ * @returns {net.BlockList} Address list
+ *
+ * @example
+ * const allowed = createAddressList(['127.0.0.1', '10.0.0.0/8']);
+ * isListedAddress(allowed, '::ffff:10.1.2.3'); // => true
+ */
+function createAddressList(entries) {
+  const list = new net.BlockList();
+
+  entries.forEach((entry) => {
+    const [address, prefix] = entry.split('/');
+    const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+
+    list.addSubnet(address, prefix === undefined ? (type === 'ipv6' ? 128 : 32) : parseInt(prefix, 10), type);
+  });
+
+  return list;
+}
+
+/**
+ * Checks whether an address is on a list.
+ *
+ * @param {net.BlockList} list - List from createAddressList()
+ * @param {string|undefined} address - Client address (undefined for unix sockets)
+ * @returns {boolean} True for listed addresses
+ */
+function isListedAddress(list, address) {
+  if (!address || net.isIP(address) === 0) {
+    return false;
+  }
+
+  // Dual-stack listeners report IPv4 clients as ::ffff:a.b.c.d
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+
+  if (mapped) {
+    return list.check(mapped[1], 'ipv4');
+  }
+
+  return list.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+module.exports = {
+  createAddressList,
+  isListedAddress
+};
@@ -0,0 +1,300 @@
+/**
+ * Certificate Monitoring Module
+ *
+ * Parses the certificates served by the HTTPS server and keeps track of their
+ * remaining validity so that expiring certificates are noticed before clients
+ * start rejecting them.
+ *
+ * Features:
+ * - Certificate inspection: subject, SANs, issuer, validity period, key type/size
+ * - Chain completeness check (leaf → intermediates → trusted root)
+ * - Expiry warnings in the logs at configurable days-before-expiry thresholds
+ * - Status registry surfaced through the /health endpoint in app.js
+ *
+ * Environment Variables:
+ *   SSL_EXPIRY_WARN_DAYS         - Comma-separated warning thresholds in days (default: 30,14,7)
+ *   SSL_EXPIRY_CHECK_INTERVAL_MS - Interval between expiry checks (default: 1 hour)
+ *
+ * @module config/certificateMonitor
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const tls = require('tls');
+const { getSettings } = require('./settings');
+const { createLogger } = require('./logger');
+
+const log = createLogger('certificateMonitor');
+
+/**
+ * Milliseconds per day, used to compute remaining validity
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Certificates currently served, keyed by name ('default' or an SNI hostname list)
+ * @type {Map<string, Object>}
+ */
+const servedCertificates = new Map();
+
+/**
+ * Thresholds already reported per certificate fingerprint, so every
+ * threshold is logged once rather than on every check
+ * @type {Map<string, number>}
+ */
+const reportedThresholds = new Map();
+
+/**
+ * Trusted root certificates bundled with Node.js, parsed on first use
+ * @type {crypto.X509Certificate[]|null}
+ */
+let rootCertificates = null;
+
+/**
+ * Reads the warning thresholds from the settings.
+ *
+ * @returns {number[]} Thresholds in days, largest first
+ */
+function getWarnDays() {
+  return [...getSettings().SSL_EXPIRY_WARN_DAYS].sort((a, b) => b - a);
+}
+
+/**
+ * Splits a PEM bundle into individual certificates.
+ *
+ * @param {Buffer|string} pem - One or more PEM certificates
+ * @returns {crypto.X509Certificate[]} Parsed certificates in file order
+ * @throws {Error} When a certificate block cannot be parsed
+ */
+function parseCertificateChain(pem) {
+  const blocks = pem.toString().match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g) || [];
+
+  return blocks.map((block) => new crypto.X509Certificate(block));
+}
+
+/**
+ * Checks whether a certificate chain is complete.
+ *
+ * A chain is complete when every certificate is issued by the next one in
+ * the file and the last certificate is either self-signed or issued by a
+ * root trusted by Node.js. Servers sending an incomplete chain work in some
+ * browsers (which fetch missing intermediates) but fail in most API clients.
+ *
+ * @param {crypto.X509Certificate[]} chain - Certificates in file order, leaf first
+ * @returns {Object} Result with complete flag and list of problems
+ */
+function checkChain(chain) {
+  const problems = [];
+
+  for (let i = 0; i < chain.length - 1; i++) {
+    if (!chain[i].checkIssued(chain[i + 1])) {
+      problems.push(`certificate ${i} is not issued by certificate ${i + 1}`);
+    }
+  }
+
+  const last = chain[chain.length - 1];
+
+  if (last && !last.checkIssued(last)) {
+    if (!rootCertificates) {
+      rootCertificates = tls.rootCertificates.map((pem) => new crypto.X509Certificate(pem));
+    }
+
+    if (!rootCertificates.some((root) => last.checkIssued(root))) {
+      problems.push(`issuer "${last.issuer.replace(/\n/g, ', ')}" is not included and not a trusted root`);
+    }
+  }
+
+  return {
+    length: chain.length,
+    complete: problems.length === 0,
+    problems
+  };
+}
+
+/**
+ * Describes the public key of a certificate.
+ *
+ * @param {crypto.X509Certificate} certificate - Parsed certificate
+ * @returns {Object} Key type and size (bits) or curve
+ */
+function describeKey(certificate) {
+  const publicKey = certificate.publicKey;
+  const details = publicKey.asymmetricKeyDetails || {};
+
+  return {
+    type: publicKey.asymmetricKeyType,
+    size: details.modulusLength || null,
+    curve: details.namedCurve || null
+  };
+}
+
+/**
+ * Parses a certificate (or chain) into a monitoring-friendly summary.
+ *
+ * @param {Buffer|string} certPem - PEM certificate, optionally followed by its chain
+ * @returns {Object} Certificate summary
+ * @returns {string} return.subject - Subject distinguished name
+ * @returns {string[]} return.subjectAltNames - Subject alternative names
+ * @returns {string} return.issuer - Issuer distinguished name
+ * @returns {string} return.serialNumber - Serial number
+ * @returns {string} return.fingerprint - SHA-256 fingerprint
+ * @returns {string} return.notBefore - Start of validity (ISO 8601)
+ * @returns {string} return.notAfter - End of validity (ISO 8601)
+ * @returns {number} return.daysRemaining - Whole days until expiry (negative when expired)
+ * @returns {Object} return.key - Public key type and size
+ * @returns {Object} return.chain - Chain length, completeness and problems
+ * @throws {Error} When the certificate cannot be parsed
+ */
+function inspectCertificate(certPem) {
+  const chain = parseCertificateChain(certPem);
+
+  if (chain.length === 0) {
+    throw new Error('SSL certificate could not be parsed. Please ensure it is a valid PEM certificate.');
+  }
+
+  const leaf = chain[0];
+  const notAfter = new Date(leaf.validTo);
+
+  return {
+    subject: leaf.subject.replace(/\n/g, ', '),
+    subjectAltNames: leaf.subjectAltName ? leaf.subjectAltName.split(', ') : [],
+    issuer: leaf.issuer.replace(/\n/g, ', '),
+    serialNumber: leaf.serialNumber,
+    fingerprint: leaf.fingerprint256,
+    notBefore: new Date(leaf.validFrom).toISOString(),
+    notAfter: notAfter.toISOString(),
+    daysRemaining: Math.floor((notAfter.getTime() - Date.now()) / DAY_MS),
+    key: describeKey(leaf),
+    chain: checkChain(chain)
+  };
+}
+
+/**
+ * Logs a warning for a certificate that has crossed an expiry threshold.
+ *
+ * @param {string} name - Certificate name used in log messages
+ * @param {Object} info - Summary from inspectCertificate()
+ */
+function reportCertificate(name, info) {
+  const daysRemaining = Math.floor((Date.parse(info.notAfter) - Date.now()) / DAY_MS);
+
+  if (daysRemaining < 0) {
+    log.error('Certificate expired', { certificate: name, notAfter: info.notAfter });
+    return;
+  }
+
+  const crossed = getWarnDays().filter((days) => daysRemaining <= days);
+
+  if (crossed.length > 0) {
+    const threshold = Math.min(...crossed);
+
+    if (reportedThresholds.get(info.fingerprint) !== threshold) {
+      reportedThresholds.set(info.fingerprint, threshold);
+      log.warn('Certificate expires soon', {
+        certificate: name,
+        daysRemaining,
+        notAfter: info.notAfter,
+        warnDays: threshold
+      });
+    }
+  }
+}
+
+/**
+ * Records a certificate as currently served and logs its details.
+ *
+ * Called by config/https.js and config/sni.js whenever certificates are
+ * loaded or reloaded.
+ *
+ * @param {string} name - Certificate name ('default' or SNI hostnames)
+ * @param {Object} info - Summary from inspectCertificate()
+ */
+function recordCertificate(name, info) {
+  servedCertificates.set(name, info);
+
+  const keyDescription = info.key.size ? `${info.key.type} ${info.key.size}` : `${info.key.type} ${info.key.curve}`;
+  log.info('Certificate loaded', {
+    certificate: name,
+    subject: info.subject,
+    issuer: info.issuer,
+    key: keyDescription,
+    notAfter: info.notAfter,
+    daysRemaining: info.daysRemaining
+  });
+
+  if (!info.chain.complete) {
+    log.warn('Certificate chain is incomplete', { certificate: name, problems: info.chain.problems });
+  }
+
+  reportCertificate(name, info);
+}
+
+/**
+ * Removes certificates that are no longer served (e.g. SNI hostnames
+ * dropped during a reload).
+ *
+ * @param {function(string): boolean} predicate - Returns true for names to remove
+ */
+function forgetCertificates(predicate) {
+  [...servedCertificates.keys()].filter(predicate).forEach((name) => servedCertificates.delete(name));
+}
+
+/**
+ * Returns the validity status of all served certificates for health reporting.
+ *
+ * @returns {Array<Object>} Certificate status entries
+ *
+ * @example
+ * // [{ name: 'default', subject: 'CN=example.com', notAfter: '2025-01-15T10:30:00.000Z',
+ * //    daysRemaining: 42, status: 'ok', chainComplete: true }]
+ */
+function getCertificateStatus() {
+  const warnDays = Math.max(...getWarnDays());
+
+  return [...servedCertificates.entries()].map(([name, info]) => {
+    const daysRemaining = Math.floor((Date.parse(info.notAfter) - Date.now()) / DAY_MS);
+    let status = 'ok';
+
+    if (daysRemaining < 0) {
+      status = 'expired';
+    } else if (daysRemaining <= warnDays) {
+      status = 'expiring';
+    }
+
+    return {
+      name,
+      subject: info.subject,
+      notAfter: info.notAfter,
+      daysRemaining,
+      status,
+      chainComplete: info.chain.complete
+    };
+  });
+}
+
+/**
+ * Starts periodic expiry checks of all served certificates.
+ *
+ * @returns {Function} Function that stops the checks
+ */
+function startExpiryMonitor() {
+  const interval = getSettings().SSL_EXPIRY_CHECK_INTERVAL_MS;
+
+  const timer = setInterval(() => {
+    servedCertificates.forEach((info, name) => reportCertificate(name, info));
+  }, interval);
+
+  // Monitoring should never keep the process alive on shutdown
+  timer.unref();
+
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  inspectCertificate,
+  recordCertificate,
+  forgetCertificates,
+  getCertificateStatus,
+  startExpiryMonitor
+};
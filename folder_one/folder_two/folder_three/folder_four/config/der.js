@@ -0,0 +1,112 @@
+/**
+ * DER Encoding Module
+ *
+ * Minimal ASN.1 DER encoder for the few structures the server builds itself:
+ * PKCS#10 certificate signing requests (config/acme.js) and self-signed
+ * development certificates (config/selfSigned.js). Only encoding is
+ * supported; certificates are parsed with crypto.X509Certificate.
+ *
+ * @module config/der
+ */
+
+'use strict';
+
+/**
+ * Encodes a DER TLV (tag, length, value).
+ *
+ * @param {number} tag - ASN.1 tag byte
+ * @param {Buffer} content - Encoded content
+ * @returns {Buffer} DER element
+ */
+const derElement = (tag, content) => {
+  let length;
+
+  if (content.length < 0x80) {
+    length = Buffer.from([content.length]);
+  } else {
+    const bytes = [];
+    for (let remaining = content.length; remaining > 0; remaining >>= 8) {
+      bytes.unshift(remaining & 0xff);
+    }
+    length = Buffer.from([0x80 | bytes.length, ...bytes]);
+  }
+
+  return Buffer.concat([Buffer.from([tag]), length, content]);
+};
+
+/**
+ * Encodes a dotted object identifier as a DER OBJECT IDENTIFIER.
+ *
+ * @param {string} oid - Dotted OID, e.g. '2.5.4.3'
+ * @returns {Buffer} DER element
+ */
+const derOid = (oid) => {
+  const [first, second, ...rest] = oid.split('.').map(Number);
+  const bytes = [first * 40 + second];
+
+  rest.forEach((value) => {
+    const chunk = [value & 0x7f];
+    for (let remaining = value >> 7; remaining > 0; remaining >>= 7) {
+      chunk.unshift((remaining & 0x7f) | 0x80);
+    }
+    bytes.push(...chunk);
+  });
+
+  return derElement(0x06, Buffer.from(bytes));
+};
+
+const derSequence = (...elements) => derElement(0x30, Buffer.concat(elements));
+const derSet = (...elements) => derElement(0x31, Buffer.concat(elements));
+
+/**
+ * Encodes a non-negative integer (or big-endian bytes) as a DER INTEGER.
+ *
+ * @param {number|Buffer} value - Small integer or unsigned big-endian bytes
+ * @returns {Buffer} DER element
+ */
+const derInteger = (value) => {
+  let bytes = Buffer.isBuffer(value) ? value : Buffer.from([value]);
+
+  // Strip redundant leading zeros, then keep the value positive
+  while (bytes.length > 1 && bytes[0] === 0 && bytes[1] < 0x80) {
+    bytes = bytes.subarray(1);
+  }
+
+  if (bytes[0] >= 0x80) {
+    bytes = Buffer.concat([Buffer.from([0]), bytes]);
+  }
+
+  return derElement(0x02, bytes);
+};
+
+/**
+ * Encodes a date as UTCTime, or GeneralizedTime from 2050 on (RFC 5280 4.1.2.5).
+ *
+ * @param {Date} date - Date to encode (second precision)
+ * @returns {Buffer} DER element
+ */
+const derTime = (date) => {
+  const text = date.toISOString().replace(/[-:T]/g, '').replace(/\.\d+Z$/, 'Z');
+
+  return date.getUTCFullYear() < 2050
+    ? derElement(0x17, Buffer.from(text.slice(2)))
+    : derElement(0x18, Buffer.from(text));
+};
+
+/**
+ * Encodes a BIT STRING without unused bits.
+ *
+ * @param {Buffer} content - Bits, whole bytes
+ * @returns {Buffer} DER element
+ */
+const derBitString = (content) => derElement(0x03, Buffer.concat([Buffer.from([0]), content]));
+
+module.exports = {
+  derElement,
+  derOid,
+  derSequence,
+  derSet,
+  derInteger,
+  derTime,
+  derBitString
+};
@@ -0,0 +1,305 @@
+/**
+ * Health Checks Module
+ *
+ * Registry of named readiness checks behind the /readyz endpoint in app.js.
+ * Route modules register a check for each dependency they cannot work
+ * without (database, cache, upstream API, ...); /readyz runs all of them and
+ * answers 503 while any critical check fails, so load balancers and
+ * orchestrators stop routing traffic to an instance that cannot serve it.
+ *
+ * Liveness (/livez) deliberately runs no checks: a failing dependency is no
+ * reason to restart the process.
+ *
+ * Each check:
+ * - Is an async function; it passes by resolving (optionally with a details
+ *   object for the response) and fails by throwing or rejecting
+ * - Has a timeout (HEALTH_CHECK_TIMEOUT_MS by default); a check that takes
+ *   longer fails, and the AbortSignal it received is aborted
+ * - Is critical by default; a failing non-critical check only turns the
+ *   status to 'degraded' and keeps the instance ready
+ *
+ * Results are reused for HEALTH_CHECK_CACHE_MS and concurrent probes share
+ * a running check, so frequent probes from several balancers cannot
+ * overload the dependencies. Once shutdown has started (see
+ * config/shutdown.js), readiness reports 'draining' without running checks.
+ *
+ * Built-in checks:
+ * - disk: free space on the file system of HEALTH_DISK_PATH is at least
+ *   HEALTH_DISK_MIN_FREE_MB (0 disables the check)
+ * - certificates: none of the served TLS certificates has expired
+ *
+ * Environment Variables:
+ *   HEALTH_CHECK_TIMEOUT_MS  - Default timeout per check (default: 2000)
+ *   HEALTH_CHECK_CACHE_MS    - How long results are reused, 0 to always run
+ *                              the checks (default: 2000)
+ *   HEALTH_DISK_PATH         - Directory whose file system is checked (default: .)
+ *   HEALTH_DISK_MIN_FREE_MB  - Minimum free disk space (default: 100)
+ *
+ * @module config/healthChecks
+ *
+ * @example
+ * // In a route module
+ * const { registerHealthCheck } = require('../config/healthChecks');
+ *
+ * registerHealthCheck('database', async ({ signal }) => {
+ *   await pool.query('SELECT 1', { signal });
+ * }, { timeoutMs: 1000 });
+ *
+ * registerHealthCheck('cache', async () => {
+ *   return { keys: await redis.dbsize() };
+ * }, { critical: false });
+ */
+
+'use strict';
+
+const fs = require('fs');
+const { getCertificateStatus } = require('./certificateMonitor');
+const { isDraining } = require('./shutdown');
+const { getSettings } = require('./settings');
+const { createLogger } = require('./logger');
+
+const log = createLogger('healthChecks');
+
+/**
+ * Registered checks by name, in registration order
+ * @type {Map<string, {check: Function, timeoutMs: number|undefined, critical: boolean, result: Object|null, expiresAt: number, running: Promise|null}>}
+ */
+const registeredChecks = new Map();
+
+// =============================================================================
+// REGISTRY
+// =============================================================================
+
+/**
+ * Registers a readiness check.
+ *
+ * @param {string} name - Unique name, shown in the /readyz response
+ * @param {function({signal: AbortSignal}): Promise<Object|void>} check - Resolves
+ *   (optionally with details) when the dependency is usable; throws otherwise
+ * @param {Object} [options] - Check options
+ * @param {number} [options.timeoutMs] - Timeout (default: HEALTH_CHECK_TIMEOUT_MS)
+ * @param {boolean} [options.critical=true] - Whether a failure makes the
+ *   instance not ready
+ * @throws {Error} When the name is empty or already registered, or the check
+ *   is not a function
+ */
+function registerHealthCheck(name, check, options = {}) {
+  if (typeof name !== 'string' || name.length === 0) {
+    throw new Error('Health check name must be a non-empty string');
+  }
+
+  if (registeredChecks.has(name)) {
+    throw new Error(`Health check '${name}' is already registered`);
+  }
+
+  if (typeof check !== 'function') {
+    throw new Error(`Health check '${name}' must be a function`);
+  }
+
+  registeredChecks.set(name, {
+    check,
+    timeoutMs: options.timeoutMs,
+    critical: options.critical !== false,
+    result: null,
+    expiresAt: 0,
+    running: null
+  });
+}
+
+/**
+ * Removes a readiness check.
+ *
+ * @param {string} name - Name passed to registerHealthCheck()
+ * @returns {boolean} True when a check was removed
+ */
+function unregisterHealthCheck(name) {
+  return registeredChecks.delete(name);
+}
+
+// =============================================================================
+// EXECUTION
+// =============================================================================
+
+/**
+ * Runs one check with its timeout and logs status changes.
+ *
+ * @param {string} name - Check name
+ * @param {Object} entry - Registry entry
+ * @returns {Promise<Object>} Check result (never rejects)
+ */
+async function executeCheck(name, entry) {
+  const timeoutMs = entry.timeoutMs || getSettings().HEALTH_CHECK_TIMEOUT_MS;
+  const controller = new AbortController();
+  const started = Date.now();
+  let timer;
+
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new Error(`timed out after ${timeoutMs} ms`));
+    }, timeoutMs);
+  });
+
+  const result = { status: 'pass', critical: entry.critical };
+
+  try {
+    const details = await Promise.race([
+      Promise.resolve().then(() => entry.check({ signal: controller.signal })),
+      timeout
+    ]);
+
+    if (details && typeof details === 'object') {
+      result.details = details;
+    }
+  } catch (error) {
+    result.status = 'fail';
+    result.error = error && error.message ? error.message : String(error);
+  } finally {
+    clearTimeout(timer);
+  }
+
+  result.durationMs = Date.now() - started;
+  result.checkedAt = new Date().toISOString();
+
+  const previous = entry.result;
+
+  if (result.status === 'fail' && (!previous || previous.status === 'pass')) {
+    log.warn('Health check failing', { check: name, error: result.error });
+  } else if (result.status === 'pass' && previous && previous.status === 'fail') {
+    log.info('Health check recovered', { check: name });
+  }
+
+  return result;
+}
+
+/**
+ * Returns the result of a check, running it only when the cached result
+ * has expired and no run is in progress.
+ *
+ * @param {string} name - Check name
+ * @param {Object} entry - Registry entry
+ * @returns {Promise<Object>} Check result
+ */
+function getCheckResult(name, entry) {
+  if (entry.running) {
+    return entry.running;
+  }
+
+  if (entry.result && Date.now() < entry.expiresAt) {
+    return Promise.resolve(entry.result);
+  }
+
+  entry.running = executeCheck(name, entry).then((result) => {
+    entry.result = result;
+    entry.expiresAt = Date.now() + getSettings().HEALTH_CHECK_CACHE_MS;
+    entry.running = null;
+    return result;
+  });
+
+  return entry.running;
+}
+
+/**
+ * Determines readiness from all registered checks.
+ *
+ * Status values:
+ * - 'ready': every check passes
+ * - 'degraded': only non-critical checks fail; still ready
+ * - 'not ready': a critical check fails
+ * - 'draining': shutdown has started; checks are not run
+ *
+ * @returns {Promise<Object>} Readiness
+ * @returns {boolean} return.ready - Whether the instance should receive traffic
+ * @returns {string} return.status - One of the status values above
+ * @returns {Object<string, Object>} return.checks - Result per check:
+ *   status ('pass' or 'fail'), critical, durationMs, checkedAt, and details
+ *   or error
+ *
+ * @example
+ * const { ready, status, checks } = await getReadiness();
+ * // => { ready: false, status: 'not ready',
+ * //      checks: { database: { status: 'fail', critical: true, error: 'timed out after 1000 ms', ... } } }
+ */
+async function getReadiness() {
+  if (isDraining()) {
+    return { ready: false, status: 'draining', checks: {} };
+  }
+
+  const entries = [...registeredChecks.entries()];
+  const results = await Promise.all(entries.map(([name, entry]) => getCheckResult(name, entry)));
+
+  const checks = {};
+  entries.forEach(([name], index) => {
+    checks[name] = results[index];
+  });
+
+  const failed = results.filter((result) => result.status === 'fail');
+  const ready = !failed.some((result) => result.critical);
+  let status = 'ready';
+
+  if (!ready) {
+    status = 'not ready';
+  } else if (failed.length > 0) {
+    status = 'degraded';
+  }
+
+  return { ready, status, checks };
+}
+
+// =============================================================================
+// BUILT-IN CHECKS
+// =============================================================================
+
+/**
+ * Fails when the file system of HEALTH_DISK_PATH runs out of space, which
+ * breaks logging, certificate renewal and uploads.
+ *
+ * @returns {Promise<Object>} Free and required space in MB
+ * @throws {Error} When less than HEALTH_DISK_MIN_FREE_MB is free
+ */
+async function checkDiskSpace() {
+  const settings = getSettings();
+  const stats = await fs.promises.statfs(settings.HEALTH_DISK_PATH);
+  const freeMb = Math.floor((stats.bavail * stats.bsize) / (1024 * 1024));
+
+  if (freeMb < settings.HEALTH_DISK_MIN_FREE_MB) {
+    throw new Error(`${freeMb} MB free on ${settings.HEALTH_DISK_PATH}, at least ${settings.HEALTH_DISK_MIN_FREE_MB} MB required`);
+  }
+
+  return { freeMb, minFreeMb: settings.HEALTH_DISK_MIN_FREE_MB };
+}
+
+/**
+ * Fails when a served TLS certificate has expired (see
+ * config/certificateMonitor.js). Passes without certificates, e.g. when
+ * HTTPS is disabled.
+ *
+ * @returns {Promise<Object>} Number of certificates and of expiring ones
+ * @throws {Error} Naming the expired certificates
+ */
+async function checkCertificates() {
+  const certificates = getCertificateStatus();
+  const expired = certificates.filter((certificate) => certificate.status === 'expired');
+
+  if (expired.length > 0) {
+    throw new Error(`expired certificate: ${expired.map((certificate) => certificate.name).join(', ')}`);
+  }
+
+  return {
+    certificates: certificates.length,
+    expiring: certificates.filter((certificate) => certificate.status === 'expiring').length
+  };
+}
+
+// statfs() needs Node.js 18.15 or later
+if (getSettings().HEALTH_DISK_MIN_FREE_MB > 0 && typeof fs.promises.statfs === 'function') {
+  registerHealthCheck('disk', checkDiskSpace);
+}
+
+registerHealthCheck('certificates', checkCertificates);
+
+module.exports = {
+  registerHealthCheck,
+  unregisterHealthCheck,
+  getReadiness
+};
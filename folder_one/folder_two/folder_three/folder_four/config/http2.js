@@ -0,0 +1,134 @@
+/**
+ * HTTP/2 Support Module
+ *
+ * Lets the secure listener created by config/https.js serve the Express app
+ * over HTTP/2, with HTTP/1.1 fallback for clients that do not offer 'h2'
+ * during ALPN negotiation. Browsers and gRPC-style clients then get request
+ * multiplexing over a single TLS connection, while every request still runs
+ * through the same security middleware stack as HTTP/1.1 requests.
+ *
+ * Express 4 is written against the http module: its init middleware replaces
+ * the prototype of every request and response with objects derived from
+ * http.IncomingMessage and http.ServerResponse. HTTP/2 compatibility objects
+ * (Http2ServerRequest/Http2ServerResponse) then lose the accessors they need
+ * to read headers and write to their stream. createHttp2RequestHandler()
+ * copies those accessors onto each HTTP/2 request and response, so they take
+ * precedence over the inherited http versions while the Express helpers
+ * (req.get, res.json, ...) keep working.
+ *
+ * Environment Variables:
+ *   ENABLE_HTTP2 - Serve HTTPS over HTTP/2 with HTTP/1.1 fallback ('true' to enable)
+ *
+ * @module config/http2
+ */
+
+'use strict';
+
+const http2 = require('http2');
+const { getSettings } = require('./settings');
+
+/**
+ * ALPN protocols offered by the secure listener, in order of preference
+ */
+const ALPN_PROTOCOLS = ['h2', 'http/1.1'];
+
+/**
+ * Reports whether the secure listener should speak HTTP/2.
+ *
+ * @returns {boolean} True when ENABLE_HTTP2 is on
+ */
+function isHttp2Enabled() {
+  return getSettings().ENABLE_HTTP2;
+}
+
+/**
+ * Copies the own properties of a prototype onto an object.
+ *
+ * @param {Object} target - Object receiving the properties
+ * @param {Object} prototype - Prototype whose accessors and methods are copied
+ */
+function copyPrototype(target, prototype) {
+  Reflect.ownKeys(prototype)
+    .filter((key) => key !== 'constructor')
+    .forEach((key) => Object.defineProperty(target, key, Object.getOwnPropertyDescriptor(prototype, key)));
+}
+
+/**
+ * Wraps an Express application for use with http2.createSecureServer().
+ *
+ * HTTP/1.1 requests (ALPN fallback) are passed through unchanged.
+ *
+ * @param {Function} app - Express application instance
+ * @returns {Function} Request handler for the HTTP/2 compatibility API
+ *
+ * @example
+ * const server = http2.createSecureServer({ ...httpsOptions, allowHTTP1: true },
+ *   createHttp2RequestHandler(app));
+ */
+function createHttp2RequestHandler(app) {
+  return (req, res) => {
+    if (req.httpVersionMajor === 2) {
+      copyPrototype(req, http2.Http2ServerRequest.prototype);
+      copyPrototype(res, http2.Http2ServerResponse.prototype);
+    }
+
+    app(req, res);
+  };
+}
+
+/**
+ * Creates a secure HTTP/2 server with HTTP/1.1 fallback.
+ *
+ * Open sessions are tracked and asked to close (GOAWAY) when server.close()
+ * or server.closeIdleConnections() is called. Like HTTP/1.1 keep-alive connections, idle HTTP/2 sessions
+ * would otherwise keep the server open during a graceful shutdown; active
+ * streams are allowed to finish.
+ *
+ * @param {Object} options - Secure server options from getHttpsOptions()
+ * @param {Function} app - Express application instance
+ * @returns {http2.Http2SecureServer} Server (not yet listening)
+ */
+function createHttp2SecureServer(options, app) {
+  const server = http2.createSecureServer(
+    { ...options, allowHTTP1: true, ALPNProtocols: ALPN_PROTOCOLS },
+    createHttp2RequestHandler(app)
+  );
+
+  const sessions = new Set();
+
+  server.on('session', (session) => {
+    sessions.add(session);
+    session.once('close', () => sessions.delete(session));
+  });
+
+  const close = server.close.bind(server);
+
+  // Counterpart of http.Server#closeIdleConnections()
+  server.closeIdleConnections = () => {
+    sessions.forEach((session) => session.close());
+  };
+
+  server.close = (callback) => {
+    server.closeIdleConnections();
+    return close(callback);
+  };
+
+  return server;
+}
+
+/**
+ * Describes the protocol a request arrived over, for request logs.
+ *
+ * @param {Object} req - HTTP request (Express or Node.js)
+ * @returns {string} e.g. 'HTTP/2.0' or 'HTTP/1.1'
+ */
+function getRequestProtocol(req) {
+  return `HTTP/${req.httpVersion}`;
+}
+
+module.exports = {
+  isHttp2Enabled,
+  createHttp2RequestHandler,
+  createHttp2SecureServer,
+  getRequestProtocol
+};
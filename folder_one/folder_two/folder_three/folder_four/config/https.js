@@ -7,9 +7,16 @@
  * 
  * Features:
  * - Certificate loading from SSL_KEY_PATH and SSL_CERT_PATH environment variables
- * - TLS 1.2 minimum version requirement for modern security
+ * - Selectable TLS security profiles (modern / intermediate / legacy, see config/tlsProfiles.js)
  * - Graceful error handling for certificate loading failures
  * - Support for both self-signed (development) and CA-signed (production) certificates
+ * - Encrypted private keys, PFX/PKCS#12 bundles and separate intermediate chain files
+ * - Hot reload of renewed certificates without restarting the server
+ * - SNI-based certificate selection for several hostnames (see config/sni.js)
+ * - Opt-in mutual TLS with a configurable client CA bundle
+ * - Certificate inspection and expiry monitoring (see config/certificateMonitor.js)
+ * - Optional HTTP/2 with HTTP/1.1 fallback via ALPN (see config/http2.js)
+ * - Session ticket keys shared between instances (see config/sessionTickets.js)
  * 
  * Usage:
  *   const { createSecureServer } = require('./config/https');
@@ -18,6 +25,21 @@
  * Environment Variables:
  *   SSL_KEY_PATH  - Path to SSL private key file (default: ./certs/server.key)
  *   SSL_CERT_PATH - Path to SSL certificate file (default: ./certs/server.cert)
+ *   SSL_CHAIN_PATH - Path to intermediate CA certificates sent after the certificate
+ *   SSL_PFX_PATH  - Path to a PFX/PKCS#12 bundle (replaces SSL_KEY_PATH/SSL_CERT_PATH)
+ *   SSL_KEY_PASSPHRASE      - Passphrase of an encrypted private key or PFX bundle
+ *   SSL_KEY_PASSPHRASE_FILE - File containing the passphrase (e.g. a mounted secret)
+ *   SSL_WATCH     - Watch certificate files and reload on change ('false' to disable)
+ *   SSL_RELOAD_DEBOUNCE_MS - Delay before reloading after a change (default: 1000)
+ *   SSL_CLIENT_AUTH    - Client certificate mode: 'off' (default), 'optional', 'require'
+ *   SSL_CLIENT_CA_PATH - CA bundle used to verify client certificates
+ *   ENABLE_HTTP2       - Serve HTTP/2 with HTTP/1.1 fallback ('true' to enable)
+ *   SSL_TICKET_KEYS_PATH - Shared session ticket secret (file or directory)
+ * 
+ * Server Events (emitted on the returned https.Server):
+ *   'certificatesReloaded'     - A renewed key/cert pair was validated and applied
+ *   'certificateReloadFailed'  - A changed key/cert pair was rejected; the previous
+ *                                secure context remains active
  * 
  * @module config/https
  */
@@ -25,8 +47,29 @@
 'use strict';
 
 const https = require('https');
+const tls = require('tls');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { createSniResolver } = require('./sni');
+const { inspectCertificate, recordCertificate, startExpiryMonitor } = require('./certificateMonitor');
+const { getTlsProfile, describeTlsProfile } = require('./tlsProfiles');
+const { isHttp2Enabled, createHttp2SecureServer } = require('./http2');
+const { startTicketKeyRotation, trackSessionResumption } = require('./sessionTickets');
+const {
+  parseListenTarget,
+  isPortTarget,
+  toListenArgument,
+  describeListenTarget,
+  describeListenAddress
+} = require('./listenTarget');
+const { getServerLimits, getServerOptions, applyServerLimits } = require('./serverLimits');
+const { isProxyProtocolEnabled, applyProxyProtocol, getConnectionAddress } = require('./proxyProtocol');
+const { recordTlsClientError } = require('./metrics');
+const { getSettings } = require('./settings');
+const { createLogger } = require('./logger');
+
+const log = createLogger('https');
 
 /**
  * Default certificate paths for development environment
@@ -41,24 +84,93 @@ const DEFAULT_CERT_PATH = './certs/server.cert';
 const DEFAULT_HTTPS_PORT = 443;
 
 /**
- * Minimum TLS version for secure connections
- * TLS 1.2 is required for modern security standards and PCI-DSS compliance
+ * Reads an additional TLS credential file (PFX bundle, chain, passphrase, CA bundle).
+ * 
+ * Error messages name the environment variable rather than the file path,
+ * matching the path-hiding behaviour of loadCertificates().
+ * 
+ * @param {string} envName - Environment variable holding the file path
+ * @param {string} description - File description used in error messages
+ * @returns {Buffer} File content
+ * @throws {Error} When the file cannot be read or is empty
  */
-const MIN_TLS_VERSION = 'TLSv1.2';
+function readCredentialFile(envName, description) {
+  let content;
+
+  try {
+    content = fs.readFileSync(path.resolve(getSettings()[envName]));
+  } catch (error) {
+    // Avoid exposing full file paths in error messages for security
+    let errorMessage = `Failed to load SSL ${description}: `;
+
+    switch (error.code) {
+      case 'ENOENT':
+        errorMessage += `File not found. Please check the ${envName} environment variable.`;
+        break;
+      case 'EACCES':
+        errorMessage += `Permission denied when reading the ${description}. Please check file permissions.`;
+        break;
+      case 'EISDIR':
+        errorMessage += `The ${description} path points to a directory instead of a file.`;
+        break;
+      default:
+        errorMessage += error.message;
+    }
+
+    throw new Error(errorMessage);
+  }
+
+  if (content.length === 0) {
+    throw new Error(`SSL ${description} file is empty`);
+  }
+
+  return content;
+}
+
+/**
+ * Reads the passphrase of an encrypted private key or PFX bundle.
+ * 
+ * SSL_KEY_PASSPHRASE_FILE takes precedence over SSL_KEY_PASSPHRASE so the
+ * secret can be mounted as a file (Docker/Kubernetes secrets) instead of
+ * being exposed through the process environment.
+ * 
+ * @returns {string|undefined} Passphrase, or undefined when none is configured
+ * @throws {Error} When the passphrase file cannot be read
+ */
+function loadKeyPassphrase() {
+  const settings = getSettings();
+
+  if (settings.SSL_KEY_PASSPHRASE_FILE) {
+    // Secret files usually end with a newline that is not part of the passphrase
+    return readCredentialFile('SSL_KEY_PASSPHRASE_FILE', 'key passphrase')
+      .toString('utf8')
+      .replace(/\r?\n$/, '');
+  }
+
+  return settings.SSL_KEY_PASSPHRASE;
+}
 
 /**
  * Loads SSL/TLS certificates from the file system.
  * 
  * Reads the private key and certificate files from paths specified in
  * environment variables (SSL_KEY_PATH and SSL_CERT_PATH) or falls back
- * to default paths in the ./certs directory.
+ * to default paths in the ./certs directory. Intermediate certificates
+ * from SSL_CHAIN_PATH are appended to the certificate so that clients
+ * receive the full chain.
+ * 
+ * When SSL_PFX_PATH is set, the key and certificate chain are read from
+ * that PFX/PKCS#12 bundle instead. Encrypted keys and bundles are unlocked
+ * with SSL_KEY_PASSPHRASE or SSL_KEY_PASSPHRASE_FILE.
  * 
  * The function uses synchronous file reading since certificate loading
  * occurs during server startup before any requests are handled.
  * 
- * @returns {Object} Certificate object containing key and cert buffers
- * @returns {Buffer} return.key - Private key content as Buffer
- * @returns {Buffer} return.cert - Certificate content as Buffer
+ * @returns {Object} Certificate object containing key and cert buffers, or a PFX bundle
+ * @returns {Buffer} [return.key] - Private key content as Buffer
+ * @returns {Buffer} [return.cert] - Certificate content (with chain) as Buffer
+ * @returns {Buffer} [return.pfx] - PFX/PKCS#12 bundle content (SSL_PFX_PATH only)
+ * @returns {string} [return.passphrase] - Passphrase for the key or bundle
  * 
  * @throws {Error} When certificate files cannot be read (missing, permissions, etc.)
  * 
@@ -71,9 +183,20 @@ const MIN_TLS_VERSION = 'TLSv1.2';
  * }
  */
 function loadCertificates() {
+  const settings = getSettings();
+  const passphrase = loadKeyPassphrase();
+
+  // A PFX bundle replaces the separate key and certificate files
+  if (settings.SSL_PFX_PATH) {
+    return {
+      pfx: readCredentialFile('SSL_PFX_PATH', 'PFX bundle'),
+      passphrase
+    };
+  }
+
   // Read certificate paths from environment or use defaults
-  const keyPath = process.env.SSL_KEY_PATH || DEFAULT_KEY_PATH;
-  const certPath = process.env.SSL_CERT_PATH || DEFAULT_CERT_PATH;
+  const keyPath = settings.SSL_KEY_PATH;
+  const certPath = settings.SSL_CERT_PATH;
 
   // Resolve paths to absolute paths for reliable file loading
   // This handles both relative and absolute paths correctly
@@ -102,7 +225,7 @@ function loadCertificates() {
     // Read certificate files synchronously
     // Using readFileSync is appropriate here as this runs during startup
     const key = fs.readFileSync(resolvedKeyPath);
-    const cert = fs.readFileSync(resolvedCertPath);
+    let cert = fs.readFileSync(resolvedCertPath);
 
     // Validate that files are not empty
     if (key.length === 0) {
@@ -113,9 +236,15 @@ function loadCertificates() {
       throw new Error('SSL certificate file is empty');
     }
 
+    // Send intermediates after the leaf so clients can build the full chain
+    if (settings.SSL_CHAIN_PATH) {
+      cert = Buffer.concat([cert, Buffer.from('\n'), readCredentialFile('SSL_CHAIN_PATH', 'certificate chain')]);
+    }
+
     return {
       key: key,
-      cert: cert
+      cert: cert,
+      passphrase
     };
   } catch (error) {
     // Re-throw custom errors as-is
@@ -145,6 +274,200 @@ function loadCertificates() {
   }
 }
 
+/**
+ * Extracts the certificate chain from a secure context as PEM.
+ * 
+ * Node.js has no PKCS#12 parser, so the certificates of a PFX bundle are read
+ * back from the secure context that OpenSSL built from it. This relies on the
+ * native context handle; when it is not available, null is returned and the
+ * bundle is served without inspection.
+ * 
+ * @param {tls.SecureContext} secureContext - Context created from a PFX bundle
+ * @returns {string|null} Leaf certificate (followed by its issuer when the
+ *   bundle contains it) as PEM, or null when it cannot be read
+ */
+function getContextCertificatePem(secureContext) {
+  const context = secureContext.context;
+
+  if (!context || typeof context.getCertificate !== 'function') {
+    return null;
+  }
+
+  const toPem = (der) => new crypto.X509Certificate(der).toString();
+  const leaf = context.getCertificate();
+
+  if (!leaf) {
+    return null;
+  }
+
+  const issuer = typeof context.getIssuer === 'function' ? context.getIssuer() : null;
+
+  return issuer ? toPem(leaf) + toPem(issuer) : toPem(leaf);
+}
+
+/**
+ * Checks that a certificate is inside its validity period.
+ * 
+ * @param {crypto.X509Certificate} x509 - Parsed leaf certificate
+ * @throws {Error} When the certificate is expired or not yet valid
+ */
+function checkValidityPeriod(x509) {
+  const now = Date.now();
+
+  if (now < Date.parse(x509.validFrom)) {
+    throw new Error(`SSL certificate is not valid until ${x509.validFrom}`);
+  }
+
+  if (now > Date.parse(x509.validTo)) {
+    throw new Error(`SSL certificate expired on ${x509.validTo}`);
+  }
+}
+
+/**
+ * Validates a PFX/PKCS#12 bundle.
+ * 
+ * OpenSSL decrypts the bundle and verifies that its key matches the
+ * certificate while building the secure context.
+ * 
+ * @param {Object} certificates - Certificate object from loadCertificates()
+ * @returns {Object|null} Certificate summary, or null when the bundle cannot be inspected
+ * @throws {Error} When the bundle cannot be decrypted or parsed, or the certificate is expired
+ */
+function validatePfx(certificates) {
+  let secureContext;
+
+  try {
+    secureContext = tls.createSecureContext({ pfx: certificates.pfx, passphrase: certificates.passphrase });
+  } catch (error) {
+    if (/mac verify failure/i.test(error.message)) {
+      throw new Error(
+        'SSL PFX bundle could not be decrypted. ' +
+        'Please check SSL_KEY_PASSPHRASE or SSL_KEY_PASSPHRASE_FILE.'
+      );
+    }
+
+    throw new Error('SSL PFX bundle could not be parsed. Please ensure it is a valid PKCS#12 file.');
+  }
+
+  const certPem = getContextCertificatePem(secureContext);
+
+  if (!certPem) {
+    log.warn('SSL PFX bundle loaded, but its certificate cannot be inspected on this Node.js version');
+    return null;
+  }
+
+  checkValidityPeriod(new crypto.X509Certificate(certPem));
+
+  return inspectCertificate(certPem);
+}
+
+/**
+ * Validates a loaded private key and certificate pair.
+ * 
+ * Ensures that both files parse as PEM, that the certificate was issued for
+ * the private key, and that the certificate is inside its validity period.
+ * Encrypted keys are decrypted with the configured passphrase, and PFX
+ * bundles are unpacked, so a wrong passphrase fails here with a clear message.
+ * Used at startup, so the HTTPS server refuses to start with an expired or
+ * mismatched pair, and before swapping a renewed pair into a running server
+ * so that a bad renewal never replaces a working secure context.
+ * 
+ * @param {Object} certificates - Certificate object from loadCertificates()
+ * @param {Buffer} [certificates.key] - Private key content
+ * @param {Buffer} [certificates.cert] - Certificate content (optionally with chain)
+ * @param {Buffer} [certificates.pfx] - PFX/PKCS#12 bundle content
+ * @param {string} [certificates.passphrase] - Passphrase for the key or bundle
+ * @returns {Object|null} Certificate summary from inspectCertificate() in
+ *   config/certificateMonitor.js (subject, SANs, issuer, notBefore/notAfter,
+ *   key type/size, chain completeness), or null for a PFX bundle that
+ *   cannot be inspected
+ * 
+ * @throws {Error} When the key or certificate cannot be parsed or decrypted,
+ *   the pair does not match, or the certificate is expired or not yet valid
+ * 
+ * @example
+ * const info = validateCertificates(loadCertificates());
+ * console.log(`Certificate valid until ${info.notAfter}`);
+ */
+function validateCertificates(certificates) {
+  if (certificates.pfx) {
+    return validatePfx(certificates);
+  }
+
+  let privateKey;
+  let x509;
+
+  try {
+    privateKey = crypto.createPrivateKey({ key: certificates.key, passphrase: certificates.passphrase });
+  } catch (error) {
+    if (error.code === 'ERR_OSSL_BAD_DECRYPT') {
+      throw new Error(
+        'SSL private key could not be decrypted. ' +
+        'Please check SSL_KEY_PASSPHRASE or SSL_KEY_PASSPHRASE_FILE.'
+      );
+    }
+
+    if (!certificates.passphrase && /ENCRYPTED/.test(certificates.key.toString())) {
+      throw new Error(
+        'SSL private key is encrypted. ' +
+        'Set SSL_KEY_PASSPHRASE or SSL_KEY_PASSPHRASE_FILE to the key passphrase.'
+      );
+    }
+
+    throw new Error('SSL private key could not be parsed. Please ensure it is a valid PEM private key.');
+  }
+
+  try {
+    x509 = new crypto.X509Certificate(certificates.cert);
+  } catch (error) {
+    throw new Error('SSL certificate could not be parsed. Please ensure it is a valid PEM certificate.');
+  }
+
+  if (!x509.checkPrivateKey(privateKey)) {
+    throw new Error('SSL certificate does not match the private key');
+  }
+
+  checkValidityPeriod(x509);
+
+  return inspectCertificate(certificates.cert);
+}
+
+/**
+ * Reads the mutual TLS client certificate mode from the environment.
+ * 
+ * - off: Client certificates are not requested
+ * - optional: Certificates are requested and verified, but the handshake
+ *   succeeds without one so routes can answer with a JSON 401/403
+ *   (see middleware/clientCertificate.js)
+ * - require: Handshakes without a trusted certificate are rejected
+ * 
+ * @returns {string} 'off', 'optional' or 'require' (validated by config/settings.js)
+ */
+function getClientAuthMode() {
+  return getSettings().SSL_CLIENT_AUTH;
+}
+
+/**
+ * Loads the CA bundle used to verify client certificates.
+ * 
+ * The bundle may contain several PEM certificates (e.g. an internal root
+ * and intermediates). Only certificates chaining to this bundle are trusted;
+ * the system CA store is not used for client authentication.
+ * 
+ * @returns {Buffer} CA bundle content
+ * @throws {Error} When SSL_CLIENT_CA_PATH is unset or the file cannot be read
+ */
+function loadClientCa() {
+  if (!getSettings().SSL_CLIENT_CA_PATH) {
+    throw new Error(
+      'SSL client CA bundle not configured. ' +
+      'Set SSL_CLIENT_CA_PATH when SSL_CLIENT_AUTH is enabled.'
+    );
+  }
+
+  return readCredentialFile('SSL_CLIENT_CA_PATH', 'client CA bundle');
+}
+
 /**
  * Builds HTTPS server options with loaded certificates and security settings.
  * 
@@ -152,15 +475,28 @@ function loadCertificates() {
  * to create a complete options object for https.createServer().
  * 
  * Security settings include:
- * - Minimum TLS version 1.2 (mitigates POODLE, BEAST, and other legacy vulnerabilities)
- * - Modern cipher suite preferences handled by Node.js defaults
+ * - Protocol range, ciphers, ECDH curves, signature algorithms and session
+ *   settings from the active TLS profile (SSL_PROFILE, default 'intermediate':
+ *   TLS 1.2+ with forward-secret AEAD ciphers)
+ * - Client certificate verification when SSL_CLIENT_AUTH is enabled
  * 
  * @returns {Object} HTTPS server options object
- * @returns {Buffer} return.key - Private key content
- * @returns {Buffer} return.cert - Certificate content
- * @returns {string} return.minVersion - Minimum TLS version (TLSv1.2)
+ * @returns {Buffer} [return.key] - Private key content
+ * @returns {Buffer} [return.cert] - Certificate content (with chain)
+ * @returns {Buffer} [return.pfx] - PFX/PKCS#12 bundle content
+ * @returns {string} [return.passphrase] - Passphrase for the key or bundle
+ * @returns {string} return.minVersion - Minimum TLS version of the profile
+ * @returns {string} return.maxVersion - Maximum TLS version of the profile
+ * @returns {string} return.ciphers - Cipher list of the profile
+ * @returns {string} return.ecdhCurve - ECDH curves of the profile
+ * @returns {string} return.sigalgs - Signature algorithms of the profile
+ * @returns {boolean} return.honorCipherOrder - Server cipher preference
+ * @returns {number} return.sessionTimeout - Session resumption lifetime in seconds
+ * @returns {Buffer} [return.ca] - Client CA bundle (mutual TLS only)
+ * @returns {boolean} [return.requestCert] - Request client certificates (mutual TLS only)
+ * @returns {boolean} [return.rejectUnauthorized] - Reject untrusted clients during the handshake
  * 
- * @throws {Error} When certificate loading fails
+ * @throws {Error} When certificate loading fails or the TLS profile is invalid
  * 
  * @example
  * const options = getHttpsOptions();
@@ -172,24 +508,144 @@ function getHttpsOptions() {
 
   // Build complete HTTPS options object with security settings
   const httpsOptions = {
-    // Certificate credentials
-    key: certificates.key,
-    cert: certificates.cert,
-
-    // Enforce minimum TLS version for security
-    // TLS 1.2 is the minimum version recommended by OWASP and required for PCI-DSS
-    minVersion: MIN_TLS_VERSION,
-
-    // Additional security settings for production environments
-    // These use Node.js secure defaults which include:
-    // - Secure cipher suite ordering
-    // - Proper certificate chain handling
-    // - Session resumption support
+    // Certificate credentials: key/cert (with chain) or a PFX bundle,
+    // plus the passphrase for encrypted keys
+    ...certificates,
+
+    // Protocol versions, ciphers, curves, signature algorithms and session
+    // settings from the selected TLS profile (Mozilla server-side TLS guidelines)
+    ...getTlsProfile().settings
   };
 
+  // Mutual TLS: ask clients for a certificate and verify it against the CA bundle
+  const clientAuthMode = getClientAuthMode();
+
+  if (clientAuthMode !== 'off') {
+    httpsOptions.ca = loadClientCa();
+    httpsOptions.requestCert = true;
+    httpsOptions.rejectUnauthorized = clientAuthMode === 'require';
+  }
+
   return httpsOptions;
 }
 
+/**
+ * Reloads certificates from disk and applies them to a running HTTPS server.
+ * 
+ * Builds a fresh set of HTTPS options, validates the new key/cert pair and
+ * swaps the server's secure context. SNI certificates (if configured) are
+ * rebuilt in the same step. New TLS connections use the new certificates
+ * immediately; established connections are not interrupted. If anything is
+ * invalid, the current secure context and SNI table are kept.
+ * 
+ * Emits 'certificatesReloaded' with the certificate summary on success and
+ * 'certificateReloadFailed' with the error on failure.
+ * 
+ * @param {https.Server} server - HTTPS server created by createSecureServer()
+ * @returns {boolean} True when the new certificates were applied
+ * 
+ * @example
+ * // Trigger a reload manually, e.g. from a renewal hook
+ * process.on('SIGUSR2', () => reloadCertificates(httpsServer));
+ */
+function reloadCertificates(server) {
+  try {
+    const httpsOptions = getHttpsOptions();
+    const info = validateCertificates(httpsOptions);
+
+    if (server.sniResolver) {
+      server.sniResolver.reload(httpsOptions);
+    }
+
+    server.setSecureContext(httpsOptions);
+
+    if (info) {
+      recordCertificate('default', info);
+      log.info('SSL certificates reloaded', { validUntil: info.notAfter, fingerprint: info.fingerprint });
+    } else {
+      log.info('SSL certificates reloaded');
+    }
+
+    server.emit('certificatesReloaded', info);
+    return true;
+  } catch (error) {
+    log.error('SSL certificate reload rejected, keeping current certificates', { error: error.message });
+    server.emit('certificateReloadFailed', error);
+    return false;
+  }
+}
+
+/**
+ * Watches the configured key and certificate files and reloads them on change.
+ * The PFX bundle, chain, passphrase and client CA files are watched as well
+ * when configured, and so are SNI certificate files.
+ * 
+ * The parent directories are watched rather than the files themselves because
+ * renewal tools (certbot, cert-manager, acme.sh) typically replace files via
+ * rename or symlink swaps, which would orphan a watch on the old inode.
+ * Changes are debounced so the key and certificate are read together.
+ * 
+ * The watchers are closed automatically when the server closes.
+ * 
+ * @param {https.Server} server - HTTPS server created by createSecureServer()
+ * @param {Object} [options] - Watch options
+ * @param {number} [options.debounceMs=1000] - Delay before reloading after a change
+ * @returns {Function} Function that stops watching
+ */
+function watchCertificates(server, options = {}) {
+  const settings = getSettings();
+  const debounceMs = options.debounceMs !== undefined
+    ? options.debounceMs
+    : settings.SSL_RELOAD_DEBOUNCE_MS;
+
+  const watchedFiles = new Set([
+    ...(settings.SSL_PFX_PATH
+      ? [path.resolve(settings.SSL_PFX_PATH)]
+      : [
+        path.resolve(settings.SSL_KEY_PATH),
+        path.resolve(settings.SSL_CERT_PATH)
+      ]),
+    ...['SSL_CHAIN_PATH', 'SSL_KEY_PASSPHRASE_FILE', 'SSL_CLIENT_CA_PATH']
+      .filter((envName) => settings[envName])
+      .map((envName) => path.resolve(settings[envName])),
+    ...(server.sniResolver ? server.sniResolver.files() : [])
+  ]);
+  const watchedDirs = [...new Set([...watchedFiles].map((file) => path.dirname(file)))];
+
+  let reloadTimer = null;
+
+  const scheduleReload = (dir, filename) => {
+    // Some platforms omit the filename; reload in that case to be safe
+    if (filename && !watchedFiles.has(path.join(dir, filename.toString()))) {
+      return;
+    }
+
+    clearTimeout(reloadTimer);
+    reloadTimer = setTimeout(() => reloadCertificates(server), debounceMs);
+  };
+
+  const watchers = watchedDirs.map((dir) => {
+    const watcher = fs.watch(dir, { persistent: false }, (eventType, filename) => {
+      scheduleReload(dir, filename);
+    });
+
+    watcher.on('error', (error) => {
+      log.error('SSL certificate watcher error', { directory: dir, error: error.message });
+    });
+
+    return watcher;
+  });
+
+  const stop = () => {
+    clearTimeout(reloadTimer);
+    watchers.forEach((watcher) => watcher.close());
+  };
+
+  server.once('close', stop);
+
+  return stop;
+}
+
 /**
  * Creates and starts an HTTPS server with the Express application.
  * 
@@ -202,10 +658,16 @@ function getHttpsOptions() {
  * - Connection tracking
  * - Additional event listeners
  * 
+ * Unless SSL_WATCH is set to 'false', the key and certificate files are
+ * watched and renewed certificates are applied without a restart
+ * (see watchCertificates()).
+ * 
  * @param {Object} app - Express application instance to handle requests
- * @param {number} [port=443] - Port number for HTTPS server (default: 443)
+ * @param {number|string|Object} [port=443] - Port number, unix socket path,
+ *   'fd:N' or 'systemd[:name]' (see config/listenTarget.js), or a parsed listen target
  * 
- * @returns {https.Server} The created HTTPS server instance
+ * @returns {https.Server|http2.Http2SecureServer} The created server instance
+ *   (an HTTP/2 server accepting HTTP/1.1 when ENABLE_HTTP2 is 'true')
  * 
  * @throws {Error} When certificate loading fails
  * @throws {Error} When server cannot bind to the specified port
@@ -229,39 +691,87 @@ function getHttpsOptions() {
  * });
  */
 function createSecureServer(app, port = DEFAULT_HTTPS_PORT) {
-  // Validate port parameter
-  const portNumber = parseInt(port, 10);
-  
-  if (isNaN(portNumber) || portNumber < 0 || portNumber > 65535) {
-    throw new Error(`Invalid port number: ${port}. Port must be between 0 and 65535.`);
-  }
+  // Validate the port, socket path or file descriptor
+  const target = typeof port === 'object'
+    ? port
+    : parseListenTarget(port, { envName: 'HTTPS_PORT', systemdIndex: 1 });
+  const targetDescription = describeListenTarget(target);
 
   // Log that HTTPS server is being initialized
-  console.log('Initializing HTTPS server...');
+  log.info('Initializing HTTPS server');
 
   try {
     // Get HTTPS options including certificates and TLS settings
     const httpsOptions = getHttpsOptions();
 
+    // Refuse to start with an unparseable, mismatched or expired certificate
+    const certificateInfo = validateCertificates(httpsOptions);
+
+    if (certificateInfo) {
+      recordCertificate('default', certificateInfo);
+    }
+
+    // Resolve per-hostname certificates via SNI when configured
+    const sniResolver = createSniResolver(httpsOptions);
+
+    if (sniResolver) {
+      httpsOptions.SNICallback = sniResolver.SNICallback;
+      log.info('SNI certificates loaded', { hostnames: sniResolver.hostnames() });
+    }
+
     // Create the HTTPS server with the Express app as the request handler
-    const server = https.createServer(httpsOptions, app);
+    // (HTTP/2 negotiates 'h2' via ALPN and falls back to HTTP/1.1), with the
+    // same timeouts and connection limits as the HTTP server
+    const limits = getServerLimits();
+    const serverOptions = { ...httpsOptions, ...getServerOptions(limits) };
+    const server = isHttp2Enabled()
+      ? createHttp2SecureServer(serverOptions, app)
+      : https.createServer(serverOptions, app);
+
+    applyServerLimits(server, 'HTTPS', limits);
+
+    // Read client addresses from TCP load balancers before the TLS handshake
+    if (isProxyProtocolEnabled()) {
+      applyProxyProtocol(server, 'HTTPS');
+    }
+
+    // Keep the resolver reachable for certificate reloads
+    server.sniResolver = sniResolver;
+
+    // Warn ahead of certificate expiry while the server runs
+    server.once('close', startExpiryMonitor());
+
+    // Let instances behind a load balancer resume each other's sessions
+    if (getSettings().SSL_TICKET_KEYS_PATH) {
+      server.once('close', startTicketKeyRotation(server));
+    }
+
+    trackSessionResumption(server);
 
     // Handle server errors
     server.on('error', (error) => {
       if (error.code === 'EADDRINUSE') {
-        console.error(`HTTPS Server Error: Port ${portNumber} is already in use`);
+        log.error('HTTPS listen address is already in use', { listen: targetDescription });
       } else if (error.code === 'EACCES') {
-        console.error(`HTTPS Server Error: Permission denied for port ${portNumber}. ` +
-          (portNumber < 1024 ? 'Ports below 1024 require elevated privileges.' : ''));
+        log.error('HTTPS server permission denied', {
+          listen: targetDescription,
+          ...(isPortTarget(target) && target.port < 1024
+            ? { hint: 'Ports below 1024 require elevated privileges' }
+            : {})
+        });
       } else {
-        console.error(`HTTPS Server Error: ${error.message}`);
+        log.error('HTTPS server error', { listen: targetDescription, err: error });
       }
     });
 
     // Handle TLS/SSL handshake errors
     server.on('tlsClientError', (error, tlsSocket) => {
       // Log TLS errors without exposing sensitive details
-      console.error('TLS Client Error: Secure connection failed');
+      log.error('TLS client error: secure connection failed', {
+        code: error.code,
+        ip: tlsSocket ? getConnectionAddress(tlsSocket) : undefined
+      });
+      recordTlsClientError(error);
       
       // Destroy the socket to clean up resources
       if (tlsSocket && !tlsSocket.destroyed) {
@@ -269,10 +779,24 @@ function createSecureServer(app, port = DEFAULT_HTTPS_PORT) {
       }
     });
 
-    // Start listening on the specified port
-    server.listen(portNumber, () => {
-      console.log(`HTTPS Server running on port ${portNumber}`);
-      console.log(`TLS minimum version: ${MIN_TLS_VERSION}`);
+    // Pick up renewed certificates without dropping connections
+    if (getSettings().SSL_WATCH) {
+      try {
+        watchCertificates(server);
+      } catch (error) {
+        // A missing watch capability should not prevent the server from starting
+        log.warn('SSL certificate watching disabled', { error: error.message });
+      }
+    }
+
+    // Start listening on the specified port, socket or inherited descriptor
+    server.listen(toListenArgument(target), () => {
+      log.info('HTTPS server listening', {
+        address: describeListenAddress(server, target),
+        tlsProfile: describeTlsProfile(),
+        protocols: isHttp2Enabled() ? 'HTTP/2, HTTP/1.1 (ALPN)' : 'HTTP/1.1',
+        ...(httpsOptions.requestCert ? { clientAuth: getClientAuthMode() } : {})
+      });
     });
 
     // Return the server instance for external management
@@ -280,7 +804,7 @@ function createSecureServer(app, port = DEFAULT_HTTPS_PORT) {
 
   } catch (error) {
     // Log the error for debugging (without exposing sensitive details)
-    console.error('Failed to create HTTPS server:', error.message);
+    log.error('Failed to create HTTPS server', { error: error.message });
     
     // Re-throw to allow caller to handle the error
     throw error;
@@ -291,5 +815,9 @@ function createSecureServer(app, port = DEFAULT_HTTPS_PORT) {
 module.exports = {
   createSecureServer,
   loadCertificates,
-  getHttpsOptions
+  getHttpsOptions,
+  getClientAuthMode,
+  validateCertificates,
+  reloadCertificates,
+  watchCertificates
 };
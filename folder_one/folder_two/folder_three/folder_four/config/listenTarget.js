@@ -0,0 +1,299 @@
+/**
+ * Listen Target Module
+ *
+ * Lets PORT and HTTPS_PORT name something other than a TCP port, for
+ * deployments behind a local reverse proxy or under a service manager:
+ *
+ *   3000                     - TCP port (0 for an ephemeral port)
+ *   /run/app/http.sock       - Unix domain socket (any value containing '/')
+ *   unix:http.sock           - Unix domain socket, path relative to the working directory
+ *   fd:3                     - Listening socket inherited as file descriptor 3
+ *   systemd                  - systemd socket activation (LISTEN_FDS): PORT takes
+ *                              the first passed socket, HTTPS_PORT the second
+ *   systemd:https            - systemd socket by FileDescriptorName= (LISTEN_FDNAMES)
+ *
+ * Unix sockets left behind by a crashed process are removed before listening,
+ * but only when nothing accepts connections on them any more; a path that is
+ * in use or is not a socket is never removed. Sockets are removed again when
+ * the server closes (Node.js unlinks them in server.close()). Inherited file
+ * descriptors are owned by the parent process and left alone.
+ *
+ * Environment Variables:
+ *   UNIX_SOCKET_MODE - Octal permissions applied to Unix sockets after binding
+ *                      (e.g. 660 to allow the proxy's group; default: umask)
+ *   LISTEN_FDS / LISTEN_PID / LISTEN_FDNAMES - Set by systemd socket activation
+ *
+ * @module config/listenTarget
+ */
+
+'use strict';
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+
+/**
+ * First file descriptor passed by systemd (SD_LISTEN_FDS_START)
+ */
+const SD_LISTEN_FDS_START = 3;
+
+/**
+ * Reads the sockets passed by systemd socket activation.
+ *
+ * LISTEN_FDS only applies to the process named in LISTEN_PID, so variables
+ * inherited by a child process are ignored.
+ *
+ * @returns {Array<{fd: number, name: string}>} Passed sockets in order
+ */
+function getSystemdSockets() {
+  const count = parseInt(process.env.LISTEN_FDS, 10);
+
+  if (!count || parseInt(process.env.LISTEN_PID, 10) !== process.pid) {
+    return [];
+  }
+
+  const names = (process.env.LISTEN_FDNAMES || '').split(':');
+
+  return Array.from({ length: count }, (value, index) => ({
+    fd: SD_LISTEN_FDS_START + index,
+    name: names[index] || ''
+  }));
+}
+
+/**
+ * Resolves a systemd socket-activation target to a file descriptor.
+ *
+ * @param {string} name - FileDescriptorName, or '' to select by position
+ * @param {number} index - Position used when no name is given
+ * @param {string} envName - Variable name for error messages
+ * @returns {number} File descriptor
+ * @throws {Error} When no matching socket was passed
+ */
+function resolveSystemdSocket(name, index, envName) {
+  const sockets = getSystemdSockets();
+
+  if (sockets.length === 0) {
+    throw new Error(
+      `${envName}=systemd requires socket activation, but no sockets were passed (LISTEN_FDS/LISTEN_PID)`
+    );
+  }
+
+  const socket = name
+    ? sockets.find((candidate) => candidate.name === name)
+    : sockets[index];
+
+  if (!socket) {
+    throw new Error(
+      name
+        ? `${envName}: systemd passed no socket named '${name}' (LISTEN_FDNAMES)`
+        : `${envName}: systemd passed ${sockets.length} socket(s), none at position ${index + 1}`
+    );
+  }
+
+  return socket.fd;
+}
+
+/**
+ * Parses a listen target from PORT/HTTPS_PORT syntax.
+ *
+ * @param {number|string} value - Port, socket path, 'fd:N', 'systemd' or 'systemd:NAME'
+ * @param {Object} [options] - Parse options
+ * @param {string} [options.envName='PORT'] - Variable name for error messages
+ * @param {number} [options.systemdIndex=0] - Socket position used for a plain 'systemd'
+ * @returns {Object} Listen target: `{ type: 'port', port }`, `{ type: 'unix', path }`
+ *   or `{ type: 'fd', fd }`
+ * @throws {Error} When the value is not a valid listen target
+ *
+ * @example
+ * parseListenTarget('3000');                 // { type: 'port', port: 3000 }
+ * parseListenTarget('/run/app/http.sock');   // { type: 'unix', path: '/run/app/http.sock' }
+ * parseListenTarget('fd:3');                 // { type: 'fd', fd: 3 }
+ */
+function parseListenTarget(value, options = {}) {
+  const envName = options.envName || 'PORT';
+  const text = String(value).trim();
+
+  if (/^\d+$/.test(text)) {
+    const port = parseInt(text, 10);
+
+    if (port > 65535) {
+      throw new Error(`Invalid ${envName}: ${text}. Port must be between 0 and 65535.`);
+    }
+
+    return { type: 'port', port };
+  }
+
+  const fdMatch = /^fd:(\d+)$/.exec(text);
+
+  if (fdMatch) {
+    return { type: 'fd', fd: parseInt(fdMatch[1], 10) };
+  }
+
+  const systemdMatch = /^systemd(?::(.+))?$/.exec(text);
+
+  if (systemdMatch) {
+    return {
+      type: 'fd',
+      fd: resolveSystemdSocket(systemdMatch[1] || '', options.systemdIndex || 0, envName)
+    };
+  }
+
+  if (text.startsWith('unix:') || text.includes('/')) {
+    const socketPath = text.replace(/^unix:/, '');
+
+    if (!socketPath) {
+      throw new Error(`Invalid ${envName}: unix socket path is empty`);
+    }
+
+    return { type: 'unix', path: path.resolve(socketPath) };
+  }
+
+  throw new Error(
+    `Invalid ${envName}: '${text}'. Use a port number, a unix socket path, fd:N or systemd[:name].`
+  );
+}
+
+/**
+ * Reports whether a listen target is a TCP port.
+ *
+ * @param {Object} target - Target from parseListenTarget()
+ * @returns {boolean} True for TCP ports
+ */
+function isPortTarget(target) {
+  return target.type === 'port';
+}
+
+/**
+ * Converts a listen target to the argument of server.listen().
+ *
+ * @param {Object} target - Target from parseListenTarget()
+ * @returns {number|string|Object} Port, socket path or `{ fd }` handle
+ */
+function toListenArgument(target) {
+  switch (target.type) {
+    case 'unix':
+      return target.path;
+    case 'fd':
+      return { fd: target.fd };
+    default:
+      return target.port;
+  }
+}
+
+/**
+ * Removes a Unix socket left behind by a process that did not shut down cleanly.
+ *
+ * The path is only removed when it is a socket nobody accepts connections
+ * on; otherwise binding fails with EADDRINUSE as usual. Does nothing for
+ * other target types.
+ *
+ * Cluster workers must not call this: their listen() is performed by the
+ * supervisor, so a socket bound for one worker would look stale to the next.
+ * cluster.js cleans up before forking instead.
+ *
+ * @param {Object} target - Target from parseListenTarget()
+ * @returns {Promise<void>} Resolves once the path is free (or in use by another process)
+ * @throws {Error} When the path exists but is not a socket (rejected)
+ */
+function removeStaleSocket(target) {
+  if (target.type !== 'unix') {
+    return Promise.resolve();
+  }
+
+  let stats;
+
+  try {
+    stats = fs.lstatSync(target.path);
+  } catch (error) {
+    // Nothing to clean up; bind errors (e.g. missing directory) surface on listen
+    return Promise.resolve();
+  }
+
+  if (!stats.isSocket()) {
+    return Promise.reject(new Error(
+      `Cannot listen on ${target.path}: path exists and is not a socket`
+    ));
+  }
+
+  return new Promise((resolve) => {
+    const probe = net.connect(target.path);
+
+    probe.once('connect', () => {
+      // Another server owns the socket; listen() reports EADDRINUSE
+      probe.destroy();
+      resolve();
+    });
+
+    probe.once('error', (error) => {
+      if (error.code === 'ECONNREFUSED') {
+        try {
+          fs.unlinkSync(target.path);
+          // Required here: config/settings.js loads this module, and the logger loads the settings
+          require('./logger').createLogger('listenTarget').info('Removed stale unix socket', { path: target.path });
+        } catch (unlinkError) {
+          // Removed by someone else in the meantime; listen() reports other problems
+        }
+      }
+
+      resolve();
+    });
+  });
+}
+
+/**
+ * Applies UNIX_SOCKET_MODE to a bound Unix socket.
+ *
+ * @param {Object} target - Target from parseListenTarget()
+ */
+function applySocketMode(target) {
+  // Required here: config/settings.js loads this module, and validates UNIX_SOCKET_MODE
+  const mode = require('./settings').getSettings().UNIX_SOCKET_MODE;
+
+  if (target.type !== 'unix' || !mode) {
+    return;
+  }
+
+  fs.chmodSync(target.path, parseInt(mode, 8));
+}
+
+/**
+ * Describes a listen target before it is bound, for error messages.
+ *
+ * @param {Object} target - Target from parseListenTarget()
+ * @returns {string} e.g. 'port 3000', 'unix socket /run/app/http.sock', 'fd 3'
+ */
+function describeListenTarget(target) {
+  switch (target.type) {
+    case 'unix':
+      return `unix socket ${target.path}`;
+    case 'fd':
+      return `fd ${target.fd}`;
+    default:
+      return `port ${target.port}`;
+  }
+}
+
+/**
+ * Describes where a listening server accepts connections, for startup logs.
+ *
+ * @param {net.Server} server - Listening server
+ * @param {Object} target - Target the server was started with
+ * @returns {string} e.g. 'port 3000', 'unix socket /run/app/http.sock', 'fd 3 (port 443)'
+ */
+function describeListenAddress(server, target) {
+  const address = server.address();
+  const bound = typeof address === 'string' ? `unix socket ${address}` : `port ${address.port}`;
+
+  return target.type === 'fd' ? `${describeListenTarget(target)} (${bound})` : bound;
+}
+
+module.exports = {
+  parseListenTarget,
+  isPortTarget,
+  toListenArgument,
+  removeStaleSocket,
+  applySocketMode,
+  describeListenTarget,
+  describeListenAddress,
+  getSystemdSockets
+};
@@ -0,0 +1,373 @@
+/**
+ * Logger Module
+ *
+ * Structured logging for the server. Every record has a level, the module
+ * that wrote it, a fixed message and optional fields, so a log pipeline can
+ * filter on `level` or `module` and aggregate on fields such as `ip` without
+ * parsing free-form text.
+ *
+ * Output formats (LOG_FORMAT):
+ * - json (default in production): one JSON object per line on stdout
+ *
+ *     {"time":"2024-01-15T10:30:00.000Z","level":"warn","pid":4211,"module":"rateLimiter",
+ *      "requestId":"9b2c7f0e-...","msg":"Rate limit exceeded","limiter":"standard","ip":"203.0.113.7",...}
+ *
+ * - pretty (default otherwise): one readable line per record, on stderr for
+ *   warnings and errors like console.warn/console.error; records with many
+ *   fields list them on the following lines, error stacks are indented below
+ *
+ *     10:30:00.000 WARN  rateLimiter: Rate limit exceeded limiter=standard ip=203.0.113.7 path=/login
+ *
+ * Records below LOG_LEVEL (error > warn > info > debug) are dropped.
+ *
+ * Fields whose name ends in a sensitive name are replaced by '[REDACTED]' at
+ * any depth: authorization, cookie, password, passphrase, secret, token and
+ * apikey (so `headers.authorization`, `set-cookie`, `newPassword` and
+ * `METRICS_TOKEN` are all covered), plus the names in LOG_REDACT. Names are
+ * compared case-insensitively, ignoring '-' and '_'.
+ *
+ * Error values (conventionally the `err` field) are written as their type,
+ * message, code and stack.
+ *
+ * Records written while a request is handled carry its ID as `requestId`
+ * (see middleware/requestId.js), so all records of one request can be
+ * found from the X-Request-Id a client reports.
+ *
+ * Environment Variables:
+ *   LOG_LEVEL  - error, warn, info or debug (default: info)
+ *   LOG_FORMAT - json or pretty (default: json in production, pretty otherwise)
+ *   LOG_REDACT - Comma-separated additional field names to redact
+ *
+ * @module config/logger
+ *
+ * @example
+ * const { createLogger } = require('./config/logger');
+ * const log = createLogger('payments');
+ *
+ * log.info('Charge created', { orderId, amount });
+ * log.warn('Upstream slow', { durationMs });
+ * log.error('Charge failed', { err: error, headers: req.headers }); // authorization redacted
+ *
+ * // Child loggers add fields to every record
+ * const serverLog = log.child({ server: 'HTTPS' });
+ */
+
+'use strict';
+
+const { getSettings } = require('./settings');
+const { getRequestId } = require('./requestContext');
+
+/**
+ * Levels from most to least severe
+ * @constant {string[]}
+ */
+const LEVELS = ['error', 'warn', 'info', 'debug'];
+
+/**
+ * Field name endings that are always redacted (normalized, see normalizeName())
+ * @constant {string[]}
+ */
+const REDACTED_NAMES = ['authorization', 'cookie', 'password', 'passphrase', 'secret', 'token', 'apikey'];
+
+/**
+ * Replacement for redacted values
+ */
+const REDACTED = '[REDACTED]';
+
+/**
+ * Nesting depth below which field values are summarized
+ */
+const MAX_DEPTH = 6;
+
+/**
+ * Pretty records longer than this list their fields on separate lines
+ */
+const PRETTY_LINE_LENGTH = 120;
+
+/**
+ * Logging configuration, read from the settings on the first record
+ * @type {{threshold: number, format: string, redacted: string[]}|null}
+ */
+let config = null;
+
+/**
+ * Returns the logging configuration.
+ *
+ * Read lazily, so that settings applied before the first record (e.g. by the
+ * command-line tool) take effect. Invalid values fall back to their defaults
+ * here; startup validation reports them.
+ *
+ * @returns {{threshold: number, format: string, redacted: string[]}} Configuration
+ */
+function getConfig() {
+  if (!config) {
+    const settings = getSettings();
+
+    config = {
+      threshold: LEVELS.indexOf(settings.LOG_LEVEL),
+      format: settings.LOG_FORMAT,
+      redacted: [...REDACTED_NAMES, ...settings.LOG_REDACT.map(normalizeName)]
+    };
+  }
+
+  return config;
+}
+
+// =============================================================================
+// FIELD SERIALIZATION
+// =============================================================================
+
+/**
+ * Normalizes a field name for redaction: 'Set-Cookie' and 'set_cookie'
+ * become 'setcookie'.
+ *
+ * @param {string} name - Field name
+ * @returns {string} Lower-case name without '-' and '_'
+ */
+function normalizeName(name) {
+  return String(name).toLowerCase().replace(/[-_]/g, '');
+}
+
+/**
+ * Checks whether a field holds a sensitive value.
+ *
+ * @param {string} name - Field name
+ * @returns {boolean} True when the value must be redacted
+ */
+function isRedacted(name) {
+  const normalized = normalizeName(name);
+  return getConfig().redacted.some((redacted) => normalized.endsWith(redacted));
+}
+
+/**
+ * Converts an error into a plain object.
+ *
+ * @param {Error} error - Error to serialize
+ * @returns {Object} type, message, code (when set) and stack
+ */
+function serializeError(error) {
+  const serialized = { type: error.name, message: error.message };
+
+  if (error.code !== undefined) {
+    serialized.code = error.code;
+  }
+
+  serialized.stack = error.stack;
+  return serialized;
+}
+
+/**
+ * Converts a field value into JSON-safe data, redacting sensitive fields.
+ *
+ * @param {*} value - Field value
+ * @param {number} depth - Current nesting depth
+ * @param {WeakSet<Object>} seen - Objects on the current path, to stop at cycles
+ * @returns {*} Serializable value
+ */
+function serializeValue(value, depth, seen) {
+  if (value instanceof Error) {
+    return serializeError(value);
+  }
+
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+
+  if (value === null || typeof value !== 'object') {
+    return typeof value === 'function' ? `[Function ${value.name || 'anonymous'}]` : value;
+  }
+
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+
+  if (Buffer.isBuffer(value)) {
+    return `[Buffer ${value.length} bytes]`;
+  }
+
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+
+  if (depth >= MAX_DEPTH) {
+    return Array.isArray(value) ? '[Array]' : '[Object]';
+  }
+
+  seen.add(value);
+
+  let serialized;
+
+  if (Array.isArray(value)) {
+    serialized = value.map((item) => serializeValue(item, depth + 1, seen));
+  } else {
+    serialized = {};
+    Object.keys(value).forEach((name) => {
+      serialized[name] = isRedacted(name) ? REDACTED : serializeValue(value[name], depth + 1, seen);
+    });
+  }
+
+  seen.delete(value);
+  return serialized;
+}
+
+// =============================================================================
+// OUTPUT
+// =============================================================================
+
+/**
+ * Formats a field value for a pretty record.
+ *
+ * @param {*} value - Serialized value
+ * @param {boolean} inline - Whether other fields follow on the same line, in
+ *   which case strings with spaces are quoted
+ * @returns {string} Bare strings and numbers; JSON for everything else
+ */
+function formatPrettyValue(value, inline) {
+  if (typeof value === 'string') {
+    return inline && (value === '' || /[\s"=]/.test(value)) ? JSON.stringify(value) : value;
+  }
+
+  if (Array.isArray(value) && value.every((item) => typeof item !== 'object' || item === null)) {
+    return value.join(', ');
+  }
+
+  return typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Formats a field on its own line; lists of several values get one line per
+ * value, so e.g. configuration problems stay readable.
+ *
+ * @param {string} key - Field name
+ * @param {*} value - Serialized value
+ * @returns {string} Indented line(s)
+ */
+function formatPrettyField(key, value) {
+  if (Array.isArray(value) && value.length > 1 && value.every((item) => typeof item === 'string')) {
+    return [`    ${key}:`, ...value.map((item) => `      - ${item}`)].join('\n');
+  }
+
+  return `    ${key}: ${formatPrettyValue(value, false)}`;
+}
+
+/**
+ * Formats a record for people.
+ *
+ * @param {Object} record - Serialized record
+ * @returns {string} One or more lines
+ */
+function formatPretty(record) {
+  const { time, level, pid, module: name, requestId, msg, ...fields } = record;
+  const header = `${time.slice(11, 23)} ${level.toUpperCase().padEnd(5)} ${name}: ${msg}`;
+  const stacks = [];
+  const pairs = [];
+
+  // The request ID goes last, after the fields people read first
+  Object.entries(requestId ? { ...fields, requestId } : fields).forEach(([key, value]) => {
+    if (value && typeof value === 'object' && typeof value.stack === 'string' && value.message !== undefined) {
+      // Serialized error: message inline, stack below
+      pairs.push([key, value.code === undefined ? value.message : `${value.message} (${value.code})`]);
+      stacks.push(value.stack.split('\n').map((line) => `    ${line.trim()}`).join('\n'));
+    } else {
+      pairs.push([key, value]);
+    }
+  });
+
+  const inline = pairs.map(([key, value]) => `${key}=${formatPrettyValue(value, true)}`).join(' ');
+  const lines = header.length + inline.length < PRETTY_LINE_LENGTH
+    ? [inline ? `${header} ${inline}` : header]
+    : [header, ...pairs.map(([key, value]) => formatPrettyField(key, value))];
+
+  return [...lines, ...stacks].join('\n');
+}
+
+/**
+ * Writes one record.
+ *
+ * @param {string} level - Record level
+ * @param {Object} bindings - Fields of the (child) logger
+ * @param {string} message - Message
+ * @param {Object} [fields] - Record fields
+ */
+function writeRecord(level, bindings, message, fields) {
+  const { threshold, format } = getConfig();
+
+  if (LEVELS.indexOf(level) > threshold) {
+    return;
+  }
+
+  const requestId = getRequestId();
+  const record = {
+    time: new Date().toISOString(),
+    level,
+    pid: process.pid,
+    ...serializeValue(bindings, 0, new WeakSet()),
+    ...(requestId ? { requestId } : {}),
+    msg: message,
+    ...(fields ? serializeValue(fields, 0, new WeakSet()) : {})
+  };
+
+  if (format === 'json') {
+    process.stdout.write(`${JSON.stringify(record)}\n`);
+  } else {
+    const stream = level === 'error' || level === 'warn' ? process.stderr : process.stdout;
+    stream.write(`${formatPretty(record)}\n`);
+  }
+}
+
+// =============================================================================
+// LOGGERS
+// =============================================================================
+
+/**
+ * Builds a logger writing the given fields with every record.
+ *
+ * @param {Object} bindings - Fields of every record, including module
+ * @returns {Object} Logger
+ */
+function buildLogger(bindings) {
+  const logger = {
+    /**
+     * Creates a logger that adds fields to every record.
+     *
+     * @param {Object} fields - Additional fields
+     * @returns {Object} Child logger
+     */
+    child: (fields) => buildLogger({ ...bindings, ...fields }),
+
+    /**
+     * Checks whether records of a level are written, to skip building
+     * expensive fields.
+     *
+     * @param {string} level - 'error', 'warn', 'info' or 'debug'
+     * @returns {boolean} True when the level is written
+     */
+    isLevelEnabled: (level) => LEVELS.indexOf(level) <= getConfig().threshold
+  };
+
+  LEVELS.forEach((level) => {
+    logger[level] = (message, fields) => writeRecord(level, bindings, message, fields);
+  });
+
+  return logger;
+}
+
+/**
+ * Creates the logger of a module.
+ *
+ * @param {string} name - Module name, written as the `module` field
+ * @param {Object} [bindings] - Fields added to every record
+ * @returns {{error: Function, warn: Function, info: Function, debug: Function, child: Function, isLevelEnabled: Function}}
+ *   Logger; each level method takes a message and optional fields
+ *
+ * @example
+ * const log = createLogger('https');
+ * log.error('Certificate reload rejected', { err: error, path: certPath });
+ */
+function createLogger(name, bindings = {}) {
+  return buildLogger({ module: name, ...bindings });
+}
+
+module.exports = {
+  createLogger
+};
@@ -0,0 +1,370 @@
+/**
+ * Metrics Module
+ *
+ * Prometheus metrics for the security stack, served in the Prometheus text
+ * format on /metrics (see app.js) when METRICS_ENABLED is 'true':
+ *
+ * - http_requests_total / http_request_duration_seconds: requests and
+ *   latency by method, route and status. The route is the matched route
+ *   pattern (e.g. '/users/:id'), or 'unmatched' for requests answered before
+ *   routing (rate limited, redirected) or by the 404 handler, which keeps
+ *   the number of series bounded
+ * - rate_limit_rejections_total: 429 responses by limiter ('standard',
+ *   'strict', or the name given to createRateLimiter())
+ * - cors_rejections_total: cross-origin requests from origins outside
+ *   ALLOWED_ORIGINS, by type ('preflight' or 'request')
+ * - validation_failures_total: requests rejected by middleware/validation.js,
+ *   by route
+ * - tls_client_errors_total: failed TLS connections of the HTTPS server, by
+ *   error code (e.g. ERR_SSL_WRONG_VERSION_NUMBER, ERR_TLS_HANDSHAKE_TIMEOUT)
+ * - The prom-client default process metrics, including event loop lag
+ *   (nodejs_eventloop_lag_seconds), heap (nodejs_heap_size_used_bytes) and
+ *   open handles (nodejs_active_handles_total)
+ *
+ * The endpoint is protected: the client address must be in METRICS_ALLOWED
+ * (loopback only by default) and, when METRICS_TOKEN is set, the request
+ * must carry `Authorization: Bearer <token>`.
+ *
+ * In cluster mode every worker counts its own requests; the worker answering
+ * a scrape asks the supervisor (cluster.js), which collects and sums the
+ * metrics of all workers, so each scrape sees the whole cluster.
+ *
+ * Environment Variables:
+ *   METRICS_ENABLED - Serve /metrics and time requests ('true' to enable)
+ *   METRICS_TOKEN   - Bearer token required on /metrics (optional)
+ *   METRICS_ALLOWED - Comma-separated addresses/CIDR ranges allowed to read
+ *                     /metrics (default: 127.0.0.1,::1)
+ *
+ * @module config/metrics
+ * @see https://prometheus.io/docs/instrumenting/exposition_formats/
+ */
+
+'use strict';
+
+const cluster = require('cluster');
+const crypto = require('crypto');
+const client = require('prom-client');
+const { createAddressList, isListedAddress } = require('./addressList');
+const { getClientAddress } = require('./proxyProtocol');
+const { getSettings } = require('./settings');
+const { createLogger } = require('./logger');
+
+const log = createLogger('metrics');
+
+/**
+ * Upper bounds of the request latency buckets in seconds
+ */
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Time a worker waits for the supervisor's cluster-wide metrics; longer than
+ * the 5 seconds prom-client gives the workers, so that its error arrives first
+ */
+const CLUSTER_METRICS_TIMEOUT_MS = 6000;
+
+// =============================================================================
+// METRIC DEFINITIONS
+// =============================================================================
+
+const httpRequests = new client.Counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests by method, route and status',
+  labelNames: ['method', 'route', 'status']
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency by method, route and status',
+  labelNames: ['method', 'route', 'status'],
+  buckets: LATENCY_BUCKETS
+});
+
+const rateLimitRejections = new client.Counter({
+  name: 'rate_limit_rejections_total',
+  help: 'Requests rejected with 429 by rate limiter',
+  labelNames: ['limiter']
+});
+
+const corsRejections = new client.Counter({
+  name: 'cors_rejections_total',
+  help: 'Cross-origin requests from origins outside ALLOWED_ORIGINS',
+  labelNames: ['type']
+});
+
+const validationFailures = new client.Counter({
+  name: 'validation_failures_total',
+  help: 'Requests rejected by input validation, by route',
+  labelNames: ['route']
+});
+
+const tlsClientErrors = new client.Counter({
+  name: 'tls_client_errors_total',
+  help: 'Failed TLS connections by error code',
+  labelNames: ['code']
+});
+
+// =============================================================================
+// RECORDING
+// =============================================================================
+
+/**
+ * Reports whether metrics are served.
+ *
+ * @returns {boolean} True when METRICS_ENABLED is 'true'
+ */
+function isMetricsEnabled() {
+  return getSettings().METRICS_ENABLED;
+}
+
+/**
+ * Returns the route label of a request: the matched route pattern, so that
+ * '/users/1' and '/users/2' share one series.
+ *
+ * @param {express.Request} req - Express request
+ * @returns {string} e.g. '/users/:id', or 'unmatched'
+ */
+function getRouteLabel(req) {
+  return req.route ? `${req.baseUrl || ''}${req.route.path}` : 'unmatched';
+}
+
+/**
+ * Middleware counting and timing every request, including those rejected
+ * by later middleware. Mount it first.
+ *
+ * @param {express.Request} req - Express request
+ * @param {express.Response} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function requestMetrics(req, res, next) {
+  const started = process.hrtime.bigint();
+
+  res.once('finish', () => {
+    const labels = { method: req.method, route: getRouteLabel(req), status: String(res.statusCode) };
+
+    httpRequests.inc(labels);
+    httpRequestDuration.observe(labels, Number(process.hrtime.bigint() - started) / 1e9);
+  });
+
+  next();
+}
+
+/**
+ * Counts a request rejected by a rate limiter.
+ *
+ * @param {string} limiter - Limiter name ('standard', 'strict', ...)
+ */
+function recordRateLimitRejection(limiter) {
+  rateLimitRejections.inc({ limiter });
+}
+
+/**
+ * Counts a request rejected by input validation.
+ *
+ * @param {express.Request} req - Rejected request
+ */
+function recordValidationFailure(req) {
+  validationFailures.inc({ route: getRouteLabel(req) });
+}
+
+/**
+ * Counts a failed TLS connection.
+ *
+ * @param {Error} error - Error of the 'tlsClientError' event
+ */
+function recordTlsClientError(error) {
+  tlsClientErrors.inc({ code: (error && error.code) || 'unknown' });
+}
+
+/**
+ * Wraps a cors middleware to count requests from origins it does not allow.
+ *
+ * The cors package does not reject such requests itself; it leaves out the
+ * Access-Control-Allow-* headers so the browser blocks the response. Same-
+ * origin requests, which also carry an Origin header, are not counted.
+ *
+ * @param {Function} corsMiddleware - Middleware created by cors()
+ * @param {string[]} allowedOrigins - Its origin whitelist
+ * @returns {Function} Express middleware
+ *
+ * @example
+ * app.use(instrumentCors(cors(corsOptions), corsOptions.origin));
+ */
+function instrumentCors(corsMiddleware, allowedOrigins) {
+  return (req, res, next) => {
+    const origin = req.headers.origin;
+
+    if (origin && !allowedOrigins.includes(origin) && origin !== `${req.protocol}://${req.get('host')}`) {
+      const preflight = req.method === 'OPTIONS' && req.headers['access-control-request-method'];
+      corsRejections.inc({ type: preflight ? 'preflight' : 'request' });
+    }
+
+    corsMiddleware(req, res, next);
+  };
+}
+
+// =============================================================================
+// CLUSTER AGGREGATION
+// =============================================================================
+
+/**
+ * Requests to the supervisor waiting for cluster-wide metrics, by id
+ * @type {Map<number, {resolve: Function, reject: Function, timer: NodeJS.Timeout}>}
+ */
+const clusterRequests = new Map();
+
+let nextClusterRequestId = 0;
+
+/**
+ * Asks the supervisor for the metrics of all workers.
+ *
+ * @returns {Promise<string>} Metrics in the Prometheus text format
+ */
+function requestClusterMetrics() {
+  return new Promise((resolve, reject) => {
+    const requestId = nextClusterRequestId++;
+    const timer = setTimeout(() => {
+      clusterRequests.delete(requestId);
+      reject(new Error('the cluster supervisor did not send the metrics in time'));
+    }, CLUSTER_METRICS_TIMEOUT_MS);
+
+    clusterRequests.set(requestId, { resolve, reject, timer });
+    process.send({ type: 'metrics', requestId });
+  });
+}
+
+if (cluster.isWorker && isMetricsEnabled()) {
+  // Creating an aggregator registry makes prom-client answer the
+  // supervisor's requests for this worker's metrics
+  new client.AggregatorRegistry();
+
+  process.on('message', (message) => {
+    const request = message && message.type === 'metrics' && clusterRequests.get(message.requestId);
+
+    if (!request) {
+      return;
+    }
+
+    clusterRequests.delete(message.requestId);
+    clearTimeout(request.timer);
+
+    if (message.error) {
+      request.reject(new Error(message.error));
+    } else {
+      request.resolve(message.metrics);
+    }
+  });
+}
+
+if (isMetricsEnabled()) {
+  client.collectDefaultMetrics();
+}
+
+// =============================================================================
+// ENDPOINT
+// =============================================================================
+
+/**
+ * Compares a bearer token in constant time.
+ *
+ * @param {express.Request} req - Express request
+ * @param {string} token - METRICS_TOKEN
+ * @returns {boolean} True when the Authorization header carries the token
+ */
+function hasMetricsToken(req, token) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+
+  if (!match) {
+    return false;
+  }
+
+  // Equal-length digests, so the comparison reveals nothing about the length
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(match[1]), digest(token));
+}
+
+/**
+ * Addresses allowed to read /metrics and the METRICS_ALLOWED list they were
+ * built from
+ * @type {{source: string[]|null, addresses: net.BlockList|null}}
+ */
+let allowed = { source: null, addresses: null };
+
+/**
+ * Returns the addresses allowed to read /metrics, rebuilt only when
+ * METRICS_ALLOWED of the active settings is a different list.
+ *
+ * @param {Object} settings - Active settings
+ * @returns {net.BlockList} Allowed addresses
+ */
+function getAllowedAddresses(settings) {
+  if (allowed.source !== settings.METRICS_ALLOWED) {
+    allowed = { source: settings.METRICS_ALLOWED, addresses: createAddressList(settings.METRICS_ALLOWED) };
+  }
+
+  return allowed.addresses;
+}
+
+/**
+ * Express handler for GET /metrics.
+ *
+ * Answers 403 for addresses outside METRICS_ALLOWED, 401 without the
+ * METRICS_TOKEN bearer token, and 503 when the cluster supervisor does not
+ * deliver the metrics. Both settings come from the active settings, so they
+ * change together: on restart, not on a configuration reload.
+ *
+ * @param {express.Request} req - Express request
+ * @param {express.Response} res - Express response
+ *
+ * @example
+ * app.get('/metrics', metricsHandler);
+ */
+function metricsHandler(req, res) {
+  const settings = getSettings();
+  const token = settings.METRICS_TOKEN;
+  const ip = getClientAddress(req);
+
+  res.set('Cache-Control', 'no-store');
+
+  if (!isListedAddress(getAllowedAddresses(settings), ip)) {
+    log.warn('Metrics denied: address not in METRICS_ALLOWED', { ip });
+    return res.status(403).json({
+      status: 403,
+      error: 'Forbidden',
+      message: 'Metrics are not available to this address'
+    });
+  }
+
+  if (token && !hasMetricsToken(req, token)) {
+    log.warn('Metrics denied: missing or wrong bearer token', { ip });
+    res.set('WWW-Authenticate', 'Bearer realm="metrics"');
+    return res.status(401).json({
+      status: 401,
+      error: 'Unauthorized',
+      message: 'A valid bearer token is required'
+    });
+  }
+
+  const metrics = cluster.isWorker ? requestClusterMetrics() : client.register.metrics();
+
+  return metrics.then((text) => {
+    res.set('Content-Type', client.register.contentType);
+    res.send(text);
+  }, (error) => {
+    log.error('Metrics collection failed', { error: error.message });
+    res.status(503).json({
+      status: 503,
+      error: 'Service Unavailable',
+      message: 'Metrics could not be collected'
+    });
+  });
+}
+
+module.exports = {
+  isMetricsEnabled,
+  requestMetrics,
+  recordRateLimitRejection,
+  recordValidationFailure,
+  recordTlsClientError,
+  instrumentCors,
+  metricsHandler
+};
@@ -0,0 +1,553 @@
+/**
+ * PROXY Protocol Module
+ *
+ * Recovers the client address behind TCP (layer 4) load balancers such as
+ * HAProxy, AWS NLB or nginx stream proxies. These forward the raw connection,
+ * so without help every request appears to come from the balancer: the
+ * rate limiter key, the per-IP connection cap and the logs all see one
+ * client. With the PROXY protocol the balancer prefixes each connection with
+ * a short header naming the original client, which is read here before the
+ * HTTP parser or the TLS handshake sees the connection.
+ *
+ * Both header versions are accepted:
+ * - v1 (text): `PROXY TCP4 203.0.113.7 10.0.0.5 51234 443\r\n`
+ * - v2 (binary), including LOCAL connections (the balancer's own health
+ *   checks) and TLV extensions, which are skipped
+ *
+ * Only peers in PROXY_PROTOCOL_TRUSTED may send the header, and they must
+ * send it: a header that is missing, malformed or not complete within
+ * PROXY_PROTOCOL_TIMEOUT_MS closes the connection. Otherwise a client
+ * connecting through the balancer could put its own header in front of the
+ * request and claim any address. Connections from other peers are served as
+ * usual; a header sent by them is never interpreted (HTTP answers it with
+ * 400 Bad Request, TLS fails the handshake).
+ *
+ * The header is read by a plain TCP server that accepts the connections in
+ * place of the HTTP or HTTPS server and hands each one on once its header
+ * has been read, so the per-IP connection cap of config/serverLimits.js and
+ * the TLS handshake only start then. The socket keeps the balancer's
+ * address (socket.remoteAddress, and so req.ip); the client address is
+ * looked up with getConnectionAddress() and getClientAddress(), which the
+ * request ID, rate limiter, access log, metrics allowlist and connection
+ * cap use.
+ *
+ * Environment Variables:
+ *   PROXY_PROTOCOL            - Read PROXY headers on the HTTP and HTTPS
+ *                               listeners ('true' to enable)
+ *   PROXY_PROTOCOL_TRUSTED    - Comma-separated balancer addresses or CIDR
+ *                               ranges (e.g. 10.0.0.0/8, fd00::/8)
+ *   PROXY_PROTOCOL_TIMEOUT_MS - Time a balancer gets to send the header
+ *                               (default: 5000)
+ *
+ * @module config/proxyProtocol
+ * @see https://www.haproxy.org/download/2.8/doc/proxy-protocol.txt
+ */
+
+'use strict';
+
+const net = require('net');
+const tls = require('tls');
+const { createAddressList, isListedAddress } = require('./addressList');
+const { getSettings } = require('./settings');
+const { createLogger } = require('./logger');
+
+const log = createLogger('proxyProtocol');
+
+// =============================================================================
+// HEADER FORMAT
+// =============================================================================
+
+/**
+ * Start of a v1 header
+ */
+const V1_SIGNATURE = Buffer.from('PROXY ', 'latin1');
+
+/**
+ * Longest v1 header allowed by the specification, CRLF included
+ */
+const V1_MAX_LENGTH = 107;
+
+/**
+ * Start of a v2 header
+ */
+const V2_SIGNATURE = Buffer.from([0x0d, 0x0a, 0x0d, 0x0a, 0x00, 0x0d, 0x0a, 0x51, 0x55, 0x49, 0x54, 0x0a]);
+
+/**
+ * Fixed part of a v2 header: signature, version/command, family/transport
+ * and the length of the address block that follows
+ */
+const V2_FIXED_LENGTH = 16;
+
+/**
+ * Address block length of the v2 families carrying TCP addresses
+ */
+const V2_ADDRESS_LENGTHS = {
+  IPv4: 12,
+  IPv6: 36
+};
+
+/**
+ * Counters since startup
+ */
+const proxyStats = {
+  accepted: 0,
+  local: 0,
+  malformed: 0,
+  timeouts: 0
+};
+
+/**
+ * Clients named by PROXY headers, by connection (see getConnectionKey())
+ * @type {Map<string, {address: string, port: number, family: string}>}
+ */
+const proxyClients = new Map();
+
+/**
+ * Checks whether a buffer starts with (a prefix of) a signature.
+ *
+ * @param {Buffer} buffer - Received data
+ * @param {Buffer} signature - V1_SIGNATURE or V2_SIGNATURE
+ * @returns {boolean} True when the received bytes match so far
+ */
+function startsWith(buffer, signature) {
+  const length = Math.min(buffer.length, signature.length);
+  return buffer.subarray(0, length).equals(signature.subarray(0, length));
+}
+
+/**
+ * Checks a decimal port number of a v1 header.
+ *
+ * @param {string} value - Port field
+ * @returns {boolean} True for 0-65535 without leading zeros
+ */
+function isPort(value) {
+  return /^(0|[1-9]\d{0,4})$/.test(value) && parseInt(value, 10) <= 65535;
+}
+
+/**
+ * Parses a v1 (text) header.
+ *
+ * @param {Buffer} buffer - Received data, starting with V1_SIGNATURE
+ * @returns {Object|null} Parsed header, or null when incomplete
+ * @throws {Error} When the header is malformed
+ */
+function parseV1(buffer) {
+  const end = buffer.indexOf('\r\n', 0, 'latin1');
+
+  if (end === -1 || end + 2 > V1_MAX_LENGTH) {
+    if (end === -1 && buffer.length < V1_MAX_LENGTH) {
+      return null;
+    }
+
+    throw new Error(`v1 header longer than ${V1_MAX_LENGTH} bytes`);
+  }
+
+  const length = end + 2;
+  const fields = buffer.toString('latin1', 0, end).split(' ');
+
+  // The balancer could not determine the client (e.g. a health check)
+  if (fields[1] === 'UNKNOWN') {
+    return { version: 1, length, source: null };
+  }
+
+  const family = { TCP4: 'IPv4', TCP6: 'IPv6' }[fields[1]];
+
+  if (!family || fields.length !== 6) {
+    throw new Error('v1 header is not of the form PROXY TCP4|TCP6 <source> <destination> <source port> <destination port>');
+  }
+
+  const [, , sourceAddress, destinationAddress, sourcePort, destinationPort] = fields;
+  const version = family === 'IPv4' ? 4 : 6;
+
+  if (net.isIP(sourceAddress) !== version || net.isIP(destinationAddress) !== version) {
+    throw new Error(`v1 header has an invalid ${family} address`);
+  }
+
+  if (!isPort(sourcePort) || !isPort(destinationPort)) {
+    throw new Error('v1 header has an invalid port');
+  }
+
+  return {
+    version: 1,
+    length,
+    source: { address: sourceAddress, port: parseInt(sourcePort, 10), family }
+  };
+}
+
+/**
+ * Formats the 16 bytes of an IPv6 address in its canonical short form.
+ *
+ * @param {Buffer} bytes - Address bytes
+ * @returns {string} e.g. '2001:db8::1'
+ */
+function formatIPv6(bytes) {
+  const groups = [];
+
+  for (let offset = 0; offset < 16; offset += 2) {
+    groups.push(bytes.readUInt16BE(offset).toString(16));
+  }
+
+  // The URL parser compresses zero groups the standard way
+  return new URL(`http://[${groups.join(':')}]`).hostname.slice(1, -1);
+}
+
+/**
+ * Parses a v2 (binary) header.
+ *
+ * LOCAL connections and addresses that are not TCP over IPv4/IPv6 (AF_UNSPEC,
+ * AF_UNIX) are accepted without a client address, as the specification asks.
+ *
+ * @param {Buffer} buffer - Received data, starting with V2_SIGNATURE
+ * @returns {Object|null} Parsed header, or null when incomplete
+ * @throws {Error} When the header is malformed
+ */
+function parseV2(buffer) {
+  if (buffer.length < V2_FIXED_LENGTH) {
+    return null;
+  }
+
+  const versionCommand = buffer[12];
+  const familyTransport = buffer[13];
+  const length = V2_FIXED_LENGTH + buffer.readUInt16BE(14);
+
+  if (versionCommand >> 4 !== 2) {
+    throw new Error(`v2 header has unsupported version ${versionCommand >> 4}`);
+  }
+
+  const command = versionCommand & 0x0f;
+
+  if (command > 1) {
+    throw new Error(`v2 header has unknown command ${command}`);
+  }
+
+  if (buffer.length < length) {
+    return null;
+  }
+
+  const family = [null, 'IPv4', 'IPv6', 'unix'][familyTransport >> 4];
+  const transport = familyTransport & 0x0f;
+
+  if (family === undefined || transport > 2) {
+    throw new Error(`v2 header has unknown address family 0x${familyTransport.toString(16).padStart(2, '0')}`);
+  }
+
+  // LOCAL: the balancer's own connection, e.g. a health check
+  if (command === 0 || family === null || family === 'unix') {
+    return { version: 2, length, source: null };
+  }
+
+  if (transport !== 1) {
+    throw new Error('v2 header announces a datagram (UDP) connection');
+  }
+
+  const addressLength = V2_ADDRESS_LENGTHS[family];
+
+  if (length - V2_FIXED_LENGTH < addressLength) {
+    throw new Error(`v2 header is too short for ${family} addresses`);
+  }
+
+  const block = buffer.subarray(V2_FIXED_LENGTH, V2_FIXED_LENGTH + addressLength);
+  const address = family === 'IPv4'
+    ? Array.from(block.subarray(0, 4)).join('.')
+    : formatIPv6(block.subarray(0, 16));
+
+  return {
+    version: 2,
+    length,
+    source: { address, port: block.readUInt16BE(addressLength - 4), family }
+  };
+}
+
+/**
+ * Parses the PROXY header at the start of a connection.
+ *
+ * @param {Buffer} buffer - Data received so far
+ * @returns {Object|null} null while more data is needed, otherwise
+ *   `{ version, length, source }`: the header version (1 or 2), its length
+ *   in bytes and the client as `{ address, port, family }` (null for LOCAL
+ *   and UNKNOWN connections, which keep the balancer's address)
+ * @throws {Error} When the data does not start with a valid header
+ *
+ * @example
+ * parseProxyHeader(Buffer.from('PROXY TCP4 203.0.113.7 10.0.0.5 51234 443\r\nGET / HTTP/1.1\r\n'));
+ * // => { version: 1, length: 43, source: { address: '203.0.113.7', port: 51234, family: 'IPv4' } }
+ */
+function parseProxyHeader(buffer) {
+  if (startsWith(buffer, V2_SIGNATURE)) {
+    return buffer.length < V2_SIGNATURE.length ? null : parseV2(buffer);
+  }
+
+  if (startsWith(buffer, V1_SIGNATURE)) {
+    return buffer.length < V1_SIGNATURE.length ? null : parseV1(buffer);
+  }
+
+  throw new Error('connection does not start with a PROXY header');
+}
+
+// =============================================================================
+// LISTENER INTEGRATION
+// =============================================================================
+
+/**
+ * Reports whether PROXY protocol parsing is enabled.
+ *
+ * @returns {boolean} True when PROXY_PROTOCOL is 'true'
+ */
+function isProxyProtocolEnabled() {
+  return getSettings().PROXY_PROTOCOL;
+}
+
+/**
+ * Identifies a connection by its two endpoints. A TLS socket reports the
+ * endpoints of the TCP connection it runs on, so both find the same client.
+ *
+ * @param {net.Socket|tls.TLSSocket} socket - Connection
+ * @returns {string} Key of proxyClients
+ */
+function getConnectionKey(socket) {
+  return `${socket.localAddress}|${socket.localPort}|${socket.remoteAddress}|${socket.remotePort}`;
+}
+
+/**
+ * Records the client from the PROXY header of a connection until it closes.
+ *
+ * @param {net.Socket} socket - Connection from the balancer
+ * @param {Object} source - Client from parseProxyHeader()
+ */
+function setProxyClient(socket, source) {
+  const key = getConnectionKey(socket);
+
+  proxyClients.set(key, { address: source.address, port: source.port, family: source.family });
+  socket.once('close', () => proxyClients.delete(key));
+}
+
+/**
+ * Returns the client address of a connection: the one from its PROXY
+ * header, or the peer address when it had none.
+ *
+ * @param {net.Socket|tls.TLSSocket} socket - Connection, or the TLS socket on top of it
+ * @returns {string|undefined} IP address (undefined for unix sockets and
+ *   closed connections)
+ *
+ * @example
+ * server.on('connection', (socket) => countConnection(getConnectionAddress(socket)));
+ */
+function getConnectionAddress(socket) {
+  const client = proxyClients.get(getConnectionKey(socket));
+  return client ? client.address : socket.remoteAddress;
+}
+
+/**
+ * Returns the client address of a request: the one from the PROXY header
+ * of its connection, otherwise req.ip (which follows TRUST_PROXY) or the
+ * peer address.
+ *
+ * @param {express.Request} req - Express request
+ * @returns {string|undefined} IP address
+ *
+ * @example
+ * const key = getClientAddress(req) || 'unknown';
+ */
+function getClientAddress(req) {
+  const client = req.socket ? proxyClients.get(getConnectionKey(req.socket)) : undefined;
+
+  if (client) {
+    return client.address;
+  }
+
+  return req.ip || (req.socket && req.socket.remoteAddress);
+}
+
+/**
+ * Closes a connection whose header could not be read, after counting and
+ * logging it.
+ *
+ * @param {net.Socket} socket - Connection from the balancer
+ * @param {string} counter - Field of proxyStats
+ * @param {string} description - Log message, e.g. 'PROXY header timeout'
+ * @param {string} name - Server name ('HTTP' or 'HTTPS')
+ * @param {Object} [fields] - Additional log fields
+ */
+function rejectConnection(socket, counter, description, name, fields) {
+  proxyStats[counter]++;
+  log.warn(description, { peer: socket.remoteAddress, server: name, ...fields });
+  socket.destroy();
+}
+
+/**
+ * Reads the PROXY header of a connection from a trusted peer and hands the
+ * connection on once the client address is known.
+ *
+ * @param {net.Socket} socket - Connection from the balancer
+ * @param {Object} options - Listener options
+ * @param {string} options.name - Server name
+ * @param {number} options.timeoutMs - Deadline for the complete header
+ * @param {Function} done - Called with the socket, its data after the header
+ *   still unread
+ */
+function readProxyHeader(socket, options, done) {
+  let received = Buffer.alloc(0);
+
+  const timer = setTimeout(() => {
+    socket.removeListener('data', onData);
+    rejectConnection(socket, 'timeouts', 'PROXY header timeout', options.name);
+  }, options.timeoutMs).unref();
+
+  function onData(chunk) {
+    received = Buffer.concat([received, chunk]);
+
+    let header;
+
+    try {
+      header = parseProxyHeader(received);
+    } catch (error) {
+      clearTimeout(timer);
+      socket.removeListener('data', onData);
+      return rejectConnection(socket, 'malformed', 'Malformed PROXY header', options.name, { error: error.message });
+    }
+
+    if (!header) {
+      return undefined;
+    }
+
+    clearTimeout(timer);
+    socket.removeListener('data', onData);
+    socket.pause();
+
+    if (header.source) {
+      proxyStats.accepted++;
+      log.debug('PROXY header accepted', { peer: socket.remoteAddress, client: header.source.address, server: options.name });
+      setProxyClient(socket, header.source);
+    } else {
+      proxyStats.local++;
+    }
+
+    if (received.length > header.length) {
+      socket.unshift(received.subarray(header.length));
+    }
+
+    return done(socket);
+  }
+
+  socket.on('data', onData);
+  socket.once('close', () => clearTimeout(timer));
+}
+
+/**
+ * Enables PROXY protocol parsing on an HTTP, HTTPS or HTTP/2 server.
+ *
+ * A TCP server accepts the connections instead and hands them to the server
+ * with server.emit('connection'): connections from trusted peers once their
+ * header has been read, others right away. The server's listen(), address(),
+ * close() and listening act on that TCP server, whose 'listening' and
+ * 'error' events are re-emitted by the server, so it is started and stopped
+ * as before; 'close' is emitted once every connection has closed.
+ * Call right after the server is created.
+ *
+ * @param {net.Server} server - Server to wrap
+ * @param {string} name - Server name for logs ('HTTP' or 'HTTPS')
+ *
+ * @example
+ * const server = http.createServer(app);
+ * if (isProxyProtocolEnabled()) {
+ *   applyProxyProtocol(server, 'HTTP');
+ * }
+ * server.listen(80);
+ */
+function applyProxyProtocol(server, name) {
+  const settings = getSettings();
+  const trusted = createAddressList(settings.PROXY_PROTOCOL_TRUSTED);
+  const options = { name, timeoutMs: settings.PROXY_PROTOCOL_TIMEOUT_MS };
+  // TLS servers read the socket themselves; HTTP servers expect it flowing
+  const isTls = server instanceof tls.Server;
+  const listener = net.createServer();
+
+  listener.on('connection', (socket) => {
+    if (!isListedAddress(trusted, socket.remoteAddress)) {
+      return server.emit('connection', socket);
+    }
+
+    return readProxyHeader(socket, options, () => {
+      server.emit('connection', socket);
+
+      if (!isTls && !socket.destroyed) {
+        socket.resume();
+      }
+    });
+  });
+
+  // HTTP servers start their request timeout checks on 'listening'
+  listener.on('listening', () => server.emit('listening'));
+  listener.on('error', (error) => server.emit('error', error));
+
+  const close = server.close.bind(server);
+
+  server.listen = (...args) => {
+    listener.listen(...args);
+    return server;
+  };
+
+  server.address = () => listener.address();
+
+  Object.defineProperty(server, 'listening', {
+    configurable: true,
+    get: () => listener.listening
+  });
+
+  // The listener calls back once every connection has closed; only then
+  // does the server's own close() run and emit 'close'. Idle connections
+  // would hold it open until then, so they are closed right away.
+  server.close = (callback) => {
+    listener.close((error) => {
+      if (error) {
+        if (callback) {
+          callback(error);
+        }
+        return;
+      }
+
+      if (callback) {
+        server.once('close', callback);
+      }
+
+      close();
+    });
+
+    server.closeIdleConnections();
+    return server;
+  };
+}
+
+/**
+ * Describes the PROXY protocol configuration for the startup summary.
+ *
+ * @returns {string} e.g. 'enabled (trusted: 10.0.0.0/8)' or 'disabled'
+ */
+function describeProxyProtocol() {
+  const settings = getSettings();
+
+  return settings.PROXY_PROTOCOL
+    ? `enabled (trusted: ${settings.PROXY_PROTOCOL_TRUSTED.join(', ')})`
+    : 'disabled';
+}
+
+/**
+ * Returns header counters for health reporting.
+ *
+ * @returns {Object} Counters: accepted (client address applied), local
+ *   (LOCAL/UNKNOWN, balancer address kept), malformed and timeouts
+ *   (connections closed)
+ */
+function getProxyProtocolStats() {
+  return { ...proxyStats };
+}
+
+module.exports = {
+  parseProxyHeader,
+  isProxyProtocolEnabled,
+  applyProxyProtocol,
+  getConnectionAddress,
+  getClientAddress,
+  describeProxyProtocol,
+  getProxyProtocolStats
+};
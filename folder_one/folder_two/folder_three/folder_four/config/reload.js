@@ -0,0 +1,211 @@
+/**
+ * Configuration Reload Module
+ *
+ * Reloads the CORS policy, the helmet headers (including the CSP) and the
+ * rate limits without a restart. app.js does not mount these middleware
+ * directly: it mounts stand-ins that forward to the currently active set,
+ * and reloadConfiguration() replaces the whole set at once.
+ *
+ * A reload:
+ * 1. Re-applies .env (variables that came from it) and re-reads the settings
+ *    files and the environment
+ * 2. Validates the result like startup does; on any problem the current
+ *    configuration stays active, process.env keeps the current .env values
+ *    and the problems are logged
+ * 3. Builds new middleware only for the groups whose settings changed, so
+ *    rate-limit counters survive a CORS-only reload
+ * 4. Swaps the active set and logs every changed setting
+ *
+ * Each request is pinned to the set that was active when it arrived, so a
+ * reload never serves one request with the old CORS policy and the new
+ * headers.
+ *
+ * Only the settings in LIVE_SETTINGS take effect on reload. Changes to any
+ * other setting (ports, TLS, timeouts, ...) are logged as needing a restart.
+ *
+ * Triggers: SIGHUP for a single process (see server.js), SIGUSR2 on the
+ * cluster supervisor (forwarded to every worker, see cluster.js), or the
+ * reload() function returned by startServer().
+ *
+ * @module config/reload
+ */
+
+'use strict';
+
+const helmet = require('helmet');
+const cors = require('cors');
+const { createHelmetConfig, createCorsOptions, helmetConfig, corsOptions } = require('./security');
+const { instrumentCors } = require('./metrics');
+const { rateLimiter, createStandardRateLimiter } = require('../middleware/rateLimiter');
+const { getSettings, reloadSettings, formatSettingValue } = require('./settings');
+const { createLogger } = require('./logger');
+
+const log = createLogger('reload');
+
+/**
+ * Creates the CORS middleware, counting rejected origins for /metrics.
+ *
+ * @param {Object} options - Options from createCorsOptions()
+ * @returns {Function} Express middleware
+ */
+const createCors = (options) => instrumentCors(cors(options), options.origin);
+
+/**
+ * Settings applied on reload, grouped by the middleware built from them
+ * @constant {Object<string, {label: string, names: string[], create: Function}>}
+ */
+const LIVE_SETTINGS = {
+  rateLimiter: {
+    label: 'rate limits (counters reset)',
+    names: ['RATE_LIMIT_WINDOW_MS', 'RATE_LIMIT_MAX'],
+    create: (settings) => createStandardRateLimiter(settings)
+  },
+  helmet: {
+    label: 'security headers',
+    names: ['HELMET_OPTIONS'],
+    create: (settings) => helmet(createHelmetConfig(settings))
+  },
+  cors: {
+    label: 'CORS',
+    names: ['ALLOWED_ORIGINS', 'CORS_METHODS', 'CORS_ALLOWED_HEADERS', 'CORS_CREDENTIALS', 'CORS_MAX_AGE'],
+    create: (settings) => createCors(createCorsOptions(settings))
+  }
+};
+
+/**
+ * Request property holding the middleware set the request was pinned to
+ */
+const PINNED = Symbol('pinnedConfiguration');
+
+/**
+ * Active configuration: the settings it was built from and its middleware.
+ * Starts with the options the security modules built while loading, from
+ * the same settings. Replaced as a whole on reload.
+ * @type {{settings: Object, middleware: Object<string, Function>}}
+ */
+let active = {
+  settings: getSettings(),
+  middleware: {
+    rateLimiter,
+    helmet: helmet(helmetConfig),
+    cors: createCors(corsOptions)
+  }
+};
+
+/**
+ * Middleware that pins the request to the active configuration. Must be
+ * mounted before any reloadable() middleware.
+ *
+ * @param {express.Request} req - Express request
+ * @param {express.Response} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function pinConfiguration(req, res, next) {
+  req[PINNED] = active.middleware;
+  next();
+}
+
+/**
+ * Creates a stand-in for one reloadable middleware.
+ *
+ * @param {string} name - 'rateLimiter', 'helmet' or 'cors'
+ * @returns {Function} Express middleware forwarding to the pinned instance
+ * @throws {Error} For unknown names
+ *
+ * @example
+ * app.use(pinConfiguration);
+ * app.use(reloadable('rateLimiter'));
+ * app.use(reloadable('helmet'));
+ */
+function reloadable(name) {
+  if (!LIVE_SETTINGS[name]) {
+    throw new Error(`Unknown reloadable middleware: ${name}`);
+  }
+
+  return (req, res, next) => (req[PINNED] || active.middleware)[name](req, res, next);
+}
+
+/**
+ * Reloads the configuration and swaps the reloadable middleware.
+ *
+ * Never throws: an invalid configuration is logged and reported in the
+ * result while the current one stays active.
+ *
+ * @param {Object} [options] - Reload options
+ * @param {string} [options.reason='reload'] - Trigger, for log output (e.g. 'SIGHUP')
+ * @returns {Object} Result
+ * @returns {boolean} return.applied - Whether middleware was replaced
+ * @returns {string[]} return.problems - Validation problems (rejected reloads)
+ * @returns {Array<{name: string, from: string, to: string, live: boolean}>}
+ *   return.changes - Changed settings (display values, secrets masked);
+ *   `live` is false for settings that need a restart
+ *
+ * @example
+ * const { applied, changes } = reloadConfiguration({ reason: 'admin request' });
+ */
+function reloadConfiguration(options = {}) {
+  const reason = options.reason || 'reload';
+  const current = active;
+
+  log.info('Reloading configuration', { reason });
+
+  const liveNames = new Set(Object.values(LIVE_SETTINGS).flatMap((group) => group.names));
+  const middleware = { ...current.middleware };
+  let changes = [];
+  let changedGroups = [];
+
+  // Options the settings types cannot check (e.g. an unknown CSP directive)
+  // make helmet throw; that rejects the configuration like a validation problem
+  const { settings, problems } = reloadSettings({
+    names: [...liveNames],
+    check: (candidate) => {
+      changes = Object.keys(candidate)
+        .filter((name) => JSON.stringify(candidate[name]) !== JSON.stringify(current.settings[name]))
+        .map((name) => ({
+          name,
+          from: formatSettingValue(name, current.settings[name]),
+          to: formatSettingValue(name, candidate[name]),
+          live: liveNames.has(name)
+        }));
+
+      changedGroups = Object.keys(LIVE_SETTINGS)
+        .filter((group) => LIVE_SETTINGS[group].names.some((name) => changes.some((change) => change.name === name)));
+
+      changedGroups.forEach((group) => {
+        middleware[group] = LIVE_SETTINGS[group].create(candidate);
+      });
+    }
+  });
+
+  if (problems.length > 0) {
+    log.error('Configuration rejected, keeping the current configuration', { problems });
+    return { applied: false, problems, changes: [] };
+  }
+
+  if (changes.length === 0) {
+    log.info('No configuration changes');
+    return { applied: false, problems: [], changes };
+  }
+
+  // Settings that need a restart are recorded too, so they are logged once
+  active = { settings, middleware };
+
+  changes.forEach(({ name, from, to, live }) => {
+    log.info(live ? 'Setting changed' : 'Setting changed (restart required)', { setting: name, from, to });
+  });
+
+  if (changedGroups.length > 0) {
+    log.info('Configuration applied', { applied: changedGroups.map((group) => LIVE_SETTINGS[group].label) });
+  } else {
+    log.info('Nothing to apply without a restart');
+  }
+
+  return { applied: changedGroups.length > 0, problems: [], changes };
+}
+
+module.exports = {
+  LIVE_SETTINGS,
+  pinConfiguration,
+  reloadable,
+  reloadConfiguration
+};
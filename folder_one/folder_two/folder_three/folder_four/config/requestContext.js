@@ -0,0 +1,56 @@
+/**
+ * Request Context Module
+ *
+ * Holds per-request data, currently the request ID, in an AsyncLocalStorage
+ * so that code without access to `req` (the logger, helpers called from
+ * route handlers) can read it. The store is entered by the request ID
+ * middleware (see middleware/requestId.js) and follows the request through
+ * callbacks, promises and timers started while handling it.
+ *
+ * @module config/requestContext
+ * @see https://nodejs.org/api/async_context.html#class-asynclocalstorage
+ *
+ * @example
+ * const { getRequestId } = require('./config/requestContext');
+ *
+ * async function chargeCard(order) {
+ *   await paymentApi.charge(order, { headers: { 'X-Request-Id': getRequestId() } });
+ * }
+ */
+
+'use strict';
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Storage of the context of the request being handled
+ * @type {AsyncLocalStorage<{requestId: string}>}
+ */
+const storage = new AsyncLocalStorage();
+
+/**
+ * Runs a function in the context of a request.
+ *
+ * @param {{requestId: string}} context - Request context
+ * @param {Function} callback - Function to run, typically Express's next
+ * @returns {*} Return value of the callback
+ */
+function runWithRequestContext(context, callback) {
+  return storage.run(context, callback);
+}
+
+/**
+ * Returns the ID of the request being handled.
+ *
+ * @returns {string|undefined} Request ID, or undefined outside a request
+ *   (startup, timers started before the first request)
+ */
+function getRequestId() {
+  const context = storage.getStore();
+  return context && context.requestId;
+}
+
+module.exports = {
+  runWithRequestContext,
+  getRequestId
+};
@@ -0,0 +1,194 @@
+/**
+ * Rotating File Module
+ *
+ * Appends lines to a log file and rotates it by size, by time or both, so
+ * access logs (see middleware/accessLog.js) neither fill the disk nor need
+ * an external logrotate setup:
+ * - Size: the file is rotated before a write would take it past maxBytes
+ * - Time: the file is rotated on the first write of a new day or hour (UTC)
+ * - Retention: only the newest maxFiles rotated files are kept
+ *
+ * Rotated files are renamed to `<name>.<UTC time of rotation>`, e.g.
+ * `access.log.2024-01-16T00-00-03.512Z`, so they sort chronologically. A file
+ * that already exists at startup is appended to, and rotated right away
+ * when it belongs to an earlier day or hour.
+ *
+ * Only one process may write a file: in cluster mode the supervisor owns
+ * it and the workers send it their lines (see cluster.js).
+ *
+ * @module config/rotatingFile
+ *
+ * @example
+ * const file = createRotatingFile('/var/log/app/access.log', {
+ *   maxBytes: 100 * 1024 * 1024,
+ *   interval: 'daily',
+ *   maxFiles: 14
+ * });
+ *
+ * file.write('127.0.0.1 - - [15/Jan/2024:10:30:00 +0000] "GET / HTTP/1.1" 200 14\n');
+ * await file.close();
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+
+const log = createLogger('rotatingFile');
+
+/**
+ * Length of the ISO timestamp prefix that identifies a period
+ * @constant {Object<string, number>}
+ */
+const PERIOD_LENGTH = {
+  daily: 10, // 2024-01-15
+  hourly: 13 // 2024-01-15T10
+};
+
+/**
+ * Returns the rotation period a point in time belongs to.
+ *
+ * @param {string} interval - 'daily', 'hourly' or 'off'
+ * @param {Date} date - Point in time
+ * @returns {string} Period, e.g. '2024-01-15'; '' when not rotating by time
+ */
+function getPeriod(interval, date) {
+  return PERIOD_LENGTH[interval] ? date.toISOString().slice(0, PERIOD_LENGTH[interval]) : '';
+}
+
+/**
+ * Returns the size and period of an existing file.
+ *
+ * @param {string} filePath - File path
+ * @param {string} interval - Rotation interval
+ * @returns {{size: number, period: string}} Zero size and the current period
+ *   when the file does not exist
+ */
+function describeFile(filePath, interval) {
+  try {
+    const stats = fs.statSync(filePath);
+    return { size: stats.size, period: getPeriod(interval, stats.mtime) };
+  } catch (error) {
+    return { size: 0, period: getPeriod(interval, new Date()) };
+  }
+}
+
+/**
+ * Creates a file writer with rotation and retention.
+ *
+ * @param {string} filePath - Path of the current file; missing directories
+ *   are created
+ * @param {Object} [options] - Rotation options
+ * @param {number} [options.maxBytes=0] - Size limit per file (0: no size rotation)
+ * @param {string} [options.interval='off'] - 'daily', 'hourly' or 'off'
+ * @param {number} [options.maxFiles=0] - Rotated files to keep (0: keep all)
+ * @returns {{write: Function, close: Function}} Writer; write(text) appends,
+ *   close() resolves once everything written has reached the file
+ */
+function createRotatingFile(filePath, options = {}) {
+  const { maxBytes = 0, interval = 'off', maxFiles = 0 } = options;
+  const directory = path.dirname(filePath);
+  const baseName = path.basename(filePath);
+
+  fs.mkdirSync(directory, { recursive: true });
+
+  let { size, period } = describeFile(filePath, interval);
+  let stream = null;
+
+  const open = () => {
+    let reported = false;
+
+    stream = fs.createWriteStream(filePath, { flags: 'a' });
+    // Reported once per file, not once per line
+    stream.on('error', (error) => {
+      if (!reported) {
+        reported = true;
+        log.error('Log file write failed', { file: filePath, err: error });
+      }
+    });
+  };
+
+  /**
+   * Deletes the oldest rotated files beyond maxFiles.
+   */
+  const prune = () => {
+    if (maxFiles === 0) {
+      return;
+    }
+
+    fs.promises.readdir(directory)
+      .then((names) => {
+        const rotated = names.filter((name) => name.startsWith(`${baseName}.`)).sort();
+        const expired = rotated.slice(0, Math.max(rotated.length - maxFiles, 0));
+
+        return Promise.all(expired.map((name) => fs.promises.unlink(path.join(directory, name))));
+      })
+      .catch((error) => log.error('Could not delete old log files', { file: filePath, err: error }));
+  };
+
+  /**
+   * Renames the current file and starts a new one.
+   *
+   * The old stream keeps its file descriptor, so lines still queued on it
+   * end up in the renamed file.
+   *
+   * @param {string} currentPeriod - Period of the new file
+   */
+  const rotate = (currentPeriod) => {
+    stream.end();
+
+    const stamp = new Date().toISOString().replace(/:/g, '-');
+    let rotatedPath = path.join(directory, `${baseName}.${stamp}`);
+
+    for (let suffix = 1; fs.existsSync(rotatedPath); suffix++) {
+      rotatedPath = path.join(directory, `${baseName}.${stamp}.${suffix}`);
+    }
+
+    try {
+      fs.renameSync(filePath, rotatedPath);
+    } catch (error) {
+      // Keep appending to the current file rather than retrying on every line
+      log.error('Log file rotation failed', { file: filePath, err: error });
+    }
+
+    size = 0;
+    period = currentPeriod;
+    open();
+    prune();
+  };
+
+  open();
+
+  return {
+    /**
+     * Appends text, rotating the file first when needed.
+     *
+     * @param {string} text - Text to append, usually one line with '\n'
+     */
+    write(text) {
+      const length = Buffer.byteLength(text);
+      const currentPeriod = getPeriod(interval, new Date());
+
+      if (size > 0 && (currentPeriod !== period || (maxBytes > 0 && size + length > maxBytes))) {
+        rotate(currentPeriod);
+      }
+
+      stream.write(text);
+      size += length;
+    },
+
+    /**
+     * Closes the file.
+     *
+     * @returns {Promise<void>} Resolves once pending lines are written
+     */
+    close() {
+      return new Promise((resolve) => stream.end(resolve));
+    }
+  };
+}
+
+module.exports = {
+  createRotatingFile
+};
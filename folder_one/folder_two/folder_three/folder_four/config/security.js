@@ -19,17 +19,21 @@
 
 'use strict';
 
+const { getSettings, mergeObjects } = require('./settings');
+
 /**
  * Environment detection for configuration adjustments
  * Production environments receive stricter security settings
  */
-const isProduction = process.env.NODE_ENV === 'production';
+const isProduction = getSettings().NODE_ENV === 'production';
 
 /**
- * Helmet.js Configuration Object
+ * Default Helmet.js Configuration Object
  * 
  * Configures 15+ security-focused HTTP headers to protect against common
  * web vulnerabilities including XSS, clickjacking, and MIME sniffing.
+ * The `helmet` section of the settings files (or HELMET_OPTIONS) is merged
+ * over these defaults, see helmetConfig below.
  * 
  * @type {Object}
  * @property {Object} contentSecurityPolicy - CSP directives configuration
@@ -42,7 +46,7 @@ const isProduction = process.env.NODE_ENV === 'production';
  * @property {Object} crossOriginOpenerPolicy - COOP header settings
  * @property {Object} crossOriginResourcePolicy - CORP header settings
  */
-const helmetConfig = {
+const defaultHelmetConfig = {
   /**
    * Content-Security-Policy Configuration
    * 
@@ -193,94 +197,127 @@ const helmetConfig = {
 };
 
 /**
- * Parse CORS allowed origins from environment variable
+ * Helmet.js Configuration Factory
+ * 
+ * The defaults above with the HELMET_OPTIONS setting merged over them.
+ * Objects merge key by key and arrays replace, so a settings file can
+ * change a single CSP directive:
+ * 
+ *   helmet:
+ *     contentSecurityPolicy:
+ *       directives:
+ *         imgSrc: ["'self'", "data:", "https://images.example.com"]
  * 
- * Parses the ALLOWED_ORIGINS environment variable, which can be a
- * comma-separated list of origins, and returns an array of trimmed origins.
- * Falls back to development defaults if not specified.
+ * `false` disables a header (e.g. `crossOriginEmbedderPolicy: false`).
  * 
- * @returns {string[]} Array of allowed origin URLs
+ * @param {Object} settings - Typed settings (see config/settings.js)
+ * @returns {Object} Helmet options
  */
-const parseAllowedOrigins = () => {
-  if (process.env.ALLOWED_ORIGINS) {
-    return process.env.ALLOWED_ORIGINS
-      .split(',')
-      .map(origin => origin.trim())
-      .filter(origin => origin.length > 0);
-  }
-  
-  // Default origins for development
-  // In production, ALLOWED_ORIGINS should always be explicitly set
-  return ['http://localhost:3000', 'http://localhost:8080'];
-};
+const createHelmetConfig = (settings) => mergeObjects(defaultHelmetConfig, settings.HELMET_OPTIONS);
 
 /**
- * CORS (Cross-Origin Resource Sharing) Configuration Object
+ * Helmet.js Configuration Object
  * 
- * Controls which origins can access this API and what HTTP methods
- * and headers are permitted in cross-origin requests.
+ * The configuration built from the settings at startup.
  * 
  * @type {Object}
+ */
+const helmetConfig = createHelmetConfig(getSettings());
+
+/**
+ * CORS (Cross-Origin Resource Sharing) Configuration Factory
+ * 
+ * Builds the options that control which origins can access this API and
+ * what HTTP methods and headers are permitted in cross-origin requests.
+ * Used for the options at startup and again on configuration reloads
+ * (see config/reload.js).
+ * 
+ * @param {Object} settings - Typed settings (see config/settings.js)
+ * @returns {Object} CORS options
  * @property {string[]|Function} origin - Allowed origins whitelist
  * @property {string[]} methods - Allowed HTTP methods
  * @property {string[]} allowedHeaders - Allowed request headers
+ * @property {string[]} exposedHeaders - Response headers readable by scripts
  * @property {boolean} credentials - Allow credentials (cookies, auth headers)
  * @property {number} maxAge - Preflight cache duration in seconds
  * @property {number} optionsSuccessStatus - Status code for successful OPTIONS requests
  */
-const corsOptions = {
-  /**
-   * Allowed Origins
-   * 
-   * Specifies which origins are permitted to make cross-origin requests.
-   * Loaded from ALLOWED_ORIGINS environment variable (comma-separated).
-   * Defaults to localhost development origins if not specified.
-   */
-  origin: parseAllowedOrigins(),
+const createCorsOptions = (settings) => ({
+    /**
+     * Allowed Origins
+     * 
+     * Specifies which origins are permitted to make cross-origin requests.
+     * Loaded from ALLOWED_ORIGINS environment variable (comma-separated).
+     * Defaults to localhost development origins if not specified
+     * (outside production only).
+     */
+    origin: settings.ALLOWED_ORIGINS,
 
-  /**
-   * Allowed HTTP Methods
-   * 
-   * Specifies which HTTP methods are permitted in cross-origin requests.
-   * Includes all standard RESTful API methods plus OPTIONS for preflight.
-   */
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
+    /**
+     * Allowed HTTP Methods
+     * 
+     * Specifies which HTTP methods are permitted in cross-origin requests.
+     * Defaults to all standard RESTful API methods plus OPTIONS for preflight
+     * (CORS_METHODS).
+     */
+    methods: settings.CORS_METHODS,
 
-  /**
-   * Allowed Request Headers
-   * 
-   * Specifies which headers can be included in cross-origin requests.
-   * - Content-Type: Required for JSON/form submissions
-   * - Authorization: Required for authenticated requests (JWT, Bearer tokens)
-   * - X-Requested-With: Common header for AJAX identification
-   */
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+    /**
+     * Allowed Request Headers
+     * 
+     * Specifies which headers can be included in cross-origin requests.
+     * - Content-Type: Required for JSON/form submissions
+     * - Authorization: Required for authenticated requests (JWT, Bearer tokens)
+     * - X-Requested-With: Common header for AJAX identification
+     * These defaults can be replaced with CORS_ALLOWED_HEADERS.
+     */
+    allowedHeaders: settings.CORS_ALLOWED_HEADERS,
 
-  /**
-   * Credentials Support
-   * 
-   * When true, allows cookies and authorization headers to be included
-   * in cross-origin requests. Required for authenticated API calls.
-   */
-  credentials: true,
+    /**
+     * Exposed Response Headers
+     * 
+     * Response headers browser scripts may read in addition to the
+     * CORS-safelisted ones. X-Request-Id lets front ends show the ID of a
+     * failed request for support (see middleware/requestId.js).
+     */
+    exposedHeaders: ['X-Request-Id'],
 
-  /**
-   * Preflight Cache Duration (seconds)
-   * 
-   * How long browsers should cache preflight (OPTIONS) request results.
-   * 86400 seconds = 24 hours, reducing preflight request overhead.
-   */
-  maxAge: 86400,
+    /**
+     * Credentials Support
+     * 
+     * When true, allows cookies and authorization headers to be included
+     * in cross-origin requests. Required for authenticated API calls.
+     * Set CORS_CREDENTIALS=false for public APIs.
+     */
+    credentials: settings.CORS_CREDENTIALS,
 
-  /**
-   * OPTIONS Success Status Code
-   * 
-   * Status code for successful OPTIONS (preflight) requests.
-   * 204 (No Content) is used as no response body is needed.
-   * Some legacy browsers may require 200 instead.
-   */
-  optionsSuccessStatus: 204
-};
+    /**
+     * Preflight Cache Duration (seconds)
+     * 
+     * How long browsers should cache preflight (OPTIONS) request results.
+     * 86400 seconds = 24 hours by default (CORS_MAX_AGE), reducing preflight
+     * request overhead.
+     */
+    maxAge: settings.CORS_MAX_AGE,
+
+    /**
+     * OPTIONS Success Status Code
+     * 
+     * Status code for successful OPTIONS (preflight) requests.
+     * 204 (No Content) is used as no response body is needed.
+     * Some legacy browsers may require 200 instead.
+     */
+    optionsSuccessStatus: 204
+});
+
+/**
+ * CORS Configuration Object
+ * 
+ * The options built from the settings at startup.
+ * 
+ * @type {Object}
+ */
+const corsOptions = createCorsOptions(getSettings());
 
 /**
  * Security Configuration Wrapper
@@ -319,11 +356,8 @@ const getHelmetConfig = () => {
  * @returns {Object} The complete CORS configuration object with current origins
  */
 const getCorsOptions = () => {
-  // Return a fresh copy with potentially updated origins from environment
-  return {
-    ...corsOptions,
-    origin: parseAllowedOrigins()
-  };
+  // Return fresh options with potentially updated settings
+  return createCorsOptions(getSettings());
 };
 
 /**
@@ -361,5 +395,12 @@ module.exports = {
    * Factory function to get CORS options (with fresh origins)
    * Use: cors(getCorsOptions())
    */
-  getCorsOptions
+  getCorsOptions,
+
+  /**
+   * Factories building the options from given settings
+   * Use: helmet(createHelmetConfig(settings)), cors(createCorsOptions(settings))
+   */
+  createHelmetConfig,
+  createCorsOptions
 };
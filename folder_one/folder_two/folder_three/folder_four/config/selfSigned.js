@@ -0,0 +1,231 @@
+/**
+ * Self-Signed Certificate Module
+ *
+ * Creates development certificates with Node.js built-ins only, so HTTPS can
+ * be tried locally without openssl. The certificate is an end-entity server
+ * certificate (not a CA) for localhost and the loopback addresses by default,
+ * with the subject alternative names browsers require.
+ *
+ * Self-signed certificates are for development only: clients do not trust
+ * them and show a certificate warning.
+ *
+ * Usage:
+ *   secure-server gen-certs                          # ./certs/server.key + server.cert
+ *   secure-server gen-certs --host dev.local --days 30
+ *
+ * @module config/selfSigned
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const {
+  derElement,
+  derOid,
+  derSequence,
+  derSet,
+  derInteger,
+  derTime,
+  derBitString
+} = require('./der');
+
+/**
+ * Default subject alternative names
+ */
+const DEFAULT_HOSTS = ['localhost', '127.0.0.1', '::1'];
+
+/**
+ * Default validity in days
+ */
+const DEFAULT_DAYS = 365;
+
+/**
+ * Object identifiers used in certificates
+ */
+const OID = {
+  commonName: '2.5.4.3',
+  organizationName: '2.5.4.10',
+  basicConstraints: '2.5.29.19',
+  keyUsage: '2.5.29.15',
+  extKeyUsage: '2.5.29.37',
+  subjectAltName: '2.5.29.17',
+  serverAuth: '1.3.6.1.5.5.7.3.1',
+  ecdsaWithSha256: '1.2.840.10045.4.3.2',
+  sha256WithRsa: '1.2.840.113549.1.1.11'
+};
+
+/**
+ * Encodes one certificate extension.
+ *
+ * @param {string} oid - Extension OID
+ * @param {boolean} critical - Whether clients must understand the extension
+ * @param {Buffer} value - DER-encoded extension value
+ * @returns {Buffer} DER element
+ */
+const extension = (oid, critical, value) => derSequence(
+  derOid(oid),
+  ...(critical ? [derElement(0x01, Buffer.from([0xff]))] : []),
+  derElement(0x04, value)
+);
+
+/**
+ * Encodes a host name or IP address as a GeneralName.
+ *
+ * @param {string} host - DNS name, IPv4 or IPv6 address
+ * @returns {Buffer} dNSName ([2]) or iPAddress ([7]) element
+ */
+function generalName(host) {
+  if (net.isIPv4(host)) {
+    return derElement(0x87, Buffer.from(host.split('.').map(Number)));
+  }
+
+  if (net.isIPv6(host)) {
+    // Expand '::' to the missing zero groups
+    const [head, tail = ''] = host.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    const groups = host.includes('::')
+      ? [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups]
+      : headGroups;
+
+    return derElement(0x87, Buffer.concat(groups.map((group) => {
+      const bytes = Buffer.alloc(2);
+      bytes.writeUInt16BE(parseInt(group, 16));
+      return bytes;
+    })));
+  }
+
+  return derElement(0x82, Buffer.from(host));
+}
+
+/**
+ * Creates a self-signed server certificate.
+ *
+ * @param {Object} [options] - Certificate options
+ * @param {string[]} [options.hosts] - Host names and IP addresses (default:
+ *   localhost, 127.0.0.1, ::1); the first one becomes the common name
+ * @param {number} [options.days=365] - Validity in days
+ * @param {string} [options.keyType='ec'] - 'ec' (P-256) or 'rsa' (2048 bit)
+ * @returns {Object} PEM-encoded credentials
+ * @returns {string} return.key - PKCS#8 private key
+ * @returns {string} return.cert - Certificate
+ * @throws {Error} When an option is invalid
+ *
+ * @example
+ * const { key, cert } = createSelfSignedCertificate({ hosts: ['dev.local'] });
+ * https.createServer({ key, cert }, app);
+ */
+function createSelfSignedCertificate(options = {}) {
+  const hosts = options.hosts && options.hosts.length > 0 ? options.hosts : DEFAULT_HOSTS;
+  const days = options.days !== undefined ? options.days : DEFAULT_DAYS;
+  const keyType = options.keyType || 'ec';
+
+  if (!Number.isInteger(days) || days < 1) {
+    throw new Error(`Invalid validity: ${days}. Expected a positive number of days.`);
+  }
+
+  if (!['ec', 'rsa'].includes(keyType)) {
+    throw new Error(`Invalid key type: ${keyType}. Expected one of: ec, rsa`);
+  }
+
+  const { privateKey, publicKey } = keyType === 'rsa'
+    ? crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+    : crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+
+  const signatureAlgorithm = keyType === 'ec'
+    ? derSequence(derOid(OID.ecdsaWithSha256))
+    : derSequence(derOid(OID.sha256WithRsa), derElement(0x05, Buffer.alloc(0)));
+
+  // Issuer and subject are the same for a self-signed certificate
+  const name = derSequence(
+    derSet(derSequence(derOid(OID.organizationName), derElement(0x0c, Buffer.from('Development')))),
+    derSet(derSequence(derOid(OID.commonName), derElement(0x0c, Buffer.from(hosts[0]))))
+  );
+
+  // Backdated slightly so clocks running behind still accept the certificate
+  const notBefore = new Date(Date.now() - 60 * 60 * 1000);
+  const notAfter = new Date(notBefore.getTime() + days * 24 * 60 * 60 * 1000);
+
+  // digitalSignature, plus keyEncipherment for RSA key exchange
+  const keyUsage = keyType === 'rsa'
+    ? derElement(0x03, Buffer.from([5, 0xa0]))
+    : derElement(0x03, Buffer.from([7, 0x80]));
+
+  const extensions = derSequence(
+    extension(OID.basicConstraints, true, derSequence()),
+    extension(OID.keyUsage, true, keyUsage),
+    extension(OID.extKeyUsage, false, derSequence(derOid(OID.serverAuth))),
+    extension(OID.subjectAltName, false, derSequence(...hosts.map(generalName)))
+  );
+
+  const tbsCertificate = derSequence(
+    derElement(0xa0, derInteger(2)), // version v3
+    derInteger(crypto.randomBytes(16)),
+    signatureAlgorithm,
+    name,
+    derSequence(derTime(notBefore), derTime(notAfter)),
+    name,
+    publicKey.export({ type: 'spki', format: 'der' }),
+    derElement(0xa3, extensions)
+  );
+
+  const certificate = derSequence(
+    tbsCertificate,
+    signatureAlgorithm,
+    derBitString(crypto.sign('sha256', tbsCertificate, privateKey))
+  );
+
+  const base64 = certificate.toString('base64').match(/.{1,64}/g).join('\n');
+
+  return {
+    key: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    cert: `-----BEGIN CERTIFICATE-----\n${base64}\n-----END CERTIFICATE-----\n`
+  };
+}
+
+/**
+ * Creates a self-signed certificate and writes the key and certificate files.
+ *
+ * Existing files are only replaced with `force`, so a real certificate is
+ * not overwritten by accident. The private key is written with mode 0600.
+ *
+ * @param {Object} options - Options for createSelfSignedCertificate(), plus:
+ * @param {string} options.keyPath - Private key destination
+ * @param {string} options.certPath - Certificate destination
+ * @param {boolean} [options.force=false] - Replace existing files
+ * @returns {crypto.X509Certificate} The written certificate
+ * @throws {Error} When a file exists and force is not set, or cannot be written
+ */
+function writeSelfSignedCertificate(options) {
+  const keyPath = path.resolve(options.keyPath);
+  const certPath = path.resolve(options.certPath);
+
+  if (!options.force) {
+    const existing = [keyPath, certPath].filter((file) => fs.existsSync(file));
+
+    if (existing.length > 0) {
+      throw new Error(
+        `${existing.map((file) => path.basename(file)).join(' and ')} already exist${existing.length === 1 ? 's' : ''}; ` +
+        'use --force to replace'
+      );
+    }
+  }
+
+  const { key, cert } = createSelfSignedCertificate(options);
+
+  fs.mkdirSync(path.dirname(keyPath), { recursive: true });
+  fs.mkdirSync(path.dirname(certPath), { recursive: true });
+  fs.writeFileSync(keyPath, key, { mode: 0o600 });
+  fs.chmodSync(keyPath, 0o600);
+  fs.writeFileSync(certPath, cert);
+
+  return new crypto.X509Certificate(cert);
+}
+
+module.exports = {
+  createSelfSignedCertificate,
+  writeSelfSignedCertificate
+};
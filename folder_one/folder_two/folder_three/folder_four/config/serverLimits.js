@@ -0,0 +1,407 @@
+/**
+ * Server Limits Module
+ *
+ * Protects the HTTP and HTTPS listeners against slow or idle clients
+ * (slowloris-style attacks), which tie up sockets without ever reaching the
+ * rate limiter: a client that sends its headers one byte at a time never
+ * produces a request for the limiter to count.
+ *
+ * The same limits are applied to every listener:
+ * - Headers timeout: time a client gets to send the complete request headers
+ * - Request timeout: time a client gets to send the complete request
+ * - Keep-alive timeout: how long an idle keep-alive connection stays open
+ * - Socket timeout: inactivity after which any connection is closed
+ *   (also covers idle HTTP/2 sessions)
+ * - TLS handshake timeout: time a client gets to complete the TLS handshake
+ * - Maximum header count per request: further HTTP/1.1 headers are ignored,
+ *   HTTP/2 requests with more header pairs are refused
+ * - Maximum concurrent connections per client IP
+ *
+ * Limit hits are counted (see getServerLimitStats(), reported by /health)
+ * and logged with the client IP.
+ *
+ * Environment Variables:
+ *   SERVER_HEADERS_TIMEOUT_MS       - Headers timeout (default: 20000)
+ *   SERVER_REQUEST_TIMEOUT_MS       - Request timeout (default: 60000)
+ *   SERVER_KEEP_ALIVE_TIMEOUT_MS    - Keep-alive timeout (default: 5000)
+ *   SERVER_SOCKET_TIMEOUT_MS        - Socket inactivity timeout (default: 120000)
+ *   SERVER_TLS_HANDSHAKE_TIMEOUT_MS - TLS handshake timeout (default: 10000)
+ *   SERVER_MAX_HEADERS_COUNT        - Maximum request headers (default: 100)
+ *   SERVER_MAX_CONNECTIONS_PER_IP   - Concurrent connections per IP, 0 to disable
+ *                                     (default: 100, or 0 when TRUST_PROXY is true,
+ *                                     since all connections then come from the proxy)
+ *
+ * @module config/serverLimits
+ */
+
+'use strict';
+
+const http = require('http');
+const https = require('https');
+const tls = require('tls');
+const { getConnectionAddress } = require('./proxyProtocol');
+const { getSettings } = require('./settings');
+const { createLogger } = require('./logger');
+
+const log = createLogger('serverLimits');
+
+/**
+ * Environment variable for each limit
+ * Defaults are stricter than the Node.js defaults (60s headers, 300s request
+ * timeout, 120s TLS handshake, 2000 headers, no socket timeout); see
+ * config/settings.js
+ */
+const LIMIT_ENV_NAMES = {
+  headersTimeoutMs: 'SERVER_HEADERS_TIMEOUT_MS',
+  requestTimeoutMs: 'SERVER_REQUEST_TIMEOUT_MS',
+  keepAliveTimeoutMs: 'SERVER_KEEP_ALIVE_TIMEOUT_MS',
+  socketTimeoutMs: 'SERVER_SOCKET_TIMEOUT_MS',
+  tlsHandshakeTimeoutMs: 'SERVER_TLS_HANDSHAKE_TIMEOUT_MS',
+  maxHeadersCount: 'SERVER_MAX_HEADERS_COUNT',
+  maxConnectionsPerIp: 'SERVER_MAX_CONNECTIONS_PER_IP'
+};
+
+/**
+ * How often Node.js checks HTTP/1.1 connections for headers and request
+ * timeouts (its default of 30 seconds would let a 20-second headers timeout
+ * run for up to 50 seconds)
+ */
+const CONNECTIONS_CHECKING_INTERVAL_MS = 1000;
+
+/**
+ * Counters since startup
+ */
+const limitStats = {
+  headersTimeouts: 0,
+  requestTimeouts: 0,
+  idleTimeouts: 0,
+  tlsHandshakeTimeouts: 0,
+  rejectedConnections: 0
+};
+
+/**
+ * Client addresses of connections, recorded when the TCP connection (and,
+ * for TLS, the secure connection) is established, so that logs still name
+ * the client once a socket has been destroyed
+ * @type {WeakMap<net.Socket, string>}
+ */
+const socketAddresses = new WeakMap();
+
+/**
+ * Records the client address of a socket while it is connected.
+ *
+ * @param {net.Socket|tls.TLSSocket} socket - Client socket
+ */
+function recordSocketAddress(socket) {
+  socketAddresses.set(socket, getConnectionAddress(socket) || 'local');
+}
+
+/**
+ * Reads the server limits from the settings.
+ *
+ * Values are validated by loadSettings() at startup (non-negative integers,
+ * headers timeout not above the request timeout).
+ *
+ * @returns {Object} Limits keyed by the fields of LIMIT_ENV_NAMES
+ */
+function getServerLimits() {
+  const settings = getSettings();
+  const limits = {};
+
+  Object.entries(LIMIT_ENV_NAMES).forEach(([field, envName]) => {
+    limits[field] = settings[envName];
+  });
+
+  return limits;
+}
+
+/**
+ * Returns the server options that can only be set when a server is created.
+ *
+ * Spread into the options of http.createServer(), https.createServer() and
+ * http2.createSecureServer().
+ *
+ * @param {Object} [limits] - Limits from getServerLimits()
+ * @returns {Object} Server creation options
+ *
+ * @example
+ * const server = http.createServer(getServerOptions(), app);
+ */
+function getServerOptions(limits = getServerLimits()) {
+  return {
+    headersTimeout: limits.headersTimeoutMs,
+    requestTimeout: limits.requestTimeoutMs,
+    keepAliveTimeout: limits.keepAliveTimeoutMs,
+    connectionsCheckingInterval: CONNECTIONS_CHECKING_INTERVAL_MS,
+    handshakeTimeout: limits.tlsHandshakeTimeoutMs,
+    // HTTP/2 counterpart of maxHeadersCount (key/value pairs, pseudo-headers included)
+    maxHeaderListPairs: limits.maxHeadersCount + 4
+  };
+}
+
+/**
+ * Returns the client address of a socket for logs.
+ *
+ * @param {net.Socket} socket - Client socket
+ * @returns {string} IP address, or 'local' for Unix socket connections
+ */
+function getSocketAddress(socket) {
+  return socketAddresses.get(socket) || getConnectionAddress(socket) || 'local';
+}
+
+/**
+ * Counts and logs a limit hit.
+ *
+ * @param {string} counter - Field of limitStats
+ * @param {string} description - Log message, e.g. 'Headers timeout'
+ * @param {net.Socket} socket - Affected client socket
+ * @param {string} name - Server name ('HTTP' or 'HTTPS')
+ */
+function recordLimitHit(counter, description, socket, name) {
+  limitStats[counter]++;
+  log.warn(description, { ip: getSocketAddress(socket), server: name });
+}
+
+/**
+ * Answers an HTTP/1.1 client error the way Node.js does without a
+ * 'clientError' listener, after counting timeouts.
+ *
+ * @param {Error} error - Parser or timeout error
+ * @param {net.Socket} socket - Client socket
+ * @param {string} name - Server name
+ * @param {http.ServerResponse} [response] - Response in progress on the socket, if any
+ */
+function handleClientError(error, socket, name, response) {
+  if (error.code === 'ERR_HTTP_REQUEST_TIMEOUT') {
+    // Node.js reports both timeouts with one code; without a request the headers timed out
+    recordLimitHit(
+      response ? 'requestTimeouts' : 'headersTimeouts',
+      response ? 'Request timeout' : 'Headers timeout',
+      socket,
+      name
+    );
+  }
+
+  if (socket.writable && (!response || !response.headersSent)) {
+    const status = {
+      ERR_HTTP_REQUEST_TIMEOUT: 408,
+      HPE_HEADER_OVERFLOW: 431,
+      HPE_CHUNK_EXTENSIONS_OVERFLOW: 413
+    }[error.code] || 400;
+
+    socket.end(`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\nConnection: close\r\n\r\n`);
+  }
+
+  socket.destroy(error);
+}
+
+/**
+ * Enforces the headers timeout on HTTP/1.1 fallback connections of an
+ * HTTP/2 server, which (unlike http and https servers) does not apply
+ * headersTimeout itself.
+ *
+ * The deadline starts after the TLS handshake and again after every
+ * response on a kept-alive connection (keep-alive timeout plus headers
+ * timeout), and is cleared once the request headers have arrived.
+ *
+ * @param {http2.Http2SecureServer} server - HTTP/2 server accepting HTTP/1.1
+ * @param {Object} limits - Limits from getServerLimits()
+ * @param {string} name - Server name
+ */
+function enforceHttp1HeadersTimeout(server, limits, name) {
+  const deadlines = new WeakMap();
+
+  const arm = (socket, timeoutMs) => {
+    clearTimeout(deadlines.get(socket));
+    deadlines.set(socket, setTimeout(() => {
+      recordLimitHit('headersTimeouts', 'Headers timeout', socket, name);
+      socket.destroy();
+    }, timeoutMs).unref());
+  };
+
+  server.on('secureConnection', (socket) => {
+    if (socket.alpnProtocol === 'h2' || limits.headersTimeoutMs === 0) {
+      return;
+    }
+
+    arm(socket, limits.headersTimeoutMs);
+    socket.once('close', () => clearTimeout(deadlines.get(socket)));
+  });
+
+  server.on('request', (req, res) => {
+    if (req.httpVersionMajor === 2 || !deadlines.has(req.socket)) {
+      return;
+    }
+
+    const socket = req.socket;
+    clearTimeout(deadlines.get(socket));
+
+    res.once('finish', () => {
+      if (!socket.destroyed) {
+        arm(socket, limits.keepAliveTimeoutMs + limits.headersTimeoutMs);
+      }
+    });
+  });
+}
+
+/**
+ * Applies the server limits to an HTTP, HTTPS or HTTP/2 server.
+ *
+ * Must be called right after the server is created, with the options from
+ * getServerOptions() already passed to the constructor.
+ *
+ * @param {net.Server} server - Server to protect
+ * @param {string} name - Server name for logs ('HTTP' or 'HTTPS')
+ * @param {Object} [limits] - Limits from getServerLimits()
+ *
+ * @example
+ * const limits = getServerLimits();
+ * const server = http.createServer(getServerOptions(limits), app);
+ * applyServerLimits(server, 'HTTP', limits);
+ */
+function applyServerLimits(server, name, limits = getServerLimits()) {
+  // http2 does not export its server class; anything else here is an HTTP/2 server
+  const isHttp2 = !(server instanceof http.Server || server instanceof https.Server);
+
+  // HTTP/1.1 responses in progress, by socket
+  const activeResponses = new WeakMap();
+
+  server.on('request', (req, res) => {
+    if (req.httpVersionMajor === 2) {
+      return;
+    }
+
+    activeResponses.set(req.socket, res);
+    res.once('close', () => activeResponses.delete(req.socket));
+  });
+
+  if (isHttp2) {
+    enforceHttp1HeadersTimeout(server, limits, name);
+  } else {
+    server.headersTimeout = limits.headersTimeoutMs;
+    server.requestTimeout = limits.requestTimeoutMs;
+    server.keepAliveTimeout = limits.keepAliveTimeoutMs;
+    server.maxHeadersCount = limits.maxHeadersCount;
+    server.on('clientError', (error, socket) => {
+      handleClientError(error, socket, name, activeResponses.get(socket));
+    });
+  }
+
+  // With a 'timeout' listener, Node.js leaves closing timed-out connections to us
+  if (limits.socketTimeoutMs > 0) {
+    server.setTimeout(limits.socketTimeoutMs);
+    server.on('timeout', (socketOrSession) => {
+      // Expired keep-alive connections and idle HTTP/2 sessions are routine;
+      // only a stalled request counts as a limit hit
+      if (activeResponses.has(socketOrSession)) {
+        recordLimitHit('idleTimeouts', 'Idle timeout', socketOrSession, name);
+      }
+
+      socketOrSession.destroy();
+    });
+  }
+
+  server.on('connection', recordSocketAddress);
+
+  if (server instanceof tls.Server) {
+    const handshaking = new Set();
+
+    server.on('connection', (socket) => {
+      handshaking.add(socket);
+      socket.once('close', () => handshaking.delete(socket));
+    });
+
+    server.on('secureConnection', recordSocketAddress);
+
+    // A TLS socket that failed its handshake is already destroyed and has no
+    // address; its TCP connection is the one torn down in the same tick,
+    // before that connection's 'close' event
+    server.on('tlsClientError', (error, tlsSocket) => {
+      if (socketAddresses.has(tlsSocket)) {
+        return;
+      }
+
+      for (const socket of handshaking) {
+        if (socket.destroyed) {
+          socketAddresses.set(tlsSocket, socketAddresses.get(socket));
+          handshaking.delete(socket);
+          break;
+        }
+      }
+    });
+  }
+
+  server.on('tlsClientError', (error, tlsSocket) => {
+    if (error.code === 'ERR_TLS_HANDSHAKE_TIMEOUT') {
+      recordLimitHit('tlsHandshakeTimeouts', 'TLS handshake timeout', tlsSocket, name);
+    }
+  });
+
+  if (limits.maxConnectionsPerIp > 0) {
+    const connectionsPerIp = new Map();
+
+    server.on('connection', (socket) => {
+      const address = getConnectionAddress(socket);
+
+      // Unix socket connections have no address to limit by
+      if (!address) {
+        return;
+      }
+
+      const count = (connectionsPerIp.get(address) || 0) + 1;
+
+      if (count > limits.maxConnectionsPerIp) {
+        recordLimitHit('rejectedConnections', 'Connection limit per IP exceeded', socket, name);
+        socket.destroy();
+        return;
+      }
+
+      connectionsPerIp.set(address, count);
+      socket.once('close', () => {
+        const remaining = connectionsPerIp.get(address) - 1;
+
+        if (remaining > 0) {
+          connectionsPerIp.set(address, remaining);
+        } else {
+          connectionsPerIp.delete(address);
+        }
+      });
+    });
+  }
+}
+
+/**
+ * Describes the active limits for the startup summary.
+ *
+ * @param {Object} [limits] - Limits from getServerLimits()
+ * @returns {string} e.g. 'headers 20s, request 60s, keep-alive 5s, idle 120s, 100 conns/IP'
+ */
+function describeServerLimits(limits = getServerLimits()) {
+  const seconds = (ms) => (ms === 0 ? 'off' : `${ms / 1000}s`);
+
+  return [
+    `headers ${seconds(limits.headersTimeoutMs)}`,
+    `request ${seconds(limits.requestTimeoutMs)}`,
+    `keep-alive ${seconds(limits.keepAliveTimeoutMs)}`,
+    `idle ${seconds(limits.socketTimeoutMs)}`,
+    limits.maxConnectionsPerIp > 0 ? `${limits.maxConnectionsPerIp} conns/IP` : 'no per-IP cap'
+  ].join(', ');
+}
+
+/**
+ * Returns limit hit counters for health reporting.
+ *
+ * @returns {Object} Counters: headersTimeouts, requestTimeouts, idleTimeouts,
+ *   tlsHandshakeTimeouts and rejectedConnections
+ */
+function getServerLimitStats() {
+  return { ...limitStats };
+}
+
+module.exports = {
+  getServerLimits,
+  getServerOptions,
+  applyServerLimits,
+  describeServerLimits,
+  getServerLimitStats
+};
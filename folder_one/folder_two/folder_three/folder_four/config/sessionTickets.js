@@ -0,0 +1,253 @@
+/**
+ * TLS Session Ticket Module
+ *
+ * Shares TLS session ticket keys between server instances and tracks how
+ * often clients resume sessions.
+ *
+ * Every Node.js process generates random ticket keys by default, so a client
+ * that resumes its session on another instance behind a load balancer falls
+ * back to a full handshake. With SSL_TICKET_KEYS_PATH, all instances derive
+ * the same ticket key from a shared secret:
+ *
+ *   key(period) = HKDF-SHA256(secret, info = 'tls-ticket-key:' + period)
+ *   period      = floor(now / SSL_TICKET_ROTATION_MS)
+ *
+ * Periods are aligned to the Unix epoch, so instances with synchronized
+ * clocks rotate to the next key at the same moment without coordinating with
+ * each other, and the secret itself is never used as a key. The secret is
+ * re-read at every rotation, so it can be replaced without a restart. The
+ * key is applied to the default context and to every SNI hostname context.
+ *
+ * Keys of earlier periods are NOT kept for decryption. A ticket is accepted
+ * until the end of the period it was issued in, even if it was issued a
+ * second before the switch: a TLS context holds one ticket key
+ * (server.setTicketKeys() takes exactly one), which both issues and accepts
+ * tickets, and Node.js has no public API for accepting a second key.
+ * Clients presenting a ticket from an earlier period perform a full
+ * handshake and receive a new ticket, which shows up as misses in the
+ * resumption statistics after each rotation. A longer
+ * SSL_TICKET_ROTATION_MS makes those switches rarer.
+ *
+ * Environment Variables:
+ *   SSL_TICKET_KEYS_PATH   - File with the shared secret (at least 32 bytes), or a
+ *                            directory whose last file in name order is used
+ *   SSL_TICKET_ROTATION_MS - Key rotation period (default: 12 hours)
+ *
+ * @module config/sessionTickets
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getSettings } = require('./settings');
+const { createLogger } = require('./logger');
+
+const log = createLogger('sessionTickets');
+
+/**
+ * Minimum length of the shared secret in bytes
+ */
+const MIN_SECRET_BYTES = 32;
+
+/**
+ * Length of a Node.js ticket key: 16-byte name, 16-byte HMAC key, 16-byte AES key
+ */
+const TICKET_KEY_BYTES = 48;
+
+/**
+ * Session resumption counters since startup
+ */
+const resumptionStats = {
+  resumed: 0,
+  full: 0
+};
+
+/**
+ * Reads the shared ticket secret from SSL_TICKET_KEYS_PATH.
+ *
+ * Errors do not include the file path, matching the path-hiding behaviour
+ * of loadCertificates() in config/https.js.
+ *
+ * @returns {Buffer} Shared secret
+ * @throws {Error} When the file or directory cannot be read or the secret is too short
+ */
+function loadTicketSecret() {
+  const configuredPath = path.resolve(getSettings().SSL_TICKET_KEYS_PATH);
+  let secret;
+
+  try {
+    let secretPath = configuredPath;
+
+    if (fs.statSync(configuredPath).isDirectory()) {
+      // Hidden entries are skipped (e.g. the ..data links of Kubernetes secret volumes)
+      const files = fs.readdirSync(configuredPath)
+        .filter((name) => !name.startsWith('.'))
+        .sort();
+
+      if (files.length === 0) {
+        throw new Error('SSL ticket key directory is empty');
+      }
+
+      secretPath = path.join(configuredPath, files[files.length - 1]);
+    }
+
+    secret = fs.readFileSync(secretPath);
+  } catch (error) {
+    if (error.message.includes('SSL ')) {
+      throw error;
+    }
+
+    const reason = {
+      ENOENT: 'file not found',
+      EACCES: 'permission denied',
+      EISDIR: 'path points to a directory'
+    }[error.code] || error.message;
+
+    throw new Error(
+      `SSL ticket keys could not be loaded: ${reason}. ` +
+      'Please check the SSL_TICKET_KEYS_PATH environment variable.'
+    );
+  }
+
+  if (secret.length < MIN_SECRET_BYTES) {
+    throw new Error(
+      `SSL ticket key secret must be at least ${MIN_SECRET_BYTES} bytes ` +
+      '(generate one with: openssl rand -base64 48)'
+    );
+  }
+
+  return secret;
+}
+
+/**
+ * Derives the ticket key for a rotation period.
+ *
+ * @param {Buffer} secret - Shared secret
+ * @param {number} period - Rotation period index
+ * @returns {Buffer} 48-byte ticket key for server.setTicketKeys()
+ */
+function deriveTicketKey(secret, period) {
+  return Buffer.from(
+    crypto.hkdfSync('sha256', secret, Buffer.alloc(0), `tls-ticket-key:${period}`, TICKET_KEY_BYTES)
+  );
+}
+
+/**
+ * Starts shared ticket key rotation for a TLS server.
+ *
+ * Applies the key of the current period immediately (so a missing or invalid
+ * secret fails at startup), then rotates at every period boundary. A failed
+ * rotation is logged and the previous key stays active. The key is applied to
+ * the per-hostname contexts of the SNI resolver as well (server.sniResolver,
+ * see config/sni.js), which keeps it across certificate reloads; the default
+ * context gets it again after each reload, because replacing it resets the key.
+ *
+ * @param {tls.Server} server - HTTPS or HTTP/2 server created by createSecureServer()
+ * @returns {Function} Function that stops the rotation
+ * @throws {Error} When the shared secret cannot be loaded
+ *
+ * @example
+ * if (getSettings().SSL_TICKET_KEYS_PATH) {
+ *   server.once('close', startTicketKeyRotation(server));
+ * }
+ */
+function startTicketKeyRotation(server) {
+  const rotationMs = getSettings().SSL_TICKET_ROTATION_MS;
+  let currentKey = null;
+  let timer = null;
+
+  const apply = () => {
+    const period = Math.floor(Date.now() / rotationMs);
+    currentKey = deriveTicketKey(loadTicketSecret(), period);
+    server.setTicketKeys(currentKey);
+
+    // setTicketKeys() only reaches the default context, not the SNI contexts
+    if (server.sniResolver) {
+      server.sniResolver.setTicketKeys(currentKey);
+    }
+
+    return period;
+  };
+
+  const schedule = () => {
+    // Wake up at the next period boundary so all instances switch together
+    timer = setTimeout(() => {
+      try {
+        const period = apply();
+        log.info('TLS session ticket key rotated', { period });
+      } catch (error) {
+        log.error('TLS session ticket key rotation failed, keeping current key', { error: error.message });
+      }
+
+      schedule();
+    }, rotationMs - (Date.now() % rotationMs));
+
+    // Rotation should never keep the process alive on shutdown
+    timer.unref();
+  };
+
+  const reapply = () => {
+    server.setTicketKeys(currentKey);
+  };
+
+  apply();
+  schedule();
+  server.on('certificatesReloaded', reapply);
+
+  log.info('TLS session tickets use shared keys', { rotationMs });
+
+  return () => {
+    clearTimeout(timer);
+    server.removeListener('certificatesReloaded', reapply);
+  };
+}
+
+/**
+ * Counts resumed and full handshakes of a TLS server.
+ *
+ * @param {tls.Server} server - HTTPS or HTTP/2 server
+ */
+function trackSessionResumption(server) {
+  server.on('secureConnection', (tlsSocket) => {
+    if (tlsSocket.isSessionReused()) {
+      resumptionStats.resumed++;
+    } else {
+      resumptionStats.full++;
+    }
+  });
+}
+
+/**
+ * Returns session resumption statistics for health reporting.
+ *
+ * A resumed handshake is a hit; a full handshake is a miss (either a new
+ * client or a ticket that could not be used).
+ *
+ * @returns {Object} Statistics
+ * @returns {number} return.hits - Resumed handshakes
+ * @returns {number} return.misses - Full handshakes
+ * @returns {number|null} return.hitRatio - hits / (hits + misses), null before the first handshake
+ * @returns {boolean} return.sharedTicketKeys - Whether SSL_TICKET_KEYS_PATH is configured
+ *
+ * @example
+ * // { hits: 812, misses: 95, hitRatio: 0.895, sharedTicketKeys: true }
+ */
+function getSessionResumptionStats() {
+  const total = resumptionStats.resumed + resumptionStats.full;
+
+  return {
+    hits: resumptionStats.resumed,
+    misses: resumptionStats.full,
+    hitRatio: total > 0 ? Math.round((resumptionStats.resumed / total) * 1000) / 1000 : null,
+    sharedTicketKeys: Boolean(getSettings().SSL_TICKET_KEYS_PATH)
+  };
+}
+
+module.exports = {
+  startTicketKeyRotation,
+  trackSessionResumption,
+  getSessionResumptionStats,
+  deriveTicketKey
+};
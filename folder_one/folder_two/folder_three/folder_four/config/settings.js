@@ -0,0 +1,1081 @@
+/**
+ * Settings Module
+ *
+ * Single typed view of the configuration. Every setting the server reads is
+ * declared in SETTINGS with its type and default, so that:
+ * - Values are parsed once and handed out typed (numbers, booleans, lists)
+ * - Invalid values are reported instead of being replaced with defaults
+ *   (RATE_LIMIT_MAX=abc used to fall back to 100 without a word)
+ * - Settings that only make sense together are checked together
+ *   (e.g. SSL_CLIENT_AUTH without SSL_CLIENT_CA_PATH)
+ * - Production refuses dangerous values: missing or wildcard CORS origins,
+ *   HTTPS off without a TLS-terminating proxy, TRUST_PROXY misuse
+ *
+ * server.js and cluster.js call loadSettings() before starting and exit with
+ * the complete list of problems, one line per problem:
+ *
+ *   Invalid configuration (2 problems):
+ *     - RATE_LIMIT_MAX: expected an integer >= 1, got 'abc'
+ *     - ALLOWED_ORIGINS: must be set in production (no localhost fallback)
+ *
+ * Everything else reads them with getSettings(), which returns the settings
+ * validated by loadSettings(). Edits to the sources never take effect in
+ * between: a configuration reload that passes validation (reloadSettings())
+ * replaces the settings it applies, the others keep their startup values. Modules that read settings while
+ * being loaded, before loadSettings() runs, get the first read instead:
+ * invalid values fall back to their defaults there, and startup validation
+ * keeps such a process from serving.
+ *
+ * Values come from layered sources; each one overrides the ones above it:
+ *
+ *   1. Built-in defaults (SETTINGS)
+ *   2. settings/default.{json,yaml,yml}
+ *   3. settings/<NODE_ENV>.{json,yaml,yml}, e.g. settings/production.yaml
+ *   4. settings/local.{json,yaml,yml} (machine-specific, not committed)
+ *   5. .env
+ *   6. Environment variables
+ *
+ * The files use nested keys (`rateLimit: { max: 50 }` for RATE_LIMIT_MAX,
+ * see `key` in SETTINGS) and can hold structured values such as helmet
+ * options, which are merged across files. The directory is CONFIG_DIR.
+ * Unknown keys are reported, so typos do not go unnoticed.
+ *
+ * Empty environment values count as unset. startServer() calls
+ * loadSettings(), so changes made before it (e.g. in tests) are picked up.
+ *
+ * @module config/settings
+ */
+
+'use strict';
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const dotenv = require('dotenv');
+const YAML = require('yaml');
+const { TLS_PROFILES, getTlsProfile } = require('./tlsProfiles');
+const { parseListenTarget } = require('./listenTarget');
+
+// =============================================================================
+// VALUE TYPES
+// =============================================================================
+
+/**
+ * Each type parses a raw (trimmed, non-empty) value from the environment or
+ * a settings file and throws an Error describing the expected value when it
+ * does not parse.
+ */
+
+/**
+ * 'true' or 'false'
+ */
+const boolean = () => (value) => {
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+
+  throw new Error(`expected 'true' or 'false', got '${value}'`);
+};
+
+/**
+ * Integer with a lower bound
+ */
+const integer = ({ min = 0 } = {}) => (value) => {
+  if (!/^-?\d+$/.test(value) || parseInt(value, 10) < min) {
+    throw new Error(`expected an integer >= ${min}, got '${value}'`);
+  }
+
+  return parseInt(value, 10);
+};
+
+/**
+ * Free-form string (paths, host names, cipher lists)
+ */
+const string = () => (value) => value;
+
+/**
+ * One of a fixed set of values, case-insensitive unless stated otherwise
+ */
+const oneOf = (values, { caseSensitive = false } = {}) => (value) => {
+  const normalized = caseSensitive ? value : value.toLowerCase();
+
+  if (!values.includes(normalized)) {
+    throw new Error(`expected one of ${values.join(', ')}, got '${value}'`);
+  }
+
+  return normalized;
+};
+
+/**
+ * Comma-separated list
+ */
+const list = () => (value) => value
+  .split(',')
+  .map((item) => item.trim())
+  .filter((item) => item.length > 0);
+
+/**
+ * Comma-separated list of positive integers
+ */
+const integerList = () => (value) => list()(value).map((item) => {
+  if (!/^\d+$/.test(item) || parseInt(item, 10) < 1) {
+    throw new Error(`expected comma-separated integers >= 1, got '${value}'`);
+  }
+
+  return parseInt(item, 10);
+});
+
+/**
+ * Comma-separated list of IP addresses and CIDR ranges (10.0.0.0/8, fd00::/8)
+ */
+const cidrList = () => (value) => list()(value).map((item) => {
+  const [address, prefix, ...rest] = item.split('/');
+  const version = net.isIP(address);
+  const validPrefix = prefix === undefined ||
+    (/^\d+$/.test(prefix) && parseInt(prefix, 10) <= (version === 6 ? 128 : 32));
+
+  if (version === 0 || rest.length > 0 || !validPrefix) {
+    throw new Error(`expected comma-separated IP addresses or CIDR ranges, got '${item}'`);
+  }
+
+  return item;
+});
+
+/**
+ * Octal file mode such as 660
+ */
+const octalMode = () => (value) => {
+  if (!/^[0-7]{3,4}$/.test(value)) {
+    throw new Error(`expected an octal mode such as 660, got '${value}'`);
+  }
+
+  return value;
+};
+
+/**
+ * JSON document
+ */
+const json = () => (value) => {
+  try {
+    JSON.parse(value);
+  } catch (error) {
+    throw new Error('expected valid JSON');
+  }
+
+  return value;
+};
+
+/**
+ * JSON object, returned parsed (structured options such as helmet's)
+ */
+const object = () => (value) => {
+  let parsed;
+
+  try {
+    parsed = JSON.parse(value);
+  } catch (error) {
+    throw new Error('expected a JSON object');
+  }
+
+  if (!isPlainObject(parsed)) {
+    throw new Error('expected a JSON object');
+  }
+
+  return parsed;
+};
+
+/**
+ * Absolute http(s) URL
+ */
+const url = () => (value) => {
+  let parsed;
+
+  try {
+    parsed = new URL(value);
+  } catch (error) {
+    throw new Error(`expected an http(s) URL, got '${value}'`);
+  }
+
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+    throw new Error(`expected an http(s) URL, got '${value}'`);
+  }
+
+  return value;
+};
+
+// =============================================================================
+// SETTINGS SCHEMA
+// =============================================================================
+
+/**
+ * Every setting, in documentation order, keyed by its environment variable.
+ *
+ * `key` is the setting's path in the settings files (e.g. `rateLimit.max`).
+ * NODE_ENV and CONFIG_DIR have no key: they select the files, so they can
+ * only come from the environment. `secret` values are masked when settings
+ * are displayed.
+ *
+ * `default` may be a function of the settings declared before it. Settings
+ * without a default are undefined when unset; the module using them decides
+ * (e.g. SSL_PROFILE overrides only apply when set).
+ *
+ * LISTEN_FDS/LISTEN_PID/LISTEN_FDNAMES are set by systemd, not by users, and
+ * are validated through PORT/HTTPS_PORT instead.
+ *
+ * @constant {Object<string, {key: string, type: Function, default: *, secret: boolean, description: string}>}
+ */
+const SETTINGS = {
+  // General
+  NODE_ENV: { type: string(), default: 'development', description: 'Environment mode' },
+  CONFIG_DIR: { type: string(), default: './settings', description: 'Directory of the settings files' },
+  TRUST_PROXY: { key: 'server.trustProxy', type: boolean(), default: false, description: 'Trust X-Forwarded-* headers from a reverse proxy' },
+  ALLOWED_ORIGINS: {
+    key: 'cors.allowedOrigins',
+    type: list(),
+    // No localhost fallback in production; loadSettings() reports the missing value
+    default: (settings) => (settings.NODE_ENV === 'production'
+      ? []
+      : ['http://localhost:3000', 'http://localhost:8080']),
+    description: 'Comma-separated CORS origin whitelist'
+  },
+  CORS_METHODS: {
+    key: 'cors.methods',
+    type: list(),
+    default: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
+    description: 'Methods allowed in cross-origin requests'
+  },
+  CORS_ALLOWED_HEADERS: {
+    key: 'cors.allowedHeaders',
+    type: list(),
+    default: ['Content-Type', 'Authorization', 'X-Requested-With'],
+    description: 'Request headers allowed in cross-origin requests'
+  },
+  CORS_CREDENTIALS: { key: 'cors.credentials', type: boolean(), default: true, description: 'Allow cookies and authorization headers' },
+  CORS_MAX_AGE: { key: 'cors.maxAge', type: integer(), default: 86400, description: 'Preflight cache duration in seconds' },
+
+  // Security headers (see config/security.js)
+  HELMET_OPTIONS: { key: 'helmet', type: object(), default: {}, description: 'Helmet options merged over the defaults' },
+
+  // Listeners
+  PORT: { key: 'server.port', type: string(), default: '3000', description: 'HTTP port, unix socket, fd:N or systemd[:name]' },
+  HTTPS_PORT: { key: 'server.httpsPort', type: string(), default: '443', description: 'HTTPS port, unix socket, fd:N or systemd[:name]' },
+  UNIX_SOCKET_MODE: { key: 'server.unixSocketMode', type: octalMode(), description: 'Permissions of unix sockets' },
+  ENABLE_HTTPS: { key: 'https.enabled', type: boolean(), default: false, description: 'Start the HTTPS server' },
+  ENABLE_HTTP2: { key: 'https.http2', type: boolean(), default: false, description: 'Serve HTTP/2 on the HTTPS port' },
+  HTTPS_REDIRECT: { key: 'https.redirect', type: boolean(), default: false, description: 'Redirect HTTP requests to HTTPS' },
+  HTTPS_REDIRECT_HOST: { key: 'https.redirectHost', type: string(), description: 'Host name used in redirects' },
+  HTTPS_REDIRECT_EXEMPT_PATHS: { key: 'https.redirectExemptPaths', type: list(), description: 'Path prefixes served over plain HTTP' },
+
+  // PROXY protocol (see config/proxyProtocol.js)
+  PROXY_PROTOCOL: { key: 'proxyProtocol.enabled', type: boolean(), default: false, description: 'Read client addresses from PROXY protocol headers' },
+  PROXY_PROTOCOL_TRUSTED: { key: 'proxyProtocol.trusted', type: cidrList(), default: [], description: 'Load balancer addresses/CIDRs that must send them' },
+  PROXY_PROTOCOL_TIMEOUT_MS: { key: 'proxyProtocol.timeoutMs', type: integer({ min: 1 }), default: 5000, description: 'Time a load balancer gets to send the header' },
+
+  // Rate limiting
+  RATE_LIMIT_WINDOW_MS: { key: 'rateLimit.windowMs', type: integer({ min: 1 }), default: 900000, description: 'Rate limit window' },
+  RATE_LIMIT_MAX: { key: 'rateLimit.max', type: integer({ min: 1 }), default: 100, description: 'Requests per window per IP' },
+
+  // Slow-client protection (see config/serverLimits.js)
+  SERVER_HEADERS_TIMEOUT_MS: { key: 'server.headersTimeoutMs', type: integer(), default: 20000, description: 'Headers timeout' },
+  SERVER_REQUEST_TIMEOUT_MS: { key: 'server.requestTimeoutMs', type: integer(), default: 60000, description: 'Request timeout' },
+  SERVER_KEEP_ALIVE_TIMEOUT_MS: { key: 'server.keepAliveTimeoutMs', type: integer(), default: 5000, description: 'Keep-alive timeout' },
+  SERVER_SOCKET_TIMEOUT_MS: { key: 'server.socketTimeoutMs', type: integer(), default: 120000, description: 'Socket inactivity timeout' },
+  SERVER_TLS_HANDSHAKE_TIMEOUT_MS: { key: 'server.tlsHandshakeTimeoutMs', type: integer(), default: 10000, description: 'TLS handshake timeout' },
+  SERVER_MAX_HEADERS_COUNT: { key: 'server.maxHeadersCount', type: integer(), default: 100, description: 'Maximum request headers' },
+  SERVER_MAX_CONNECTIONS_PER_IP: {
+    key: 'server.maxConnectionsPerIp',
+    type: integer(),
+    // All connections come from the proxy when TRUST_PROXY is on
+    default: (settings) => (settings.TRUST_PROXY ? 0 : 100),
+    description: 'Concurrent connections per client IP (0 disables)'
+  },
+
+  // Graceful shutdown (see config/shutdown.js)
+  SHUTDOWN_READINESS_DELAY_MS: { key: 'shutdown.readinessDelayMs', type: integer(), default: 0, description: 'Not-ready time before closing listeners' },
+  SHUTDOWN_DRAIN_TIMEOUT_MS: { key: 'shutdown.drainTimeoutMs', type: integer(), default: 10000, description: 'Deadline for in-flight requests' },
+
+  // Health checks (see config/healthChecks.js)
+  HEALTH_CHECK_TIMEOUT_MS: { key: 'health.checkTimeoutMs', type: integer({ min: 1 }), default: 2000, description: 'Default timeout per readiness check' },
+  HEALTH_CHECK_CACHE_MS: { key: 'health.cacheMs', type: integer(), default: 2000, description: 'How long check results are reused' },
+  HEALTH_DISK_PATH: { key: 'health.diskPath', type: string(), default: '.', description: 'Directory whose disk space is checked' },
+  HEALTH_DISK_MIN_FREE_MB: { key: 'health.diskMinFreeMb', type: integer(), default: 100, description: 'Minimum free disk space (0 disables)' },
+
+  // Metrics (see config/metrics.js)
+  METRICS_ENABLED: { key: 'metrics.enabled', type: boolean(), default: false, description: 'Serve Prometheus metrics on /metrics' },
+  METRICS_TOKEN: { key: 'metrics.token', type: string(), secret: true, description: 'Bearer token required on /metrics' },
+  METRICS_ALLOWED: { key: 'metrics.allowed', type: cidrList(), default: ['127.0.0.1', '::1'], description: 'Addresses/CIDRs allowed to read /metrics' },
+
+  // Logging (see config/logger.js)
+  LOG_LEVEL: { key: 'log.level', type: oneOf(['error', 'warn', 'info', 'debug']), default: 'info', description: 'Least severe level written' },
+  LOG_FORMAT: {
+    key: 'log.format',
+    type: oneOf(['json', 'pretty']),
+    default: (settings) => (settings.NODE_ENV === 'production' ? 'json' : 'pretty'),
+    description: 'One JSON object per line, or human-readable lines'
+  },
+  LOG_REDACT: { key: 'log.redact', type: list(), default: [], description: 'Additional field names to redact' },
+
+  // Access log (see middleware/accessLog.js)
+  ACCESS_LOG_ENABLED: { key: 'accessLog.enabled', type: boolean(), default: false, description: 'Write one line per request' },
+  ACCESS_LOG_FORMAT: { key: 'accessLog.format', type: oneOf(['combined', 'common', 'json']), default: 'combined', description: 'Access log line format' },
+  ACCESS_LOG_FILE: { key: 'accessLog.file', type: string(), description: 'Access log file (default: stdout)' },
+  ACCESS_LOG_ROTATE: { key: 'accessLog.rotate', type: oneOf(['daily', 'hourly', 'off']), default: 'daily', description: 'Time-based rotation of the file' },
+  ACCESS_LOG_MAX_SIZE_MB: { key: 'accessLog.maxSizeMb', type: integer(), default: 100, description: 'File size that triggers rotation (0 disables)' },
+  ACCESS_LOG_MAX_FILES: { key: 'accessLog.maxFiles', type: integer(), default: 14, description: 'Rotated files kept (0 keeps all)' },
+  ACCESS_LOG_EXCLUDE_PATHS: {
+    key: 'accessLog.excludePaths',
+    type: list(),
+    default: ['/health', '/livez', '/readyz', '/metrics'],
+    description: 'Path prefixes not logged'
+  },
+
+  // Request IDs (see middleware/requestId.js)
+  REQUEST_ID_TRUSTED: {
+    key: 'requestId.trusted',
+    type: cidrList(),
+    default: ['127.0.0.1', '::1'],
+    description: 'Addresses/CIDRs whose X-Request-Id header is kept'
+  },
+
+  // Cluster mode (see cluster.js)
+  CLUSTER_WORKERS: { key: 'cluster.workers', type: integer({ min: 1 }), description: 'Worker processes (default: number of CPUs)' },
+  CLUSTER_RESTART_DELAY_MS: { key: 'cluster.restartDelayMs', type: integer({ min: 1 }), default: 1000, description: 'Initial restart delay' },
+  CLUSTER_RESTART_MAX_DELAY_MS: { key: 'cluster.restartMaxDelayMs', type: integer({ min: 1 }), default: 30000, description: 'Maximum restart delay' },
+  CLUSTER_READY_TIMEOUT_MS: { key: 'cluster.readyTimeoutMs', type: integer({ min: 1 }), default: 30000, description: 'Startup time per worker' },
+
+  // Certificates (see config/https.js)
+  SSL_KEY_PATH: { key: 'tls.keyPath', type: string(), default: './certs/server.key', description: 'Private key file' },
+  SSL_CERT_PATH: { key: 'tls.certPath', type: string(), default: './certs/server.cert', description: 'Certificate file' },
+  SSL_CHAIN_PATH: { key: 'tls.chainPath', type: string(), description: 'Intermediate certificates file' },
+  SSL_PFX_PATH: { key: 'tls.pfxPath', type: string(), description: 'PFX/PKCS#12 bundle' },
+  SSL_KEY_PASSPHRASE: { key: 'tls.keyPassphrase', type: string(), secret: true, description: 'Private key passphrase' },
+  SSL_KEY_PASSPHRASE_FILE: { key: 'tls.keyPassphraseFile', type: string(), description: 'File containing the key passphrase' },
+  SSL_WATCH: { key: 'tls.watch', type: boolean(), default: true, description: 'Reload certificates when the files change' },
+  SSL_RELOAD_DEBOUNCE_MS: { key: 'tls.reloadDebounceMs', type: integer({ min: 1 }), default: 1000, description: 'Delay before reloading' },
+  SSL_CLIENT_AUTH: { key: 'tls.clientAuth', type: oneOf(['off', 'optional', 'require']), default: 'off', description: 'Client certificate mode' },
+  SSL_CLIENT_CA_PATH: { key: 'tls.clientCaPath', type: string(), description: 'CA bundle for client certificates' },
+  SSL_CLIENT_ALLOWED_SUBJECTS: { key: 'tls.clientAllowedSubjects', type: list(), description: 'Allowed client certificate subjects' },
+  SSL_CLIENT_ALLOWED_FINGERPRINTS: { key: 'tls.clientAllowedFingerprints', type: list(), description: 'Allowed client certificate fingerprints' },
+
+  // TLS profile (see config/tlsProfiles.js)
+  SSL_PROFILE: { key: 'tls.profile', type: oneOf(Object.keys(TLS_PROFILES)), description: 'TLS profile (default: intermediate)' },
+  SSL_MIN_VERSION: { key: 'tls.minVersion', type: oneOf(['TLSv1', 'TLSv1.1', 'TLSv1.2', 'TLSv1.3'], { caseSensitive: true }), description: 'Minimum TLS version' },
+  SSL_MAX_VERSION: { key: 'tls.maxVersion', type: oneOf(['TLSv1', 'TLSv1.1', 'TLSv1.2', 'TLSv1.3'], { caseSensitive: true }), description: 'Maximum TLS version' },
+  SSL_CIPHERS: { key: 'tls.ciphers', type: string(), description: 'TLS 1.2 cipher list' },
+  SSL_ECDH_CURVE: { key: 'tls.ecdhCurve', type: string(), description: 'Key exchange groups' },
+  SSL_SIGALGS: { key: 'tls.sigalgs', type: string(), description: 'Signature algorithms' },
+  SSL_HONOR_CIPHER_ORDER: { key: 'tls.honorCipherOrder', type: boolean(), description: 'Prefer the server cipher order' },
+  SSL_SESSION_TIMEOUT: { key: 'tls.sessionTimeout', type: integer({ min: 1 }), description: 'TLS session lifetime in seconds' },
+
+  // SNI (see config/sni.js)
+  SSL_SNI_DIR: { key: 'tls.sniDir', type: string(), description: 'Directory of per-hostname certificates' },
+  SSL_SNI_CERTS: { key: 'tls.sniCerts', type: json(), description: 'JSON list of per-hostname certificates' },
+  SSL_SNI_UNKNOWN: { key: 'tls.sniUnknown', type: oneOf(['default', 'reject']), default: 'default', description: 'Policy for unknown host names' },
+
+  // Session tickets (see config/sessionTickets.js)
+  SSL_TICKET_KEYS_PATH: { key: 'tls.ticketKeysPath', type: string(), description: 'Shared session ticket secret' },
+  SSL_TICKET_ROTATION_MS: { key: 'tls.ticketRotationMs', type: integer({ min: 1 }), default: 43200000, description: 'Ticket key rotation interval' },
+
+  // Certificate expiry monitoring (see config/certificateMonitor.js)
+  SSL_EXPIRY_WARN_DAYS: { key: 'tls.expiryWarnDays', type: integerList(), default: [30, 14, 7], description: 'Expiry warning thresholds in days' },
+  SSL_EXPIRY_CHECK_INTERVAL_MS: { key: 'tls.expiryCheckIntervalMs', type: integer({ min: 1 }), default: 3600000, description: 'Expiry check interval' },
+
+  // ACME (see config/acme.js)
+  ACME_ENABLED: { key: 'acme.enabled', type: boolean(), default: false, description: 'Obtain certificates automatically' },
+  ACME_DOMAINS: { key: 'acme.domains', type: list(), default: [], description: 'Domain names to certify' },
+  ACME_EMAIL: { key: 'acme.email', type: string(), description: 'Contact address for the ACME account' },
+  ACME_TERMS_AGREED: { key: 'acme.termsAgreed', type: boolean(), default: false, description: 'Agree to the CA terms of service' },
+  ACME_DIRECTORY_URL: { key: 'acme.directoryUrl', type: url(), default: 'https://acme-v02.api.letsencrypt.org/directory', description: 'ACME directory' },
+  ACME_ACCOUNT_KEY_PATH: { key: 'acme.accountKeyPath', type: string(), default: './certs/acme-account.key', description: 'ACME account key file' },
+  ACME_KEY_TYPE: { key: 'acme.keyType', type: oneOf(['ec', 'rsa']), default: 'ec', description: 'Certificate key type' },
+  ACME_CA_BUNDLE_PATH: { key: 'acme.caBundlePath', type: string(), description: 'CA bundle for a private ACME server' },
+  ACME_RENEW_DAYS: { key: 'acme.renewDays', type: integer({ min: 1 }), default: 30, description: 'Renew this many days before expiry' },
+  ACME_CHECK_INTERVAL_MS: { key: 'acme.checkIntervalMs', type: integer({ min: 1 }), default: 43200000, description: 'Renewal check interval' }
+};
+
+// =============================================================================
+// CROSS-SETTING CHECKS
+// =============================================================================
+
+/**
+ * Checks that involve several settings. A check only runs when the settings
+ * it names parsed without problems, so one bad value is reported once.
+ * Each check returns a problem message, or nothing when the settings are fine.
+ *
+ * @constant {Array<{names: string[], check: Function}>}
+ */
+const CHECKS = [
+  {
+    names: ['PORT'],
+    check: (settings) => listenTargetProblem(settings.PORT, { envName: 'PORT', systemdIndex: 0 })
+  },
+  {
+    names: ['ENABLE_HTTPS', 'HTTPS_PORT'],
+    check: (settings) => settings.ENABLE_HTTPS &&
+      listenTargetProblem(settings.HTTPS_PORT, { envName: 'HTTPS_PORT', systemdIndex: 1 })
+  },
+  {
+    names: ['ENABLE_HTTPS', 'PORT', 'HTTPS_PORT'],
+    check: (settings) => settings.ENABLE_HTTPS && settings.PORT === settings.HTTPS_PORT &&
+      `PORT and HTTPS_PORT: both are set to ${settings.PORT}`
+  },
+  {
+    names: ['ENABLE_HTTPS', 'HTTPS_REDIRECT'],
+    check: (settings) => settings.HTTPS_REDIRECT && !settings.ENABLE_HTTPS &&
+      'HTTPS_REDIRECT: requires ENABLE_HTTPS=true (there is no HTTPS server to redirect to)'
+  },
+  {
+    names: ['SERVER_HEADERS_TIMEOUT_MS', 'SERVER_REQUEST_TIMEOUT_MS'],
+    check: (settings) => settings.SERVER_REQUEST_TIMEOUT_MS > 0 &&
+      settings.SERVER_HEADERS_TIMEOUT_MS > settings.SERVER_REQUEST_TIMEOUT_MS &&
+      'SERVER_HEADERS_TIMEOUT_MS: must not be greater than SERVER_REQUEST_TIMEOUT_MS'
+  },
+  {
+    names: ['PROXY_PROTOCOL', 'PROXY_PROTOCOL_TRUSTED'],
+    check: (settings) => settings.PROXY_PROTOCOL && settings.PROXY_PROTOCOL_TRUSTED.length === 0 &&
+      'PROXY_PROTOCOL_TRUSTED: must list the load balancer addresses when PROXY_PROTOCOL=true'
+  },
+  {
+    names: ['CLUSTER_RESTART_DELAY_MS', 'CLUSTER_RESTART_MAX_DELAY_MS'],
+    check: (settings) => settings.CLUSTER_RESTART_DELAY_MS > settings.CLUSTER_RESTART_MAX_DELAY_MS &&
+      'CLUSTER_RESTART_DELAY_MS: must not be greater than CLUSTER_RESTART_MAX_DELAY_MS'
+  },
+  {
+    names: ['ENABLE_HTTPS', 'SSL_PROFILE', 'SSL_MIN_VERSION', 'SSL_MAX_VERSION', 'SSL_SESSION_TIMEOUT'],
+    check: (settings) => {
+      if (!settings.ENABLE_HTTPS) {
+        return undefined;
+      }
+
+      try {
+        getTlsProfile(settings);
+        return undefined;
+      } catch (error) {
+        return `SSL_MIN_VERSION: ${error.message}`;
+      }
+    }
+  },
+  {
+    names: ['ENABLE_HTTPS', 'SSL_CLIENT_AUTH', 'SSL_CLIENT_CA_PATH'],
+    check: (settings) => settings.ENABLE_HTTPS && settings.SSL_CLIENT_AUTH !== 'off' &&
+      !settings.SSL_CLIENT_CA_PATH &&
+      `SSL_CLIENT_CA_PATH: required when SSL_CLIENT_AUTH is '${settings.SSL_CLIENT_AUTH}'`
+  },
+  {
+    names: ['ACME_ENABLED', 'ACME_DOMAINS'],
+    check: (settings) => settings.ACME_ENABLED && settings.ACME_DOMAINS.length === 0 &&
+      'ACME_DOMAINS: must list at least one domain name when ACME_ENABLED=true'
+  },
+  {
+    names: ['ACME_ENABLED', 'ACME_DOMAINS'],
+    check: (settings) => settings.ACME_ENABLED && settings.ACME_DOMAINS.some((domain) => domain.startsWith('*.')) &&
+      'ACME_DOMAINS: wildcard domains require the DNS-01 challenge, which is not supported'
+  },
+  {
+    names: ['ACME_ENABLED', 'ACME_TERMS_AGREED'],
+    check: (settings) => settings.ACME_ENABLED && !settings.ACME_TERMS_AGREED &&
+      'ACME_TERMS_AGREED: set to true to agree to the ACME CA terms of service'
+  },
+  {
+    names: ['ACME_ENABLED', 'SSL_PFX_PATH', 'SSL_CHAIN_PATH'],
+    check: (settings) => settings.ACME_ENABLED && (settings.SSL_PFX_PATH || settings.SSL_CHAIN_PATH) &&
+      'ACME_ENABLED: cannot be combined with SSL_PFX_PATH or SSL_CHAIN_PATH'
+  }
+];
+
+/**
+ * Checks that only apply when NODE_ENV is 'production'. Development keeps
+ * working with the localhost defaults; production must be configured on
+ * purpose.
+ *
+ * @constant {Array<{names: string[], check: Function}>}
+ */
+const PRODUCTION_CHECKS = [
+  {
+    names: ['ALLOWED_ORIGINS'],
+    check: (settings) => settings.ALLOWED_ORIGINS.length === 0 &&
+      'ALLOWED_ORIGINS: must be set in production (no localhost fallback)'
+  },
+  {
+    names: ['ALLOWED_ORIGINS'],
+    check: (settings) => settings.ALLOWED_ORIGINS.some((origin) => origin.includes('*') || origin === 'null') &&
+      'ALLOWED_ORIGINS: wildcard and null origins are not allowed in production'
+  },
+  {
+    names: ['ALLOWED_ORIGINS'],
+    check: (settings) => {
+      const local = settings.ALLOWED_ORIGINS.filter(isLocalOrigin);
+      return local.length > 0 && `ALLOWED_ORIGINS: localhost origins are not allowed in production (${local.join(', ')})`;
+    }
+  },
+  {
+    names: ['ENABLE_HTTPS', 'TRUST_PROXY'],
+    check: (settings) => !settings.ENABLE_HTTPS && !settings.TRUST_PROXY &&
+      'ENABLE_HTTPS: HTTPS is off in production; enable it, or set TRUST_PROXY=true if a reverse proxy terminates TLS'
+  },
+  {
+    names: ['METRICS_ENABLED', 'METRICS_TOKEN', 'METRICS_ALLOWED'],
+    check: (settings) => settings.METRICS_ENABLED && !settings.METRICS_TOKEN &&
+      settings.METRICS_ALLOWED.some((entry) => /\/0$/.test(entry)) &&
+      'METRICS_TOKEN: required in production when METRICS_ALLOWED admits every address'
+  },
+  {
+    names: ['TRUST_PROXY', 'SERVER_MAX_CONNECTIONS_PER_IP'],
+    check: (settings) => settings.TRUST_PROXY && settings.SERVER_MAX_CONNECTIONS_PER_IP > 0 &&
+      'SERVER_MAX_CONNECTIONS_PER_IP: with TRUST_PROXY=true all connections come from the proxy, ' +
+      'so the cap would limit the proxy itself; set it to 0'
+  }
+];
+
+/**
+ * Reports a listen target that does not parse.
+ *
+ * @param {string} value - PORT or HTTPS_PORT value
+ * @param {Object} options - Options for parseListenTarget()
+ * @returns {string|undefined} Problem message
+ */
+function listenTargetProblem(value, options) {
+  try {
+    parseListenTarget(value, options);
+    return undefined;
+  } catch (error) {
+    return `${options.envName}: ${error.message}`;
+  }
+}
+
+/**
+ * Reports whether a CORS origin points at the local machine.
+ *
+ * @param {string} origin - Origin such as 'http://localhost:3000'
+ * @returns {boolean} True for localhost and loopback addresses
+ */
+function isLocalOrigin(origin) {
+  try {
+    const hostname = new URL(origin).hostname;
+    return hostname === 'localhost' || hostname === '[::1]' || hostname.startsWith('127.');
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Reports whether a value is a plain object (not an array or null).
+ *
+ * @param {*} value - Value to test
+ * @returns {boolean} True for objects such as `{ max: 100 }`
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// =============================================================================
+// SETTINGS FILES
+// =============================================================================
+
+/**
+ * Settings file formats, by extension
+ * @constant {Object<string, Function>}
+ */
+const FILE_PARSERS = {
+  '.json': (text) => JSON.parse(text),
+  '.yaml': (text) => YAML.parse(text),
+  '.yml': (text) => YAML.parse(text)
+};
+
+/**
+ * Setting names by file key ('rateLimit.max' → 'RATE_LIMIT_MAX')
+ * @constant {Map<string, string>}
+ */
+const FILE_KEYS = new Map(
+  Object.entries(SETTINGS)
+    .filter(([, spec]) => spec.key)
+    .map(([name, spec]) => [spec.key, name])
+);
+
+/**
+ * File sections that contain settings ('rateLimit', 'tls', ...)
+ * @constant {Set<string>}
+ */
+const FILE_SECTIONS = new Set(
+  [...FILE_KEYS.keys()].flatMap((key) => key.split('.').slice(0, -1)
+    .map((part, index, parts) => parts.slice(0, index + 1).join('.')))
+);
+
+/**
+ * Parsed files by absolute path, reused while size and mtime are unchanged
+ * @type {Map<string, Object>}
+ */
+const fileCache = new Map();
+
+/**
+ * Reads and parses a file, using the cache when the file is unchanged.
+ *
+ * @param {string} file - Absolute path
+ * @param {Function} parse - Parser for the file contents
+ * @returns {Object|undefined} `{ data }` or `{ error }`; undefined when the
+ *   file does not exist
+ */
+function readCachedFile(file, parse) {
+  let stats;
+
+  try {
+    stats = fs.statSync(file);
+  } catch (error) {
+    return undefined;
+  }
+
+  const cached = fileCache.get(file);
+
+  if (cached && cached.mtimeMs === stats.mtimeMs && cached.size === stats.size) {
+    return cached;
+  }
+
+  const entry = { mtimeMs: stats.mtimeMs, size: stats.size };
+
+  try {
+    entry.data = parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    // Parser messages can span several lines (YAML shows the offending snippet)
+    entry.error = error.message.split('\n')[0].replace(/:$/, '');
+  }
+
+  fileCache.set(file, entry);
+  return entry;
+}
+
+/**
+ * Collects the setting values of one parsed settings file.
+ *
+ * @param {Object} data - Parsed file contents
+ * @param {string} prefix - Key path of `data` ('' at the top level)
+ * @param {Map<string, *>} values - Receives values keyed by setting name
+ * @param {string[]} problems - Receives unknown keys and misplaced values
+ */
+function collectFileValues(data, prefix, values, problems) {
+  Object.entries(data).forEach(([name, value]) => {
+    const key = prefix ? `${prefix}.${name}` : name;
+
+    if (FILE_KEYS.has(key)) {
+      // null (an empty YAML value) leaves the setting to lower layers
+      if (value !== null) {
+        values.set(FILE_KEYS.get(key), value);
+      }
+    } else if (!FILE_SECTIONS.has(key)) {
+      problems.push(`unknown setting '${key}'`);
+    } else if (isPlainObject(value)) {
+      collectFileValues(value, key, values, problems);
+    } else if (value !== null) {
+      problems.push(`'${key}' must be a section of settings, not a single value`);
+    }
+  });
+}
+
+/**
+ * Merges object values recursively; other values (arrays included) replace.
+ *
+ * @param {Object} base - Lower-precedence object
+ * @param {Object} override - Higher-precedence object
+ * @returns {Object} New merged object
+ */
+function mergeObjects(base, override) {
+  const merged = { ...base };
+
+  Object.entries(override).forEach(([name, value]) => {
+    merged[name] = isPlainObject(value) && isPlainObject(merged[name])
+      ? mergeObjects(merged[name], value)
+      : value;
+  });
+
+  return merged;
+}
+
+/**
+ * Reads the settings files for an environment.
+ *
+ * Files are looked up in CONFIG_DIR as `<layer>.json`, `<layer>.yaml` or
+ * `<layer>.yml`, for the layers default, NODE_ENV and local (lowest to
+ * highest precedence). Missing files are skipped. Later layers replace
+ * values of earlier ones; object values (helmet) are merged.
+ *
+ * @param {string} directory - CONFIG_DIR
+ * @param {string} nodeEnv - NODE_ENV
+ * @returns {Object} Result
+ * @returns {Map<string, {value: *, files: string[]}>} return.values - File
+ *   values keyed by setting name, with the files that set them
+ * @returns {string[]} return.files - Files that were read, for display
+ * @returns {string[]} return.problems - Unreadable files and unknown keys
+ */
+function readSettingsFiles(directory, nodeEnv) {
+  const values = new Map();
+  const files = [];
+  const problems = [];
+
+  [...new Set(['default', nodeEnv, 'local'])].forEach((layer) => {
+    const candidates = Object.keys(FILE_PARSERS)
+      .map((extension) => path.resolve(directory, layer + extension))
+      .filter((file) => fs.existsSync(file));
+
+    if (candidates.length > 1) {
+      problems.push(`${displayPath(directory)}: found both ${candidates.map((file) => path.basename(file)).join(' and ')}; keep one`);
+      return;
+    }
+
+    if (candidates.length === 0) {
+      return;
+    }
+
+    const file = displayPath(candidates[0]);
+    const entry = readCachedFile(candidates[0], FILE_PARSERS[path.extname(candidates[0])]);
+
+    if (!entry) {
+      return;
+    }
+
+    if (entry.error) {
+      problems.push(`${file}: ${entry.error}`);
+      return;
+    }
+
+    // An empty file parses to null
+    if (entry.data !== null && !isPlainObject(entry.data)) {
+      problems.push(`${file}: expected an object of settings`);
+      return;
+    }
+
+    const fileValues = new Map();
+    const fileProblems = [];
+    collectFileValues(entry.data || {}, '', fileValues, fileProblems);
+
+    fileProblems.forEach((problem) => problems.push(`${file}: ${problem}`));
+
+    fileValues.forEach((value, name) => {
+      const previous = values.get(name);
+
+      values.set(name, previous && isPlainObject(previous.value) && isPlainObject(value)
+        ? { value: mergeObjects(previous.value, value), files: [...previous.files, file] }
+        : { value, files: [file] });
+    });
+
+    files.push(file);
+  });
+
+  return { values, files, problems };
+}
+
+/**
+ * Converts a file value to the text form the setting types parse, so file
+ * values are validated exactly like environment values.
+ *
+ * @param {*} value - Value from a settings file
+ * @returns {string} Raw setting value
+ */
+function toRawValue(value) {
+  if (typeof value === 'string') {
+    return value.trim();
+  }
+
+  if (Array.isArray(value) && value.every((item) => item === null || typeof item !== 'object')) {
+    return value.join(',');
+  }
+
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Formats a path relative to the working directory.
+ *
+ * @param {string} file - Path
+ * @returns {string} Relative path (or the path itself outside the directory)
+ */
+function displayPath(file) {
+  const relative = path.relative(process.cwd(), path.resolve(file));
+  return relative && !relative.startsWith('..') ? relative : path.resolve(file);
+}
+
+/**
+ * .env values as last applied to process.env. Recorded on the first read,
+ * which happens after the entry point's dotenv.config(); updated by
+ * reloadSettings().
+ * @type {Object<string, string>|null}
+ */
+let appliedDotenv = null;
+
+/**
+ * Settings returned by getSettings(): validated by loadSettings(), updated
+ * by reloads without problems. Until loadSettings() runs, the first read.
+ * @type {Object|null}
+ */
+let currentSettings = null;
+
+/**
+ * Values from the .env file, to tell them apart from real environment
+ * variables. dotenv never overrides variables that are already set, so a
+ * variable only came from .env when the values match.
+ *
+ * @returns {Object<string, string>} Parsed .env file (empty when missing)
+ */
+function readDotenvValues() {
+  const entry = readCachedFile(path.resolve('.env'), (text) => dotenv.parse(text));
+  const values = entry && entry.data ? entry.data : {};
+
+  if (appliedDotenv === null) {
+    appliedDotenv = values;
+  }
+
+  return values;
+}
+
+/**
+ * Re-applies the .env file to process.env, for configuration reloads.
+ *
+ * dotenv only fills in variables once, at startup. Variables that came from
+ * .env (their value is still the one applied from it) take the new value, or
+ * are removed along with their line; variables set in the real environment
+ * are left alone.
+ *
+ * @returns {string[]} Names of the variables that changed
+ */
+function refreshDotenv() {
+  const previous = appliedDotenv || readDotenvValues();
+  const current = readDotenvValues();
+  const changed = [];
+
+  new Set([...Object.keys(previous), ...Object.keys(current)]).forEach((name) => {
+    const fromDotenv = process.env[name] === undefined || process.env[name] === previous[name];
+
+    if (!fromDotenv || process.env[name] === current[name]) {
+      return;
+    }
+
+    if (current[name] === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = current[name];
+    }
+
+    changed.push(name);
+  });
+
+  appliedDotenv = current;
+  return changed;
+}
+
+/**
+ * Reads all settings for a configuration reload, with the current .env.
+ *
+ * The new .env values are applied to process.env before the settings are
+ * read, and taken back when the result has problems: the environment then
+ * still holds the configuration that stays active, for child processes
+ * forked afterwards. Only a result without problems updates the settings
+ * returned by getSettings().
+ *
+ * @param {Object} [options] - Reload options
+ * @param {Function} [options.check] - Further check of valid settings,
+ *   called with them; an error it throws is added to the problems
+ * @param {string[]} [options.names] - Settings that take the reloaded
+ *   values in getSettings() (default: all)
+ * @returns {Object} Result of readSettings()
+ *
+ * @example
+ * const { settings, problems } = reloadSettings({
+ *   check: (settings) => helmet(createHelmetConfig(settings)),
+ *   names: ['HELMET_OPTIONS']
+ * });
+ */
+function reloadSettings(options = {}) {
+  const { check, names } = options;
+  const environment = { ...process.env };
+  const dotenvValues = appliedDotenv;
+
+  refreshDotenv();
+
+  const result = readSettings();
+
+  if (result.problems.length === 0 && check) {
+    try {
+      check(result.settings);
+    } catch (error) {
+      result.problems.push(error.message);
+    }
+  }
+
+  if (result.problems.length > 0) {
+    Object.keys(process.env)
+      .filter((name) => environment[name] === undefined)
+      .forEach((name) => delete process.env[name]);
+    Object.assign(process.env, environment);
+    appliedDotenv = dotenvValues;
+  } else if (names) {
+    currentSettings = { ...getSettings() };
+    names.forEach((name) => {
+      currentSettings[name] = result.settings[name];
+    });
+  } else {
+    currentSettings = result.settings;
+  }
+
+  return result;
+}
+
+/**
+ * Formats a setting value for display.
+ *
+ * @param {string} name - Setting name
+ * @param {*} value - Typed setting value
+ * @returns {string} Display text; secrets are masked
+ *
+ * @example
+ * formatSettingValue('ALLOWED_ORIGINS', ['https://a.example', 'https://b.example']);
+ * // 'https://a.example, https://b.example'
+ */
+function formatSettingValue(name, value) {
+  if (value === undefined) {
+    return '-';
+  }
+
+  if (SETTINGS[name] && SETTINGS[name].secret) {
+    return '********';
+  }
+
+  if (Array.isArray(value)) {
+    return value.join(', ') || '(none)';
+  }
+
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+// =============================================================================
+// LOADING
+// =============================================================================
+
+/**
+ * Reads all settings without throwing.
+ *
+ * Sources, lowest to highest precedence: built-in defaults, the settings
+ * files (default, NODE_ENV, local), .env and the environment. Empty
+ * environment values count as unset.
+ *
+ * @returns {Object} Result
+ * @returns {Object} return.settings - Typed settings keyed by variable name;
+ *   invalid values are replaced by their defaults
+ * @returns {string[]} return.problems - One message per problem: file
+ *   problems first, then settings in schema order
+ * @returns {Object<string, string>} return.sources - Where each value came
+ *   from: 'default', '.env', 'environment' or the settings file(s)
+ * @returns {string[]} return.files - Settings files that were read
+ */
+function readSettings() {
+  const settings = {};
+  const sources = {};
+  const invalid = new Set();
+  const env = (name) => (process.env[name] === undefined ? '' : process.env[name].trim());
+
+  const directory = env('CONFIG_DIR') || SETTINGS.CONFIG_DIR.default;
+  const fileSettings = readSettingsFiles(directory, env('NODE_ENV') || SETTINGS.NODE_ENV.default);
+  const dotenvValues = readDotenvValues();
+  const problems = [...fileSettings.problems];
+
+  Object.entries(SETTINGS).forEach(([name, spec]) => {
+    const fallback = typeof spec.default === 'function' ? spec.default(settings) : spec.default;
+    const fileValue = fileSettings.values.get(name);
+    let raw = env(name);
+    let origin = '';
+
+    if (raw !== '') {
+      sources[name] = dotenvValues[name] !== undefined && dotenvValues[name].trim() === raw ? '.env' : 'environment';
+    } else if (fileValue) {
+      raw = toRawValue(fileValue.value);
+      sources[name] = fileValue.files.join(' + ');
+      origin = ` (${spec.key} in ${sources[name]})`;
+    } else {
+      settings[name] = fallback;
+      sources[name] = 'default';
+      return;
+    }
+
+    try {
+      settings[name] = spec.type(raw);
+    } catch (error) {
+      problems.push(`${name}: ${error.message}${origin}`);
+      invalid.add(name);
+      settings[name] = fallback;
+    }
+  });
+
+  const checks = settings.NODE_ENV === 'production' ? [...CHECKS, ...PRODUCTION_CHECKS] : CHECKS;
+
+  checks
+    .filter(({ names }) => names.every((name) => !invalid.has(name)))
+    .forEach(({ check }) => {
+      const problem = check(settings);
+
+      if (problem) {
+        problems.push(problem);
+      }
+    });
+
+  return { settings, problems, sources, files: fileSettings.files };
+}
+
+/**
+ * Returns the active typed settings: those validated by loadSettings() or
+ * the last reload that passed validation.
+ *
+ * Before loadSettings() runs (modules reading settings while being loaded),
+ * the settings are read once and kept until then; invalid values fall back
+ * to their defaults there, and loadSettings() at startup reports them.
+ *
+ * @returns {Object} Typed settings keyed by variable name
+ *
+ * @example
+ * const { RATE_LIMIT_MAX } = getSettings();
+ */
+function getSettings() {
+  if (!currentSettings) {
+    currentSettings = readSettings().settings;
+  }
+
+  return currentSettings;
+}
+
+/**
+ * Reads and validates all settings. Valid settings become the ones
+ * returned by getSettings().
+ *
+ * @returns {Object} Typed settings keyed by variable name
+ * @throws {Error} Listing every problem when any setting is invalid; the
+ *   messages are also available as `error.problems`
+ *
+ * @example
+ * try {
+ *   loadSettings();
+ * } catch (error) {
+ *   console.error(error.message);
+ *   process.exit(1);
+ * }
+ */
+function loadSettings() {
+  const { settings, problems } = readSettings();
+
+  if (problems.length > 0) {
+    const error = new Error(
+      `Invalid configuration (${problems.length} problem${problems.length === 1 ? '' : 's'}):\n` +
+      problems.map((problem) => `  - ${problem}`).join('\n')
+    );
+    error.problems = problems;
+    throw error;
+  }
+
+  currentSettings = settings;
+  return settings;
+}
+
+module.exports = {
+  SETTINGS,
+  mergeObjects,
+  formatSettingValue,
+  readSettings,
+  reloadSettings,
+  getSettings,
+  loadSettings
+};
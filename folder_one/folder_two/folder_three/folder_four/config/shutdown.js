@@ -0,0 +1,214 @@
+/**
+ * Graceful Shutdown Module
+ *
+ * Drains HTTP, HTTPS and HTTP/2 servers on shutdown instead of relying on
+ * server.close() alone. server.close() only stops accepting new connections:
+ * idle keep-alive sockets keep the server open until they time out, and a
+ * hard exit afterwards cuts off requests that are still in flight.
+ *
+ * Shutdown sequence (see server.js):
+ * 1. Readiness flip: isDraining() turns true and /readyz and /health answer
+ *    503, so load balancers stop routing new traffic to this instance. The
+ *    listeners stay open for SHUTDOWN_READINESS_DELAY_MS while the balancer
+ *    notices.
+ * 2. Stop accepting new connections (server.close()).
+ * 3. Close idle keep-alive connections right away. HTTP/2 sessions receive a
+ *    GOAWAY frame and close once their open streams finish.
+ * 4. Let in-flight requests finish; their connections are closed after the
+ *    response ('Connection: close'). Requests arriving on a kept-alive
+ *    connection in the meantime are still served.
+ * 5. Destroy whatever remains after SHUTDOWN_DRAIN_TIMEOUT_MS.
+ *
+ * Environment Variables:
+ *   SHUTDOWN_READINESS_DELAY_MS - Time between reporting not-ready and closing
+ *                                 the listeners (default: 0)
+ *   SHUTDOWN_DRAIN_TIMEOUT_MS   - Deadline for in-flight requests (default: 10000)
+ *
+ * @module config/shutdown
+ */
+
+'use strict';
+
+const tls = require('tls');
+const { getSettings } = require('./settings');
+
+/**
+ * Set once shutdown has started; health checks report not-ready from then on
+ */
+let draining = false;
+
+/**
+ * Connection state per tracked server
+ * @type {WeakMap<net.Server, Object>}
+ */
+const trackedServers = new WeakMap();
+
+/**
+ * Reads the shutdown timing from the environment.
+ *
+ * @returns {Object} Shutdown timing
+ * @returns {number} return.readinessDelayMs - SHUTDOWN_READINESS_DELAY_MS (default: 0)
+ * @returns {number} return.drainTimeoutMs - SHUTDOWN_DRAIN_TIMEOUT_MS (default: 10000)
+ */
+function getShutdownTiming() {
+  const settings = getSettings();
+
+  return {
+    readinessDelayMs: settings.SHUTDOWN_READINESS_DELAY_MS,
+    drainTimeoutMs: settings.SHUTDOWN_DRAIN_TIMEOUT_MS
+  };
+}
+
+/**
+ * Reports whether the process is shutting down.
+ *
+ * @returns {boolean} True once markDraining() has been called
+ */
+function isDraining() {
+  return draining;
+}
+
+/**
+ * Flips readiness: from now on health checks report the instance as not ready.
+ */
+function markDraining() {
+  draining = true;
+}
+
+/**
+ * Reports the process as ready again, e.g. when a server is started after an
+ * earlier one in the same process was stopped.
+ */
+function markReady() {
+  draining = false;
+}
+
+/**
+ * Starts tracking the connections and in-flight requests of a server.
+ *
+ * Must be called right after the server is created, before it accepts
+ * connections. Works for http, https and http2 secure servers.
+ *
+ * @param {net.Server} server - HTTP, HTTPS or HTTP/2 server
+ *
+ * @example
+ * const httpServer = app.listen(PORT);
+ * trackConnections(httpServer);
+ */
+function trackConnections(server) {
+  const state = {
+    // Raw TCP sockets, used to count and force-close every connection
+    sockets: new Set(),
+    // Sockets requests arrive on (TLS sockets for HTTPS) → requests in flight
+    requestSockets: new Map(),
+    draining: false
+  };
+
+  trackedServers.set(server, state);
+
+  server.on('connection', (socket) => {
+    state.sockets.add(socket);
+    socket.once('close', () => state.sockets.delete(socket));
+  });
+
+  // Requests arrive on the TLS socket, which exists once the handshake is done
+  const requestSocketEvent = server instanceof tls.Server ? 'secureConnection' : 'connection';
+
+  server.on(requestSocketEvent, (socket) => {
+    // HTTP/2 sessions are drained with GOAWAY (see config/http2.js)
+    if (socket.alpnProtocol === 'h2') {
+      return;
+    }
+
+    state.requestSockets.set(socket, 0);
+    socket.once('close', () => state.requestSockets.delete(socket));
+  });
+
+  server.on('request', (req, res) => {
+    const socket = req.socket;
+
+    if (req.httpVersionMajor === 2 || !state.requestSockets.has(socket)) {
+      return;
+    }
+
+    state.requestSockets.set(socket, state.requestSockets.get(socket) + 1);
+
+    if (state.draining) {
+      res.setHeader('Connection', 'close');
+    }
+
+    res.once('close', () => {
+      if (!state.requestSockets.has(socket)) {
+        return;
+      }
+
+      const inFlight = state.requestSockets.get(socket) - 1;
+      state.requestSockets.set(socket, inFlight);
+
+      // Responses started before shutdown may have promised keep-alive
+      if (state.draining && inFlight === 0) {
+        socket.end();
+      }
+    });
+  });
+}
+
+/**
+ * Drains a tracked server.
+ *
+ * Stops accepting connections, closes idle connections, waits for in-flight
+ * requests until the deadline and then destroys the remaining connections.
+ *
+ * @param {net.Server} server - Server passed to trackConnections()
+ * @param {number} timeoutMs - Deadline for in-flight requests
+ * @returns {Promise<Object>} Resolves once the server is closed
+ * @returns {number} return.idle - Idle connections closed right away
+ * @returns {number} return.drained - Connections closed after finishing their requests
+ * @returns {number} return.forced - Connections destroyed at the deadline
+ *
+ * @example
+ * const { drained, forced } = await drainServer(httpServer, 10000);
+ */
+function drainServer(server, timeoutMs) {
+  const state = trackedServers.get(server);
+
+  if (!state) {
+    return new Promise((resolve) => {
+      server.close(() => resolve({ idle: 0, drained: 0, forced: 0 }));
+    });
+  }
+
+  state.draining = true;
+
+  const total = state.sockets.size;
+  let idle = 0;
+  let forced = 0;
+
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => {
+      forced = state.sockets.size;
+      state.sockets.forEach((socket) => socket.destroy());
+    }, timeoutMs);
+
+    server.close(() => {
+      clearTimeout(timer);
+      resolve({ idle, drained: total - idle - forced, forced });
+    });
+
+    state.requestSockets.forEach((inFlight, socket) => {
+      if (inFlight === 0) {
+        idle++;
+        socket.destroy();
+      }
+    });
+  });
+}
+
+module.exports = {
+  getShutdownTiming,
+  isDraining,
+  markDraining,
+  markReady,
+  trackConnections,
+  drainServer
+};
@@ -0,0 +1,347 @@
+/**
+ * SNI Multi-Certificate Configuration Module
+ *
+ * Allows a single HTTPS listener to serve several hostnames, each with its own
+ * certificate, by resolving the certificate per connection from the TLS
+ * Server Name Indication (SNI) extension.
+ *
+ * Certificates can be configured in two ways (both may be combined):
+ *
+ * 1. Directory layout (SSL_SNI_DIR) - one subdirectory per hostname, each
+ *    holding a server.key and server.cert:
+ *
+ *      certs/sni/
+ *      ├── api.example.com/
+ *      │   ├── server.key
+ *      │   └── server.cert
+ *      └── _wildcard.example.com/     # serves *.example.com
+ *          ├── server.key
+ *          └── server.cert
+ *
+ * 2. Config list (SSL_SNI_CERTS) - a JSON array of entries:
+ *
+ *      [{ "hostname": "admin.example.com", "key": "./certs/admin.key", "cert": "./certs/admin.cert" },
+ *       { "hostnames": ["partner.example.com", "*.partner.example.com"], "key": "...", "cert": "..." }]
+ *
+ * The certificate configured through SSL_KEY_PATH/SSL_CERT_PATH is the default
+ * certificate. It is used for clients that send no SNI name and, depending on
+ * SSL_SNI_UNKNOWN, for names that have no mapping. When the default certificate
+ * comes from a PFX bundle (SSL_PFX_PATH), the 'reject' policy rejects every
+ * unmapped name, since the bundle's hostnames are not known to the resolver.
+ *
+ * Environment Variables:
+ *   SSL_SNI_DIR     - Directory with one subdirectory per hostname
+ *   SSL_SNI_CERTS   - JSON array of { hostname|hostnames, key, cert } entries
+ *   SSL_SNI_UNKNOWN - Policy for unmapped names: 'default' (serve the default
+ *                     certificate, the default) or 'reject' (abort the handshake)
+ *
+ * @module config/sni
+ */
+
+'use strict';
+
+const tls = require('tls');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { inspectCertificate, recordCertificate, forgetCertificates } = require('./certificateMonitor');
+const { getSettings } = require('./settings');
+
+/**
+ * File names expected inside each hostname directory of SSL_SNI_DIR
+ * Match the default certificate file names used in ./certs
+ */
+const SNI_KEY_FILE = 'server.key';
+const SNI_CERT_FILE = 'server.cert';
+
+/**
+ * Directory name prefix that stands for a '*.' wildcard label
+ * ('*' is awkward in directory names on several platforms and tools)
+ */
+const WILDCARD_DIR_PREFIX = '_wildcard.';
+
+/**
+ * Normalizes a hostname for lookups: lowercase without a trailing dot.
+ *
+ * @param {string} hostname - Hostname or wildcard pattern
+ * @returns {string} Normalized hostname
+ */
+const normalizeHostname = (hostname) => hostname.trim().toLowerCase().replace(/\.$/, '');
+
+/**
+ * Collects the configured SNI certificate entries from SSL_SNI_DIR and SSL_SNI_CERTS.
+ *
+ * Only paths are collected here; files are read by loadSniCertificates().
+ *
+ * @returns {Array<Object>} Entries with hostnames, keyPath and certPath
+ * @throws {Error} When SSL_SNI_CERTS is not an array or an entry is incomplete
+ */
+function getSniEntries() {
+  const settings = getSettings();
+  const entries = [];
+
+  if (settings.SSL_SNI_DIR) {
+    const sniDir = path.resolve(settings.SSL_SNI_DIR);
+    let dirents;
+
+    try {
+      dirents = fs.readdirSync(sniDir, { withFileTypes: true });
+    } catch (error) {
+      // Avoid exposing full file paths in error messages for security
+      throw new Error(
+        `SSL SNI directory could not be read (${error.code || error.message}). ` +
+        'Please check the SSL_SNI_DIR environment variable.'
+      );
+    }
+
+    dirents
+      .filter((dirent) => dirent.isDirectory())
+      .forEach((dirent) => {
+        const hostname = dirent.name.startsWith(WILDCARD_DIR_PREFIX)
+          ? `*.${dirent.name.slice(WILDCARD_DIR_PREFIX.length)}`
+          : dirent.name;
+
+        entries.push({
+          hostnames: [normalizeHostname(hostname)],
+          keyPath: path.join(sniDir, dirent.name, SNI_KEY_FILE),
+          certPath: path.join(sniDir, dirent.name, SNI_CERT_FILE)
+        });
+      });
+  }
+
+  if (settings.SSL_SNI_CERTS) {
+    // Validated as JSON by config/settings.js
+    const list = JSON.parse(settings.SSL_SNI_CERTS);
+
+    if (!Array.isArray(list)) {
+      throw new Error('SSL_SNI_CERTS must be a JSON array of { hostname, key, cert } entries');
+    }
+
+    list.forEach((item, index) => {
+      const hostnames = [].concat(item.hostnames || item.hostname || []);
+
+      if (hostnames.length === 0 || !item.key || !item.cert) {
+        throw new Error(`SSL_SNI_CERTS entry ${index} must define hostname(s), key and cert`);
+      }
+
+      entries.push({
+        hostnames: hostnames.map(normalizeHostname),
+        keyPath: path.resolve(item.key),
+        certPath: path.resolve(item.cert)
+      });
+    });
+  }
+
+  return entries;
+}
+
+/**
+ * Reads the key and certificate of every configured SNI entry.
+ *
+ * Errors name the hostname rather than the file path, matching the
+ * path-hiding behaviour of loadCertificates() in config/https.js.
+ *
+ * @returns {Array<Object>} Entries with hostnames, key and cert buffers
+ * @throws {Error} When a configured file cannot be read or is empty
+ */
+function loadSniCertificates() {
+  return getSniEntries().map((entry) => {
+    const label = entry.hostnames.join(', ');
+    let key;
+    let cert;
+
+    try {
+      key = fs.readFileSync(entry.keyPath);
+      cert = fs.readFileSync(entry.certPath);
+    } catch (error) {
+      const reason = {
+        ENOENT: 'file not found',
+        EACCES: 'permission denied',
+        EISDIR: 'path points to a directory'
+      }[error.code] || error.message;
+
+      throw new Error(`SSL SNI certificate for ${label} could not be loaded: ${reason}`);
+    }
+
+    if (key.length === 0 || cert.length === 0) {
+      throw new Error(`SSL SNI certificate or key for ${label} is empty`);
+    }
+
+    return { ...entry, key, cert };
+  });
+}
+
+/**
+ * Finds the entry serving a hostname.
+ *
+ * Exact names take precedence over wildcards. A wildcard such as
+ * '*.example.com' matches exactly one additional label (api.example.com,
+ * but neither example.com nor a.b.example.com), as browsers do.
+ *
+ * @param {Map<string, *>} table - Lookup table keyed by normalized hostname
+ * @param {string} servername - SNI name sent by the client
+ * @returns {*} The matching value or undefined
+ */
+function matchHostname(table, servername) {
+  const hostname = normalizeHostname(servername);
+
+  if (table.has(hostname)) {
+    return table.get(hostname);
+  }
+
+  const firstDot = hostname.indexOf('.');
+
+  if (firstDot > 0) {
+    return table.get(`*${hostname.slice(firstDot)}`);
+  }
+
+  return undefined;
+}
+
+/**
+ * Creates an SNI resolver for an HTTPS server.
+ *
+ * The resolver owns the hostname → secure context table and exposes an
+ * SNICallback for https.createServer(). Contexts are built from the server's
+ * TLS options so every hostname gets the same protocol and cipher settings
+ * as the default certificate. The table can be rebuilt with reload() when
+ * certificates are renewed; a failed rebuild leaves the current table intact.
+ *
+ * Each context issues and accepts session tickets with its own keys, so the
+ * shared ticket keys (see config/sessionTickets.js) are handed to the
+ * resolver with setTicketKeys() and applied to every hostname's context,
+ * including contexts rebuilt by later reloads.
+ *
+ * @param {Object} baseOptions - HTTPS options from getHttpsOptions()
+ * @returns {Object|null} Resolver, or null when no SNI certificates are configured
+ * @returns {Function} return.SNICallback - Callback for https.createServer()
+ * @returns {Function} return.reload - Rebuilds the table from new base options
+ * @returns {Function} return.setTicketKeys - Applies session ticket keys to every context
+ * @returns {Function} return.hostnames - Lists the configured hostnames
+ * @returns {Function} return.files - Lists the certificate files in use
+ *
+ * @example
+ * const resolver = createSniResolver(httpsOptions);
+ * if (resolver) {
+ *   httpsOptions.SNICallback = resolver.SNICallback;
+ * }
+ */
+function createSniResolver(baseOptions) {
+  const settings = getSettings();
+
+  if (!settings.SSL_SNI_DIR && !settings.SSL_SNI_CERTS) {
+    return null;
+  }
+
+  const policy = settings.SSL_SNI_UNKNOWN;
+  let state = null;
+  let ticketKeys = null;
+
+  /**
+   * Creates the secure context of one entry, with the current ticket keys.
+   */
+  const createContext = (entry, tlsSettings, keys) => tls.createSecureContext({
+    ...tlsSettings,
+    ...(keys ? { ticketKeys: keys } : {}),
+    key: entry.key,
+    cert: entry.cert
+  });
+
+  /**
+   * Builds a new lookup table; throws without touching the current state.
+   */
+  const build = (options) => {
+    const { key, cert, pfx, passphrase, SNICallback, ...tlsSettings } = options;
+    const entries = loadSniCertificates();
+    const table = new Map();
+    const files = [];
+    const certificates = [];
+
+    entries.forEach((entry) => {
+      const label = entry.hostnames.join(', ');
+      let context;
+      let info;
+
+      try {
+        context = createContext(entry, tlsSettings, ticketKeys);
+        info = inspectCertificate(entry.cert);
+      } catch (error) {
+        throw new Error(`SSL SNI certificate for ${label} is invalid: ${error.message}`);
+      }
+
+      if (info.daysRemaining < 0) {
+        throw new Error(`SSL SNI certificate for ${label} expired on ${info.notAfter}`);
+      }
+
+      entry.hostnames.forEach((hostname) => table.set(hostname, context));
+      files.push(entry.keyPath, entry.certPath);
+      certificates.push({ name: label, info });
+    });
+
+    return {
+      table,
+      entries,
+      tlsSettings,
+      files,
+      certificates,
+      // A PFX default certificate cannot be parsed here (see config/https.js)
+      defaultCertificate: cert ? new crypto.X509Certificate(cert) : null
+    };
+  };
+
+  /**
+   * Publishes the served SNI certificates to the certificate monitor.
+   */
+  const record = () => {
+    forgetCertificates((name) => name !== 'default');
+    state.certificates.forEach(({ name, info }) => recordCertificate(name, info));
+  };
+
+  state = build(baseOptions);
+  record();
+
+  return {
+    SNICallback: (servername, callback) => {
+      const context = matchHostname(state.table, servername);
+
+      if (context) {
+        return callback(null, context);
+      }
+
+      // Passing no context makes Node fall back to the default certificate
+      if (policy === 'default' || (state.defaultCertificate && state.defaultCertificate.checkHost(servername))) {
+        return callback(null, null);
+      }
+
+      callback(new Error('SNI name does not match any configured certificate'));
+    },
+
+    reload: (options) => {
+      state = build(options);
+      record();
+    },
+
+    setTicketKeys: (keys) => {
+      // Certificates were validated when the table was built; only the keys change
+      const table = new Map();
+
+      state.entries.forEach((entry) => {
+        const context = createContext(entry, state.tlsSettings, keys);
+        entry.hostnames.forEach((hostname) => table.set(hostname, context));
+      });
+
+      ticketKeys = keys;
+      state = { ...state, table };
+    },
+
+    hostnames: () => [...state.table.keys()],
+
+    files: () => [...state.files]
+  };
+}
+
+module.exports = {
+  createSniResolver,
+  loadSniCertificates,
+  matchHostname
+};
@@ -0,0 +1,235 @@
+/**
+ * TLS Security Profiles Module
+ *
+ * Named TLS configurations modeled on the Mozilla server-side TLS guidelines
+ * (https://wiki.mozilla.org/Security/Server_Side_TLS, version 5.7):
+ *
+ * - modern:       TLS 1.3 only. For services whose clients are all current.
+ * - intermediate: TLS 1.2 and 1.3 with forward-secret AEAD ciphers. Recommended
+ *                 general-purpose default; matches the previous TLS 1.2 minimum.
+ * - legacy:       TLS 1.0 and later, including CBC and 3DES ciphers. Only for
+ *                 clients that cannot be upgraded (Mozilla's "old" profile).
+ *
+ * Each profile sets the protocol range, cipher list, ECDH curves, signature
+ * algorithms and session settings. Individual fields can be overridden through
+ * settings without defining a whole new profile.
+ *
+ * Environment Variables:
+ *   SSL_PROFILE            - Profile name: modern, intermediate (default), legacy
+ *   SSL_MIN_VERSION        - Override minimum protocol (TLSv1, TLSv1.1, TLSv1.2, TLSv1.3)
+ *   SSL_MAX_VERSION        - Override maximum protocol
+ *   SSL_CIPHERS            - Override cipher list (OpenSSL format, colon-separated)
+ *   SSL_ECDH_CURVE         - Override ECDH curves (colon-separated)
+ *   SSL_SIGALGS            - Override signature algorithms (colon-separated)
+ *   SSL_HONOR_CIPHER_ORDER - Override server cipher preference ('true'/'false')
+ *   SSL_SESSION_TIMEOUT    - Override session timeout in seconds
+ *
+ * @module config/tlsProfiles
+ */
+
+'use strict';
+
+/**
+ * Default profile when SSL_PROFILE is not set
+ */
+const DEFAULT_PROFILE = 'intermediate';
+
+/**
+ * Protocol versions accepted for SSL_MIN_VERSION/SSL_MAX_VERSION
+ */
+const TLS_VERSIONS = ['TLSv1', 'TLSv1.1', 'TLSv1.2', 'TLSv1.3'];
+
+/**
+ * ECDH curves shared by all Mozilla profiles
+ */
+const ECDH_CURVES = 'X25519:prime256v1:secp384r1';
+
+/**
+ * TLS 1.3 cipher suites shared by all profiles
+ */
+const TLS13_CIPHERS = [
+  'TLS_AES_128_GCM_SHA256',
+  'TLS_AES_256_GCM_SHA384',
+  'TLS_CHACHA20_POLY1305_SHA256'
+];
+
+/**
+ * Forward-secret AEAD ciphers for TLS 1.2 (Mozilla intermediate)
+ */
+const INTERMEDIATE_CIPHERS = [
+  'ECDHE-ECDSA-AES128-GCM-SHA256',
+  'ECDHE-RSA-AES128-GCM-SHA256',
+  'ECDHE-ECDSA-AES256-GCM-SHA384',
+  'ECDHE-RSA-AES256-GCM-SHA384',
+  'ECDHE-ECDSA-CHACHA20-POLY1305',
+  'ECDHE-RSA-CHACHA20-POLY1305',
+  'DHE-RSA-AES128-GCM-SHA256',
+  'DHE-RSA-AES256-GCM-SHA384',
+  'DHE-RSA-CHACHA20-POLY1305'
+];
+
+/**
+ * Additional ciphers for old clients (Mozilla old)
+ */
+const LEGACY_CIPHERS = [
+  'ECDHE-ECDSA-AES128-SHA256',
+  'ECDHE-RSA-AES128-SHA256',
+  'ECDHE-ECDSA-AES128-SHA',
+  'ECDHE-RSA-AES128-SHA',
+  'ECDHE-ECDSA-AES256-SHA384',
+  'ECDHE-RSA-AES256-SHA384',
+  'ECDHE-ECDSA-AES256-SHA',
+  'ECDHE-RSA-AES256-SHA',
+  'DHE-RSA-AES128-SHA256',
+  'DHE-RSA-AES256-SHA256',
+  'AES128-GCM-SHA256',
+  'AES256-GCM-SHA384',
+  'AES128-SHA256',
+  'AES256-SHA256',
+  'AES128-SHA',
+  'AES256-SHA',
+  'DES-CBC3-SHA'
+];
+
+/**
+ * Signature algorithms offered for TLS 1.2/1.3 handshakes
+ */
+const SIGALGS = [
+  'ecdsa_secp256r1_sha256',
+  'ecdsa_secp384r1_sha384',
+  'ecdsa_secp521r1_sha512',
+  'ed25519',
+  'rsa_pss_rsae_sha256',
+  'rsa_pss_rsae_sha384',
+  'rsa_pss_rsae_sha512',
+  'rsa_pkcs1_sha256',
+  'rsa_pkcs1_sha384',
+  'rsa_pkcs1_sha512'
+];
+
+/**
+ * Session resumption lifetime (Mozilla: 1 day)
+ */
+const SESSION_TIMEOUT_SECONDS = 86400;
+
+/**
+ * Profile definitions
+ *
+ * Each profile maps directly to tls.createSecureContext() options.
+ * @type {Object<string, Object>}
+ */
+const TLS_PROFILES = {
+  modern: {
+    minVersion: 'TLSv1.3',
+    maxVersion: 'TLSv1.3',
+    ciphers: TLS13_CIPHERS.join(':'),
+    ecdhCurve: ECDH_CURVES,
+    sigalgs: SIGALGS.join(':'),
+    // All TLS 1.3 suites are strong; let clients pick what is fastest for them
+    honorCipherOrder: false,
+    sessionTimeout: SESSION_TIMEOUT_SECONDS
+  },
+
+  intermediate: {
+    minVersion: 'TLSv1.2',
+    maxVersion: 'TLSv1.3',
+    ciphers: [...TLS13_CIPHERS, ...INTERMEDIATE_CIPHERS].join(':'),
+    ecdhCurve: ECDH_CURVES,
+    sigalgs: SIGALGS.join(':'),
+    honorCipherOrder: false,
+    sessionTimeout: SESSION_TIMEOUT_SECONDS
+  },
+
+  legacy: {
+    minVersion: 'TLSv1',
+    maxVersion: 'TLSv1.3',
+    // OpenSSL 3 disables TLS 1.0/1.1 and SHA-1 at its default security level
+    ciphers: [...TLS13_CIPHERS, ...INTERMEDIATE_CIPHERS, ...LEGACY_CIPHERS, '@SECLEVEL=0'].join(':'),
+    ecdhCurve: ECDH_CURVES,
+    sigalgs: [...SIGALGS, 'ECDSA+SHA1', 'rsa_pkcs1_sha1'].join(':'),
+    // Old clients may prefer weak ciphers; the server order puts strong ones first
+    honorCipherOrder: true,
+    sessionTimeout: SESSION_TIMEOUT_SECONDS
+  }
+};
+
+/**
+ * Returns the typed settings.
+ *
+ * Required here rather than at the top: config/settings.js loads this
+ * module for its checks.
+ *
+ * @returns {Object} Settings from config/settings.js
+ */
+function getSettings() {
+  return require('./settings').getSettings();
+}
+
+/**
+ * Resolves the active TLS profile with setting overrides applied.
+ *
+ * @param {Object} [settings] - Typed settings (read with getSettings() if
+ *   omitted); settings.js passes the ones it is validating
+ * @returns {Object} Active profile
+ * @returns {string} return.name - Profile name
+ * @returns {Object} return.settings - Options for tls.createSecureContext()
+ * @returns {string[]} return.overrides - Names of overridden fields
+ * @throws {Error} When the overrides leave an empty protocol range
+ *
+ * @example
+ * const { name, settings } = getTlsProfile();
+ * const options = { key, cert, ...settings };
+ */
+function getTlsProfile(settings = getSettings()) {
+  const name = settings.SSL_PROFILE || DEFAULT_PROFILE;
+  const options = { ...TLS_PROFILES[name] };
+  const overrides = [];
+
+  /**
+   * Applies an override when the setting is set.
+   */
+  const override = (settingName, field) => {
+    if (settings[settingName] !== undefined) {
+      options[field] = settings[settingName];
+      overrides.push(field);
+    }
+  };
+
+  override('SSL_MIN_VERSION', 'minVersion');
+  override('SSL_MAX_VERSION', 'maxVersion');
+  override('SSL_CIPHERS', 'ciphers');
+  override('SSL_ECDH_CURVE', 'ecdhCurve');
+  override('SSL_SIGALGS', 'sigalgs');
+  override('SSL_HONOR_CIPHER_ORDER', 'honorCipherOrder');
+  override('SSL_SESSION_TIMEOUT', 'sessionTimeout');
+
+  if (TLS_VERSIONS.indexOf(options.minVersion) > TLS_VERSIONS.indexOf(options.maxVersion)) {
+    throw new Error(`TLS minimum version ${options.minVersion} is above maximum version ${options.maxVersion}`);
+  }
+
+  return { name, settings: options, overrides };
+}
+
+/**
+ * Formats the active profile for startup logs.
+ *
+ * @param {Object} [profile] - Profile from getTlsProfile() (resolved if omitted)
+ * @returns {string} e.g. "intermediate (TLSv1.2-TLSv1.3)" or
+ *   "intermediate (TLSv1.2-TLSv1.3, overrides: ciphers)"
+ */
+function describeTlsProfile(profile = getTlsProfile()) {
+  const { name, settings, overrides } = profile;
+  const range = settings.minVersion === settings.maxVersion
+    ? settings.minVersion
+    : `${settings.minVersion}-${settings.maxVersion}`;
+
+  return overrides.length > 0
+    ? `${name} (${range}, overrides: ${overrides.join(', ')})`
+    : `${name} (${range})`;
+}
+
+module.exports = {
+  TLS_PROFILES,
+  getTlsProfile,
+  describeTlsProfile
+};
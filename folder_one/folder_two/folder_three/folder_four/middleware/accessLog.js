@@ -0,0 +1,388 @@
+/**
+ * Access Log Middleware
+ *
+ * Writes one line per request once its response has been sent, in one of
+ * three formats (ACCESS_LOG_FORMAT):
+ *
+ * - common: NCSA Common Log Format
+ *
+ *     203.0.113.7 - - [15/Jan/2024:10:30:00 +0000] "GET /orders?page=2 HTTP/1.1" 200 512
+ *
+ * - combined (default): Common plus the Referer and User-Agent headers, as
+ *   written by Apache httpd and nginx
+ *
+ *     203.0.113.7 - - [15/Jan/2024:10:30:00 +0000] "GET /orders HTTP/1.1" 200 512 "https://app.example.com/" "Mozilla/5.0 ..."
+ *
+ * - json: one JSON object per line with the combined fields plus response
+ *   time, remaining rate limit, TLS version and cipher and request ID
+ *
+ * The remote user is the common name of a trusted client certificate
+ * (mutual TLS, see middleware/clientCertificate.js), '-' otherwise. Bytes
+ * are those of the response body as written by the application, counted
+ * whether or not a Content-Length was set ('-' in the text formats when
+ * there was no body). Requests whose path starts
+ * with one of ACCESS_LOG_EXCLUDE_PATHS (health probes and metrics scrapes
+ * by default) are not logged.
+ *
+ * Lines go to stdout, or to ACCESS_LOG_FILE with rotation by size and/or
+ * time and a limit on the rotated files kept (see config/rotatingFile.js).
+ * Cluster workers send their lines to the supervisor, which owns the file.
+ *
+ * Configuration is driven by environment variables:
+ * - ACCESS_LOG_ENABLED: Write the access log ('true' to enable)
+ * - ACCESS_LOG_FORMAT: combined, common or json (default: combined)
+ * - ACCESS_LOG_FILE: File to write instead of stdout
+ * - ACCESS_LOG_ROTATE: daily, hourly or off (default: daily)
+ * - ACCESS_LOG_MAX_SIZE_MB: Size at which the file is rotated (default: 100, 0 disables)
+ * - ACCESS_LOG_MAX_FILES: Rotated files kept (default: 14, 0 keeps all)
+ * - ACCESS_LOG_EXCLUDE_PATHS: Comma-separated path prefixes not logged
+ *   (default: /health,/livez,/readyz,/metrics)
+ *
+ * @module middleware/accessLog
+ */
+
+'use strict';
+
+const cluster = require('cluster');
+const { getClientAddress } = require('../config/proxyProtocol');
+const { createRotatingFile } = require('../config/rotatingFile');
+const { getSettings } = require('../config/settings');
+
+/**
+ * Month abbreviations of the Common Log Format timestamp
+ * @constant {string[]}
+ */
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Access log file of this process, opened on first use
+ * @type {{write: Function, close: Function}|null}
+ */
+let accessLogFile = null;
+
+/**
+ * Reports whether the access log is written.
+ *
+ * @returns {boolean} True when ACCESS_LOG_ENABLED is 'true'
+ */
+const isAccessLogEnabled = () => getSettings().ACCESS_LOG_ENABLED;
+
+/**
+ * Describes the access log configuration for the startup summary.
+ *
+ * @returns {string} e.g. 'combined → stdout' or
+ *   'json → logs/access.log (daily, 100 MB, 14 files kept)'
+ */
+const describeAccessLog = () => {
+  const settings = getSettings();
+
+  if (!settings.ACCESS_LOG_ENABLED) {
+    return 'disabled';
+  }
+
+  if (!settings.ACCESS_LOG_FILE) {
+    return `${settings.ACCESS_LOG_FORMAT} → stdout`;
+  }
+
+  const rotation = [
+    settings.ACCESS_LOG_ROTATE !== 'off' ? settings.ACCESS_LOG_ROTATE : null,
+    settings.ACCESS_LOG_MAX_SIZE_MB > 0 ? `${settings.ACCESS_LOG_MAX_SIZE_MB} MB` : null,
+    settings.ACCESS_LOG_MAX_FILES > 0 ? `${settings.ACCESS_LOG_MAX_FILES} files kept` : 'all files kept'
+  ].filter(Boolean);
+
+  return `${settings.ACCESS_LOG_FORMAT} → ${settings.ACCESS_LOG_FILE} (${rotation.join(', ')})`;
+};
+
+/**
+ * Opens ACCESS_LOG_FILE with the configured rotation. Used by the process
+ * that owns the file: the server, or the supervisor in cluster mode.
+ *
+ * @returns {{write: Function, close: Function}} Rotating file
+ */
+const openAccessLogFile = () => {
+  const settings = getSettings();
+
+  return createRotatingFile(settings.ACCESS_LOG_FILE, {
+    maxBytes: settings.ACCESS_LOG_MAX_SIZE_MB * 1024 * 1024,
+    interval: settings.ACCESS_LOG_ROTATE,
+    maxFiles: settings.ACCESS_LOG_MAX_FILES
+  });
+};
+
+/**
+ * Returns the function writing access log lines: stdout, the supervisor
+ * (cluster workers) or the access log file.
+ *
+ * @returns {Function} Writer taking one line including '\n'
+ */
+const getDefaultWriter = () => {
+  if (!getSettings().ACCESS_LOG_FILE) {
+    return (line) => process.stdout.write(line);
+  }
+
+  if (cluster.isWorker) {
+    // Lines of requests finishing after the supervisor disconnected are lost
+    return (line) => process.connected && process.send({ type: 'accessLog', line });
+  }
+
+  accessLogFile = accessLogFile || openAccessLogFile();
+  return (line) => accessLogFile.write(line);
+};
+
+/**
+ * Closes the access log file of this process, if one is open, so lines
+ * still buffered are written before the process exits.
+ *
+ * @returns {Promise<void>} Resolves once the file is closed
+ */
+const closeAccessLog = () => {
+  const file = accessLogFile;
+  accessLogFile = null;
+  return file ? file.close() : Promise.resolve();
+};
+
+// =============================================================================
+// FIELDS
+// =============================================================================
+
+/**
+ * Escapes a value for a quoted Common Log Format field, like Apache httpd:
+ * quotes and backslashes are backslash-escaped, control characters become
+ * \xHH, so a header cannot forge a line.
+ *
+ * @param {string} value - Header or request line
+ * @returns {string} Escaped value
+ */
+const escapeField = (value) => String(value).replace(/[\x00-\x1f\x7f"\\]/g, (character) => {
+  if (character === '"' || character === '\\') {
+    return `\\${character}`;
+  }
+
+  return `\\x${character.charCodeAt(0).toString(16).padStart(2, '0')}`;
+});
+
+/**
+ * Formats a timestamp as in the Common Log Format, in UTC.
+ *
+ * @param {Date} date - Time the request was received
+ * @returns {string} e.g. '15/Jan/2024:10:30:00 +0000'
+ */
+const formatClfDate = (date) => {
+  const pad = (number) => String(number).padStart(2, '0');
+
+  return `${pad(date.getUTCDate())}/${MONTHS[date.getUTCMonth()]}/${date.getUTCFullYear()}:` +
+    `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())} +0000`;
+};
+
+/**
+ * Reads the client address and TLS parameters of a request.
+ *
+ * Read when the request arrives: once an HTTP/2 stream has ended, its
+ * req.socket no longer reaches the connection.
+ *
+ * @param {express.Request} req - Express request
+ * @returns {{remoteAddr: string|null, tlsProtocol: string|null, tlsCipher: string|null}} Connection fields
+ */
+const getConnection = (req) => {
+  const socket = req.socket;
+  const tls = Boolean(socket) && typeof socket.getProtocol === 'function';
+  const cipher = tls ? socket.getCipher() : null;
+
+  return {
+    remoteAddr: getClientAddress(req) || null,
+    tlsProtocol: tls ? socket.getProtocol() : null,
+    tlsCipher: cipher ? cipher.name : null
+  };
+};
+
+/**
+ * Collects the fields of an access log entry.
+ *
+ * @param {express.Request} req - Express request
+ * @param {express.Response} res - Express response
+ * @param {Object} connection - Fields from getConnection()
+ * @param {Date} received - Time the request was received
+ * @param {number} responseTimeMs - Time until the response was sent
+ * @param {number} bytes - Response body bytes written
+ * @returns {Object} Entry; unknown values are null
+ */
+const getEntry = (req, res, connection, received, responseTimeMs, bytes) => {
+  const certificate = req.clientCertificate;
+
+  return {
+    time: received.toISOString(),
+    remoteAddr: connection.remoteAddr,
+    remoteUser: certificate && certificate.authorized && certificate.commonName ? certificate.commonName : null,
+    method: req.method,
+    url: req.originalUrl,
+    httpVersion: req.httpVersion,
+    status: res.statusCode,
+    bytes,
+    responseTimeMs: Math.round(responseTimeMs * 100) / 100,
+    referer: req.get('referer') || null,
+    userAgent: req.get('user-agent') || null,
+    rateLimitRemaining: req.rateLimit ? req.rateLimit.remaining : null,
+    tlsProtocol: connection.tlsProtocol,
+    tlsCipher: connection.tlsCipher,
+    requestId: req.id || null
+  };
+};
+
+// =============================================================================
+// FORMATS
+// =============================================================================
+
+/**
+ * Formats the Common Log Format fields of an entry.
+ *
+ * @param {Object} entry - Entry from getEntry()
+ * @returns {string} host ident user [time] "request" status bytes
+ */
+const formatCommonFields = (entry) => {
+  const request = escapeField(`${entry.method} ${entry.url} HTTP/${entry.httpVersion}`);
+
+  return `${entry.remoteAddr || '-'} - ${entry.remoteUser ? escapeField(entry.remoteUser) : '-'} ` +
+    `[${formatClfDate(new Date(entry.time))}] "${request}" ${entry.status} ${entry.bytes || '-'}`;
+};
+
+/**
+ * Line formatters by ACCESS_LOG_FORMAT
+ * @constant {Object<string, Function>}
+ */
+const FORMATS = {
+  common: (entry) => formatCommonFields(entry),
+
+  combined: (entry) => {
+    const referer = entry.referer ? escapeField(entry.referer) : '-';
+    const userAgent = entry.userAgent ? escapeField(entry.userAgent) : '-';
+
+    return `${formatCommonFields(entry)} "${referer}" "${userAgent}"`;
+  },
+
+  json: (entry) => JSON.stringify(entry)
+};
+
+// =============================================================================
+// MIDDLEWARE
+// =============================================================================
+
+/**
+ * Returns the size of a chunk passed to res.write() or res.end().
+ *
+ * @param {*} chunk - Buffer, string, or a callback when there is no chunk
+ * @param {*} encoding - Encoding of a string chunk, or a callback
+ * @returns {number} Size in bytes
+ */
+const getChunkSize = (chunk, encoding) => {
+  if (typeof chunk === 'string') {
+    return Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : 'utf8');
+  }
+
+  return chunk && typeof chunk !== 'function' ? chunk.length : 0;
+};
+
+/**
+ * Counts the response body bytes the application writes, so that chunked
+ * responses (no Content-Length) are logged with their size too.
+ *
+ * @param {express.Response} res - Express response
+ * @returns {Function} Returns the bytes counted so far
+ */
+const countBytes = (res) => {
+  const { write, end } = res;
+  let bytes = 0;
+
+  res.write = function countedWrite(chunk, encoding, ...rest) {
+    bytes += getChunkSize(chunk, encoding);
+    return write.call(this, chunk, encoding, ...rest);
+  };
+
+  res.end = function countedEnd(chunk, encoding, ...rest) {
+    bytes += getChunkSize(chunk, encoding);
+    return end.call(this, chunk, encoding, ...rest);
+  };
+
+  return () => bytes;
+};
+
+/**
+ * Checks whether a path is excluded from the access log.
+ *
+ * @param {string} requestPath - Request path
+ * @param {string[]} excludePaths - Excluded path prefixes
+ * @returns {boolean} True if the path equals a prefix or lies below it
+ */
+const isExcludedPath = (requestPath, excludePaths) => {
+  return excludePaths.some((prefix) => {
+    if (prefix.endsWith('/')) {
+      return requestPath.startsWith(prefix);
+    }
+
+    return requestPath === prefix || requestPath.startsWith(`${prefix}/`);
+  });
+};
+
+/**
+ * Factory function to create the access log middleware.
+ *
+ * Mount it right after the request ID middleware, so that requests
+ * answered early (rate limited, redirected) are logged too.
+ *
+ * @param {Object} [options] - Access log options
+ * @param {string} [options.format] - 'combined', 'common' or 'json'
+ *   (default: ACCESS_LOG_FORMAT)
+ * @param {string[]} [options.excludePaths] - Path prefixes not logged
+ *   (default: ACCESS_LOG_EXCLUDE_PATHS)
+ * @param {Function} [options.write] - Receives each line including '\n'
+ *   (default: stdout or ACCESS_LOG_FILE)
+ * @returns {Function} Express middleware
+ *
+ * @example
+ * app.use(requestId);
+ * app.use(createAccessLog());
+ *
+ * @example
+ * // JSON lines to a custom destination
+ * app.use(createAccessLog({ format: 'json', write: (line) => shipper.send(line) }));
+ */
+const createAccessLog = (options = {}) => {
+  const settings = getSettings();
+  const format = FORMATS[options.format || settings.ACCESS_LOG_FORMAT];
+  const excludePaths = options.excludePaths || settings.ACCESS_LOG_EXCLUDE_PATHS;
+  const write = options.write || getDefaultWriter();
+
+  return (req, res, next) => {
+    if (isExcludedPath(req.path, excludePaths)) {
+      return next();
+    }
+
+    const received = new Date();
+    const started = process.hrtime.bigint();
+    const connection = getConnection(req);
+    const getBytes = countBytes(res);
+    let logged = false;
+
+    // 'close' without 'finish' means the client went away before the
+    // response was complete; such requests are logged as well
+    const onDone = () => {
+      if (!logged) {
+        logged = true;
+        const responseTimeMs = Number(process.hrtime.bigint() - started) / 1e6;
+        write(`${format(getEntry(req, res, connection, received, responseTimeMs, getBytes()))}\n`);
+      }
+    };
+
+    res.once('finish', onDone);
+    res.once('close', onDone);
+
+    return next();
+  };
+};
+
+module.exports = {
+  createAccessLog,
+  isAccessLogEnabled,
+  describeAccessLog,
+  openAccessLogFile,
+  closeAccessLog
+};
@@ -0,0 +1,193 @@
+/**
+ * Client Certificate (Mutual TLS) Middleware
+ *
+ * Exposes the TLS client certificate presented on HTTPS connections and
+ * provides route-level authorization based on it. Used together with the
+ * mTLS mode of config/https.js (SSL_CLIENT_AUTH), which asks clients for a
+ * certificate and verifies it against the configured CA bundle.
+ *
+ * - clientCertificate: Attaches the verified peer identity to req.clientCertificate
+ * - requireClientCertificate: Factory for middleware that rejects requests without
+ *   a trusted (and optionally allowlisted) client certificate
+ *
+ * Rejections are passed to the global error handler in app.js as errors with
+ * a status code, producing the standard JSON error body:
+ * - 401 Unauthorized: No certificate presented, or the certificate is not trusted
+ * - 403 Forbidden: Trusted certificate that is not on the allowlist
+ *
+ * Configuration is driven by environment variables:
+ * - SSL_CLIENT_ALLOWED_SUBJECTS: Comma-separated subject CNs / SAN values allowed by default
+ * - SSL_CLIENT_ALLOWED_FINGERPRINTS: Comma-separated SHA-256 fingerprints allowed by default
+ *
+ * @module middleware/clientCertificate
+ */
+
+'use strict';
+
+const { getRequestProtocol } = require('../config/http2');
+const { getSettings } = require('../config/settings');
+const { createLogger } = require('../config/logger');
+
+const log = createLogger('clientCertificate');
+
+/**
+ * Normalizes a certificate fingerprint for comparison.
+ * Accepts both colon-separated and plain hex notation in any case.
+ *
+ * @param {string} fingerprint - SHA-256 fingerprint
+ * @returns {string} Uppercase hex fingerprint without separators
+ */
+const normalizeFingerprint = (fingerprint) => fingerprint.replace(/:/g, '').toUpperCase();
+
+/**
+ * Creates an HTTP error that the global error handler turns into a JSON response.
+ *
+ * @param {number} status - HTTP status code
+ * @param {string} message - Client-facing error message
+ * @returns {Error} Error with a status property
+ */
+const createHttpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Reads the client certificate identity from the request's TLS socket.
+ *
+ * @param {Object} req - Express request object
+ * @returns {Object|null} Peer identity, or null when no certificate was presented
+ * @returns {string} return.commonName - Subject common name (CN)
+ * @returns {Object} return.subject - Full subject fields
+ * @returns {Object} return.issuer - Full issuer fields
+ * @returns {string[]} return.subjectAltNames - SAN entries without type prefix
+ * @returns {string} return.fingerprint - SHA-256 fingerprint (colon-separated)
+ * @returns {string} return.serialNumber - Certificate serial number
+ * @returns {string} return.validTo - Expiry date
+ * @returns {boolean} return.authorized - Whether the certificate chains to the configured CA
+ * @returns {string|null} return.authorizationError - Verification error code, if any
+ */
+const getPeerIdentity = (req) => {
+  const socket = req.socket;
+
+  // Plain HTTP connections have no TLS peer
+  if (!socket || typeof socket.getPeerCertificate !== 'function') {
+    return null;
+  }
+
+  const certificate = socket.getPeerCertificate();
+
+  if (!certificate || Object.keys(certificate).length === 0) {
+    return null;
+  }
+
+  const subjectAltNames = certificate.subjectaltname
+    ? certificate.subjectaltname.split(', ').map((entry) => entry.replace(/^[A-Za-z ]+:/, ''))
+    : [];
+
+  return {
+    commonName: certificate.subject && certificate.subject.CN,
+    subject: certificate.subject,
+    issuer: certificate.issuer,
+    subjectAltNames,
+    fingerprint: certificate.fingerprint256,
+    serialNumber: certificate.serialNumber,
+    validTo: certificate.valid_to,
+    authorized: socket.authorized === true,
+    authorizationError: socket.authorizationError ? String(socket.authorizationError) : null
+  };
+};
+
+/**
+ * Middleware that attaches the client certificate identity to the request.
+ *
+ * Sets req.clientCertificate to the peer identity (see getPeerIdentity) or
+ * null when no certificate was presented. Never rejects a request; use
+ * requireClientCertificate() for authorization.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ *
+ * @example
+ * app.use(clientCertificate);
+ * app.get('/whoami', (req, res) => res.json(req.clientCertificate));
+ */
+const clientCertificate = (req, res, next) => {
+  req.clientCertificate = getPeerIdentity(req);
+  next();
+};
+
+/**
+ * Factory function to create middleware that requires a trusted client certificate.
+ *
+ * The certificate must have been verified against the CA bundle configured
+ * through SSL_CLIENT_CA_PATH. When an allowlist is configured (through options
+ * or settings), the certificate must also match at least one entry:
+ * - allowedSubjects: matched against the subject CN and subject alternative names
+ * - allowedFingerprints: matched against the SHA-256 fingerprint
+ *
+ * @param {Object} [options] - Authorization options
+ * @param {string[]} [options.allowedSubjects] - Allowed CNs / SAN values
+ *   (default: SSL_CLIENT_ALLOWED_SUBJECTS)
+ * @param {string[]} [options.allowedFingerprints] - Allowed SHA-256 fingerprints
+ *   (default: SSL_CLIENT_ALLOWED_FINGERPRINTS)
+ * @returns {Function} Express middleware
+ *
+ * @example
+ * // Only allow the billing service to call this endpoint
+ * app.post('/internal/invoices',
+ *   requireClientCertificate({ allowedSubjects: ['billing.internal'] }),
+ *   createInvoice
+ * );
+ */
+const requireClientCertificate = (options = {}) => {
+  const settings = getSettings();
+  const allowedSubjects = options.allowedSubjects || settings.SSL_CLIENT_ALLOWED_SUBJECTS || [];
+  const allowedFingerprints = (
+    options.allowedFingerprints || settings.SSL_CLIENT_ALLOWED_FINGERPRINTS || []
+  ).map(normalizeFingerprint);
+  const hasAllowlist = allowedSubjects.length > 0 || allowedFingerprints.length > 0;
+
+  return (req, res, next) => {
+    const identity = req.clientCertificate !== undefined ? req.clientCertificate : getPeerIdentity(req);
+    req.clientCertificate = identity;
+
+    if (!identity) {
+      return next(createHttpError(401, 'A client certificate is required'));
+    }
+
+    if (!identity.authorized) {
+      log.warn('Untrusted client certificate', {
+        commonName: identity.commonName || 'unknown',
+        reason: identity.authorizationError || 'unknown',
+        protocol: getRequestProtocol(req)
+      });
+      return next(createHttpError(401, 'The client certificate is not trusted'));
+    }
+
+    if (hasAllowlist) {
+      const names = [identity.commonName, ...identity.subjectAltNames].filter(Boolean);
+      const subjectAllowed = names.some((name) => allowedSubjects.includes(name));
+      const fingerprintAllowed = identity.fingerprint &&
+        allowedFingerprints.includes(normalizeFingerprint(identity.fingerprint));
+
+      if (!subjectAllowed && !fingerprintAllowed) {
+        log.warn('Client certificate not allowed', {
+          commonName: identity.commonName || 'unknown',
+          fingerprint: identity.fingerprint,
+          protocol: getRequestProtocol(req)
+        });
+        return next(createHttpError(403, 'The client certificate is not allowed to access this resource'));
+      }
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  clientCertificate,
+  requireClientCertificate,
+  getPeerIdentity
+};
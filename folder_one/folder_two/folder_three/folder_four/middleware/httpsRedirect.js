@@ -0,0 +1,160 @@
+/**
+ * HTTP-to-HTTPS Redirect Middleware
+ *
+ * When HTTPS is enabled, the plain HTTP listener would otherwise serve the
+ * full application, which undermines the HSTS policy in config/security.js.
+ * In redirect mode, requests that did not arrive over TLS are redirected to
+ * the HTTPS listener instead, keeping method, path and query string:
+ * - 301 Moved Permanently for GET and HEAD requests
+ * - 308 Permanent Redirect for all other methods (the method and body are kept)
+ *
+ * ACME HTTP-01 challenges and health probes are still answered over HTTP,
+ * since certificate authorities and load balancers request them there.
+ *
+ * Behind a TLS-terminating proxy (TRUST_PROXY=true), the X-Forwarded-Proto
+ * header decides whether a request counts as secure, so requests the proxy
+ * received over HTTPS are served normally instead of looping through
+ * redirects. Without TRUST_PROXY the header is ignored.
+ *
+ * Configuration is driven by environment variables:
+ * - HTTPS_REDIRECT: Enable redirect mode ('true'; requires ENABLE_HTTPS=true)
+ * - HTTPS_REDIRECT_HOST: Host (and optional port) to redirect to
+ *   (default: the requested host and the HTTPS server's port)
+ * - HTTPS_REDIRECT_EXEMPT_PATHS: Comma-separated path prefixes still served
+ *   over HTTP (default: /health,/livez,/readyz,/.well-known/acme-challenge/)
+ *
+ * @module middleware/httpsRedirect
+ */
+
+'use strict';
+
+const { getSettings } = require('../config/settings');
+const { createLogger } = require('../config/logger');
+
+const log = createLogger('httpsRedirect');
+
+/**
+ * Default path prefixes answered over plain HTTP
+ * @constant {string[]}
+ */
+const DEFAULT_EXEMPT_PATHS = ['/health', '/livez', '/readyz', '/.well-known/acme-challenge/'];
+
+/**
+ * Methods redirected with 301; all others use 308 so clients repeat the
+ * request with the same method and body
+ * @constant {string[]}
+ */
+const SAFE_METHODS = ['GET', 'HEAD'];
+
+/**
+ * Default HTTPS port, omitted from redirect URLs
+ * @constant {number}
+ */
+const DEFAULT_HTTPS_PORT = 443;
+
+/**
+ * Reports whether redirect mode is enabled.
+ *
+ * Redirect mode only applies when the HTTPS server is enabled; otherwise
+ * there would be nothing to redirect to.
+ *
+ * @returns {boolean} True when both ENABLE_HTTPS and HTTPS_REDIRECT are on
+ */
+const isHttpsRedirectEnabled = () => {
+  const settings = getSettings();
+  return settings.ENABLE_HTTPS && settings.HTTPS_REDIRECT;
+};
+
+/**
+ * Checks whether a path is exempt from redirection.
+ *
+ * A prefix matches the path itself and anything below it
+ * ('/health' matches '/health' and '/health/db' but not '/healthy').
+ *
+ * @param {string} requestPath - Request path without query string
+ * @param {string[]} exemptPaths - Exempt path prefixes
+ * @returns {boolean} True when the request should be served over HTTP
+ */
+const isExemptPath = (requestPath, exemptPaths) => {
+  return exemptPaths.some((prefix) => {
+    if (prefix.endsWith('/')) {
+      return requestPath.startsWith(prefix);
+    }
+
+    return requestPath === prefix || requestPath.startsWith(`${prefix}/`);
+  });
+};
+
+/**
+ * Factory function to create the HTTP-to-HTTPS redirect middleware.
+ *
+ * Options default to the settings described in the module documentation.
+ *
+ * @param {Object} [options] - Redirect options
+ * @param {string} [options.host] - Target host, optionally with port
+ *   (default: HTTPS_REDIRECT_HOST, or the requested host)
+ * @param {number} [options.port] - HTTPS port appended to the requested host
+ *   (default: the 'https port' app setting, which startServer() sets to the
+ *   port the HTTPS server is bound to, else HTTPS_PORT; omitted when 443)
+ * @param {string[]} [options.exemptPaths] - Path prefixes served over HTTP
+ *   (default: HTTPS_REDIRECT_EXEMPT_PATHS)
+ * @returns {Function} Express middleware
+ *
+ * @example
+ * if (isHttpsRedirectEnabled()) {
+ *   app.use(createHttpsRedirect());
+ * }
+ *
+ * @example
+ * // http://example.com/orders?page=2 → https://www.example.com/orders?page=2
+ * app.use(createHttpsRedirect({ host: 'www.example.com' }));
+ */
+const createHttpsRedirect = (options = {}) => {
+  const settings = getSettings();
+  const targetHost = options.host || settings.HTTPS_REDIRECT_HOST || null;
+  const exemptPaths = options.exemptPaths || settings.HTTPS_REDIRECT_EXEMPT_PATHS || DEFAULT_EXEMPT_PATHS;
+
+  let loopWarningLogged = false;
+
+  return (req, res, next) => {
+    // req.secure honours X-Forwarded-Proto only when 'trust proxy' is set
+    if (req.secure || isExemptPath(req.path, exemptPaths)) {
+      return next();
+    }
+
+    if (!loopWarningLogged && !req.app.get('trust proxy') &&
+        String(req.headers['x-forwarded-proto']).split(',')[0].trim() === 'https') {
+      loopWarningLogged = true;
+      log.warn('Received X-Forwarded-Proto: https while TRUST_PROXY is disabled', {
+        hint: 'Set TRUST_PROXY=true behind a TLS-terminating proxy to avoid redirect loops'
+      });
+    }
+
+    let host = targetHost;
+
+    if (!host) {
+      if (!req.hostname) {
+        const error = new Error('A Host header is required');
+        error.status = 400;
+        return next(error);
+      }
+
+      // HTTPS_PORT may also name a unix socket or inherited descriptor, which have no port to append
+      const port = parseInt(options.port || req.app.get('https port') || settings.HTTPS_PORT, 10) ||
+        DEFAULT_HTTPS_PORT;
+
+      // A proxy that forwarded the request already listens on the public HTTPS port
+      const forwarded = req.app.get('trust proxy') && req.headers['x-forwarded-proto'];
+      host = port === DEFAULT_HTTPS_PORT || forwarded ? req.hostname : `${req.hostname}:${port}`;
+    }
+
+    const status = SAFE_METHODS.includes(req.method) ? 301 : 308;
+
+    res.redirect(status, `https://${host}${req.originalUrl}`);
+  };
+};
+
+module.exports = {
+  createHttpsRedirect,
+  isHttpsRedirectEnabled
+};
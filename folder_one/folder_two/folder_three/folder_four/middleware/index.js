@@ -14,10 +14,18 @@
  * Security Middlewares Included:
  * - Rate Limiting: Prevents abuse, brute force, and DDoS attacks
  * - Input Validation: Sanitizes and validates user inputs to prevent injection attacks
+ * - Client Certificates: Mutual TLS peer identity and route-level authorization
+ * - HTTPS Redirect: Sends plain HTTP requests to the HTTPS listener
+ * - Request ID: Correlates responses and error bodies with log records
+ * - Access Log: One Common, Combined or JSON line per request
  * 
  * @module middleware
  * @see module:middleware/rateLimiter
  * @see module:middleware/validation
+ * @see module:middleware/clientCertificate
+ * @see module:middleware/httpsRedirect
+ * @see module:middleware/requestId
+ * @see module:middleware/accessLog
  */
 
 'use strict';
@@ -59,6 +67,71 @@ const { rateLimiter, strictRateLimiter } = require('./rateLimiter');
  */
 const { validateRequest, sanitizeInput, validationErrorHandler } = require('./validation');
 
+// =============================================================================
+// IMPORTS FROM CLIENT CERTIFICATE MODULE
+// =============================================================================
+
+/**
+ * Import mutual TLS middleware from the clientCertificate module.
+ * 
+ * - clientCertificate: Attaches the TLS client certificate identity to
+ *   req.clientCertificate without rejecting requests.
+ * 
+ * - requireClientCertificate: Factory for middleware that rejects requests
+ *   without a trusted, optionally allowlisted client certificate (401/403).
+ * 
+ * @see module:middleware/clientCertificate
+ */
+const { clientCertificate, requireClientCertificate } = require('./clientCertificate');
+
+// =============================================================================
+// IMPORTS FROM HTTPS REDIRECT MODULE
+// =============================================================================
+
+/**
+ * Import HTTP-to-HTTPS redirect middleware from the httpsRedirect module.
+ * 
+ * - createHttpsRedirect: Factory for middleware that redirects plain HTTP
+ *   requests to HTTPS (301/308), except ACME challenges and health probes.
+ * 
+ * - isHttpsRedirectEnabled: Whether redirect mode is configured
+ *   (ENABLE_HTTPS=true and HTTPS_REDIRECT=true).
+ * 
+ * @see module:middleware/httpsRedirect
+ */
+const { createHttpsRedirect, isHttpsRedirectEnabled } = require('./httpsRedirect');
+
+// =============================================================================
+// IMPORTS FROM REQUEST ID MODULE
+// =============================================================================
+
+/**
+ * Import request correlation middleware from the requestId module.
+ * 
+ * - requestId: Assigns each request an ID (kept from X-Request-Id when sent
+ *   by a REQUEST_ID_TRUSTED address), echoes it in the response and makes it
+ *   available to the logger. Mount it before all other middleware.
+ * 
+ * @see module:middleware/requestId
+ */
+const { requestId } = require('./requestId');
+
+// =============================================================================
+// IMPORTS FROM ACCESS LOG MODULE
+// =============================================================================
+
+/**
+ * Import access logging middleware from the accessLog module.
+ * 
+ * - createAccessLog: Factory for middleware writing one line per request
+ *   (Common, Combined or JSON) to stdout or a rotating ACCESS_LOG_FILE.
+ *   Mount it right after requestId.
+ * - isAccessLogEnabled: Whether ACCESS_LOG_ENABLED is set.
+ * 
+ * @see module:middleware/accessLog
+ */
+const { createAccessLog, isAccessLogEnabled } = require('./accessLog');
+
 // =============================================================================
 // AGGREGATED MIDDLEWARE ARRAY
 // =============================================================================
@@ -142,6 +215,21 @@ const securityMiddlewares = [
  * @property {Array} sanitizeInput - Global sanitization middleware array
  * @property {Function} validationErrorHandler - Validation error handler middleware
  * 
+ * Client Certificate Exports:
+ * @property {Function} clientCertificate - Attaches mTLS peer identity to req
+ * @property {Function} requireClientCertificate - Factory for mTLS authorization middleware
+ * 
+ * HTTPS Redirect Exports:
+ * @property {Function} createHttpsRedirect - Factory for HTTP-to-HTTPS redirect middleware
+ * @property {Function} isHttpsRedirectEnabled - Whether redirect mode is enabled
+ * 
+ * Request ID Exports:
+ * @property {Function} requestId - Request ID assignment and log correlation middleware
+ * 
+ * Access Log Exports:
+ * @property {Function} createAccessLog - Factory for access log middleware
+ * @property {Function} isAccessLogEnabled - Whether the access log is enabled
+ * 
  * Aggregated Exports:
  * @property {Array<Function>} securityMiddlewares - Array of core security middlewares
  * 
@@ -185,6 +273,21 @@ module.exports = {
   sanitizeInput,
   validationErrorHandler,
   
+  // Client certificate (mutual TLS) middleware
+  clientCertificate,
+  requireClientCertificate,
+  
+  // HTTP-to-HTTPS redirect middleware
+  createHttpsRedirect,
+  isHttpsRedirectEnabled,
+  
+  // Request ID (log correlation) middleware
+  requestId,
+  
+  // Access log middleware
+  createAccessLog,
+  isAccessLogEnabled,
+  
   // Aggregated middleware array for bulk application
   securityMiddlewares
 };
@@ -13,12 +13,22 @@
  * - RATE_LIMIT_WINDOW_MS: Time window in milliseconds (default: 900000 = 15 minutes)
  * - RATE_LIMIT_MAX: Maximum requests per window per IP (default: 100)
  * 
+ * Values are read through config/settings.js; invalid values are reported
+ * at startup instead of being replaced with the defaults.
+ * 
  * @module middleware/rateLimiter
  */
 
 'use strict';
 
 const { rateLimit } = require('express-rate-limit');
+const { getRequestProtocol } = require('../config/http2');
+const { recordRateLimitRejection } = require('../config/metrics');
+const { getClientAddress } = require('../config/proxyProtocol');
+const { getSettings } = require('../config/settings');
+const { createLogger } = require('../config/logger');
+
+const log = createLogger('rateLimiter');
 
 /**
  * Default rate limit window in milliseconds (15 minutes)
@@ -39,55 +49,41 @@ const DEFAULT_MAX_REQUESTS = 100;
 const DEFAULT_STRICT_MAX_REQUESTS = 5;
 
 /**
- * Parses an environment variable as an integer with a fallback default value.
- * Returns the default if the environment variable is not set, empty, or not a valid number.
- * 
- * @param {string} envValue - The environment variable value to parse
- * @param {number} defaultValue - The fallback default value
- * @returns {number} The parsed integer or default value
+ * Paths the standard limiter neither counts nor blocks: health probes and
+ * /metrics. Orchestrators and Prometheus request them every few seconds from
+ * the same addresses, which would otherwise exhaust the limit and fail the
+ * probes and scrapes with 429. /metrics has its own address list and token
+ * (see config/metrics.js)
+ * @constant {string[]}
  */
-const parseIntWithDefault = (envValue, defaultValue) => {
-  if (envValue === undefined || envValue === null || envValue === '') {
-    return defaultValue;
-  }
-  
-  const parsed = parseInt(envValue, 10);
-  
-  // Return default if parsing failed or resulted in NaN
-  if (isNaN(parsed)) {
-    return defaultValue;
-  }
-  
-  // Ensure the value is positive
-  return parsed > 0 ? parsed : defaultValue;
-};
+const UNLIMITED_PATHS = ['/health', '/livez', '/readyz', '/metrics'];
 
 /**
- * Standard rate limiter middleware for general API protection.
+ * Creates the standard rate limiter for general API protection.
  * 
  * Configures IP-based rate limiting with the following defaults:
  * - 15-minute window (configurable via RATE_LIMIT_WINDOW_MS)
  * - 100 requests per window (configurable via RATE_LIMIT_MAX)
  * - Uses draft-8 standard headers (RateLimit-Policy, RateLimit)
  * - Returns 429 Too Many Requests when limit is exceeded
+ * - Health probes and /metrics (UNLIMITED_PATHS) are not limited
  * 
- * @type {import('express-rate-limit').RateLimitRequestHandler}
+ * Each limiter counts requests in its own store, so a limiter created on a
+ * configuration reload (see config/reload.js) starts with fresh counters.
  * 
- * @example
- * // In app.js - Apply as first middleware
- * const { rateLimiter } = require('./middleware/rateLimiter');
- * app.use(rateLimiter);
+ * @param {Object} settings - Typed settings (see config/settings.js)
+ * @returns {import('express-rate-limit').RateLimitRequestHandler} Rate limiter middleware
  */
-const rateLimiter = rateLimit({
+const createStandardRateLimiter = (settings) => rateLimit({
   // Time window in milliseconds
   // Default: 15 minutes (900000ms)
   // Configurable via RATE_LIMIT_WINDOW_MS environment variable
-  windowMs: parseIntWithDefault(process.env.RATE_LIMIT_WINDOW_MS, DEFAULT_WINDOW_MS),
+  windowMs: settings.RATE_LIMIT_WINDOW_MS,
   
   // Maximum number of requests allowed per window per IP address
   // Default: 100 requests
   // Configurable via RATE_LIMIT_MAX environment variable
-  limit: parseIntWithDefault(process.env.RATE_LIMIT_MAX, DEFAULT_MAX_REQUESTS),
+  limit: settings.RATE_LIMIT_MAX,
   
   // Use draft-8 standard headers for rate limit information
   // Sends RateLimit-Policy and RateLimit headers in responses
@@ -114,21 +110,29 @@ const rateLimiter = rateLimit({
   // Set to true to only count successful requests
   skipFailedRequests: false,
   
+  // Let health probes and metrics scrapes through without counting them
+  skip: (req) => UNLIMITED_PATHS.includes(req.path),
+  
   // Custom handler function when rate limit is exceeded
   // Ensures consistent JSON response format with proper status code
   handler: (req, res, next, options) => {
     // Log the rate limit event for monitoring purposes
     // In production, this could be connected to a monitoring system
-    const clientIP = req.ip || req.socket.remoteAddress || 'unknown';
+    const clientIP = getClientAddress(req) || 'unknown';
     const requestPath = req.originalUrl || req.url || '/';
     
-    console.warn(
-      `[Rate Limit] Exceeded - IP: ${clientIP}, Path: ${requestPath}, ` +
-      `Limit: ${options.limit}, Window: ${options.windowMs}ms`
-    );
+    log.warn('Rate limit exceeded', {
+      limiter: 'standard',
+      ip: clientIP,
+      path: requestPath,
+      protocol: getRequestProtocol(req),
+      limit: options.limit,
+      windowMs: options.windowMs
+    });
+    recordRateLimitRejection('standard');
     
     // Set the proper status code and send JSON response
-    res.status(429).json(options.message);
+    res.status(429).json({ ...options.message, requestId: req.id });
   },
   
   // Key generator function for identifying clients
@@ -137,7 +141,9 @@ const rateLimiter = rateLimit({
   keyGenerator: (req) => {
     // Use X-Forwarded-For header if behind a proxy, otherwise use connection IP
     // Note: Ensure trust proxy is configured in Express if behind a reverse proxy
-    return req.ip || req.socket.remoteAddress || 'unknown';
+    // Behind a TCP load balancer, enable PROXY_PROTOCOL so the client IP is
+    // taken from the balancer's PROXY header (see config/proxyProtocol.js)
+    return getClientAddress(req) || 'unknown';
   },
   
   // Request property name to store rate limit info
@@ -145,6 +151,18 @@ const rateLimiter = rateLimit({
   requestPropertyName: 'rateLimit'
 });
 
+/**
+ * Standard rate limiter middleware, built from the settings at startup.
+ * 
+ * @type {import('express-rate-limit').RateLimitRequestHandler}
+ * 
+ * @example
+ * // In app.js - Apply as first middleware
+ * const { rateLimiter } = require('./middleware/rateLimiter');
+ * app.use(rateLimiter);
+ */
+const rateLimiter = createStandardRateLimiter(getSettings());
+
 /**
  * Strict rate limiter middleware for sensitive endpoints (authentication, password reset, etc.).
  * 
@@ -196,22 +214,27 @@ const strictRateLimiter = rateLimit({
   
   // Custom handler for strict rate limiting
   handler: (req, res, next, options) => {
-    const clientIP = req.ip || req.socket.remoteAddress || 'unknown';
+    const clientIP = getClientAddress(req) || 'unknown';
     const requestPath = req.originalUrl || req.url || '/';
     
     // Log strict rate limit violations at warning level
     // These could indicate an active attack
-    console.warn(
-      `[Strict Rate Limit] EXCEEDED - IP: ${clientIP}, Path: ${requestPath}, ` +
-      `Limit: ${options.limit}, Window: ${options.windowMs}ms - Potential brute force attempt`
-    );
+    log.warn('Strict rate limit exceeded - potential brute force attempt', {
+      limiter: 'strict',
+      ip: clientIP,
+      path: requestPath,
+      protocol: getRequestProtocol(req),
+      limit: options.limit,
+      windowMs: options.windowMs
+    });
+    recordRateLimitRejection('strict');
     
-    res.status(429).json(options.message);
+    res.status(429).json({ ...options.message, requestId: req.id });
   },
   
   // Key generator for client identification
   keyGenerator: (req) => {
-    return req.ip || req.socket.remoteAddress || 'unknown';
+    return getClientAddress(req) || 'unknown';
   },
   
   // Store rate limit info on request object
@@ -229,6 +252,8 @@ const strictRateLimiter = rateLimit({
  * @param {string} [options.message='Too many requests'] - Error message when limit exceeded
  * @param {boolean} [options.skipSuccessfulRequests=false] - Whether to skip counting successful requests
  * @param {boolean} [options.skipFailedRequests=false] - Whether to skip counting failed requests
+ * @param {string} [options.name='custom'] - Limiter label of rate_limit_rejections_total
+ *   on /metrics (see config/metrics.js)
  * @returns {import('express-rate-limit').RateLimitRequestHandler} Configured rate limiter middleware
  * 
  * @example
@@ -237,7 +262,8 @@ const strictRateLimiter = rateLimit({
  * const apiRateLimiter = createRateLimiter({
  *   windowMs: 60 * 1000, // 1 minute
  *   limit: 30, // 30 requests per minute
- *   message: 'API rate limit exceeded'
+ *   message: 'API rate limit exceeded',
+ *   name: 'heavy-endpoint'
  * });
  * app.use('/api/heavy-endpoint', apiRateLimiter);
  */
@@ -247,7 +273,8 @@ const createRateLimiter = (options = {}) => {
     limit = DEFAULT_MAX_REQUESTS,
     message = 'Too many requests, please try again later.',
     skipSuccessfulRequests = false,
-    skipFailedRequests = false
+    skipFailedRequests = false,
+    name = 'custom'
   } = options;
   
   return rateLimit({
@@ -263,18 +290,23 @@ const createRateLimiter = (options = {}) => {
     skipSuccessfulRequests,
     skipFailedRequests,
     handler: (req, res, next, opts) => {
-      const clientIP = req.ip || req.socket.remoteAddress || 'unknown';
+      const clientIP = getClientAddress(req) || 'unknown';
       const requestPath = req.originalUrl || req.url || '/';
       
-      console.warn(
-        `[Custom Rate Limit] Exceeded - IP: ${clientIP}, Path: ${requestPath}, ` +
-        `Limit: ${opts.limit}, Window: ${opts.windowMs}ms`
-      );
+      log.warn('Rate limit exceeded', {
+        limiter: name,
+        ip: clientIP,
+        path: requestPath,
+        protocol: getRequestProtocol(req),
+        limit: opts.limit,
+        windowMs: opts.windowMs
+      });
+      recordRateLimitRejection(name);
       
-      res.status(429).json(opts.message);
+      res.status(429).json({ ...opts.message, requestId: req.id });
     },
     keyGenerator: (req) => {
-      return req.ip || req.socket.remoteAddress || 'unknown';
+      return getClientAddress(req) || 'unknown';
     },
     requestPropertyName: 'rateLimit'
   });
@@ -284,5 +316,6 @@ const createRateLimiter = (options = {}) => {
 module.exports = {
   rateLimiter,
   strictRateLimiter,
-  createRateLimiter
+  createRateLimiter,
+  createStandardRateLimiter
 };
@@ -0,0 +1,109 @@
+/**
+ * Request ID Middleware
+ *
+ * Gives every request an ID that ties the response a client received to the
+ * server's log records:
+ * - The ID is sent back in the X-Request-Id response header and included in
+ *   JSON error bodies (404, 429, validation errors, the global error handler)
+ * - Every log record written while handling the request carries it as
+ *   `requestId` (see config/logger.js), through config/requestContext.js
+ * - Route handlers read it from req.id, other code from getRequestId()
+ *
+ * An incoming X-Request-Id header is kept when the connection comes from an
+ * address in REQUEST_ID_TRUSTED (e.g. a reverse proxy or API gateway that
+ * already assigned one), so one ID follows the request across services. It
+ * must be 1-128 characters of letters, digits and `-_.:/+=@`; anything else,
+ * and any header from other addresses, is replaced by a new random UUID.
+ * Untrusted clients therefore cannot inject log lines or make their requests
+ * look like someone else's.
+ *
+ * Configuration is driven by environment variables:
+ * - REQUEST_ID_TRUSTED: Comma-separated addresses/CIDR ranges whose
+ *   X-Request-Id header is kept (default: 127.0.0.1,::1)
+ *
+ * @module middleware/requestId
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { createAddressList, isListedAddress } = require('../config/addressList');
+const { getConnectionAddress } = require('../config/proxyProtocol');
+const { runWithRequestContext } = require('../config/requestContext');
+const { getSettings } = require('../config/settings');
+const { createLogger } = require('../config/logger');
+
+const log = createLogger('requestId');
+
+/**
+ * Request and response header carrying the ID
+ * @constant {string}
+ */
+const REQUEST_ID_HEADER = 'X-Request-Id';
+
+/**
+ * Accepted incoming IDs: UUIDs, ULIDs, hex or base64 tokens and the
+ * `<host>/<random>-<counter>` style some proxies generate, but no spaces,
+ * quotes or control characters
+ * @constant {RegExp}
+ */
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9\-_.:/+=@]{1,128}$/;
+
+/**
+ * Addresses whose X-Request-Id is kept, built once from REQUEST_ID_TRUSTED
+ * @type {net.BlockList}
+ */
+const trustedAddresses = createAddressList(getSettings().REQUEST_ID_TRUSTED);
+
+/**
+ * Returns the incoming request ID when it may be kept.
+ *
+ * The connection's address is used rather than req.ip: with TRUST_PROXY,
+ * req.ip is the client behind the proxy, while it is the proxy that is
+ * trusted to set the header. Behind a TCP load balancer it is the client
+ * from the PROXY header (see config/proxyProtocol.js).
+ *
+ * @param {express.Request} req - Express request
+ * @returns {string|null} Incoming ID, or null when a new one is needed
+ */
+const getTrustedRequestId = (req) => {
+  const incoming = req.get(REQUEST_ID_HEADER);
+
+  const peer = getConnectionAddress(req.socket);
+
+  if (!incoming || !isListedAddress(trustedAddresses, peer)) {
+    return null;
+  }
+
+  if (!REQUEST_ID_PATTERN.test(incoming)) {
+    log.debug('Invalid X-Request-Id replaced', { peer, length: incoming.length });
+    return null;
+  }
+
+  return incoming;
+};
+
+/**
+ * Middleware assigning the request ID. Mount it first, so that every later
+ * middleware, including the rate limiter, logs and answers with the ID.
+ *
+ * @param {express.Request} req - Express request
+ * @param {express.Response} res - Express response
+ * @param {Function} next - Next middleware
+ *
+ * @example
+ * app.use(requestId);
+ * app.get('/orders', (req, res) => res.json({ requestId: req.id }));
+ */
+const requestId = (req, res, next) => {
+  const id = getTrustedRequestId(req) || crypto.randomUUID();
+
+  req.id = id;
+  res.set(REQUEST_ID_HEADER, id);
+
+  runWithRequestContext({ requestId: id }, next);
+};
+
+module.exports = {
+  requestId
+};
@@ -37,6 +37,11 @@
  */
 const { body, param, query, validationResult, matchedData } = require('express-validator');
 
+/**
+ * Counts rejected requests by route for /metrics (see config/metrics.js).
+ */
+const { recordValidationFailure } = require('../config/metrics');
+
 // =============================================================================
 // VALIDATION ERROR HANDLER MIDDLEWARE
 // =============================================================================
@@ -55,7 +60,8 @@ const { body, param, query, validationResult, matchedData } = require('express-v
  *   error: 'Validation Error',
  *   details: [
  *     { field: 'email', message: 'Invalid email address', value: 'invalid' }
- *   ]
+ *   ],
+ *   requestId: '9b2c7f0e-4d1a-4f6e-9c3b-2a8d5e7f1c04'
  * }
  * 
  * @param {Object} req - Express request object
@@ -84,11 +90,14 @@ const validationErrorHandler = (req, res, next) => {
       value: err.value           // The invalid value submitted
     }));
     
+    recordValidationFailure(req);
+    
     // Return 400 Bad Request with detailed error information
     return res.status(400).json({
       status: 400,
       error: 'Validation Error',
-      details: formattedErrors
+      details: formattedErrors,
+      requestId: req.id
     });
   }
   
@@ -198,10 +207,12 @@ const validateRequest = (validations) => {
     
     // If there are validation errors, return error response
     if (!errors.isEmpty()) {
+      recordValidationFailure(req);
       return res.status(400).json({
         status: 400,
         error: 'Validation Error',
-        details: errors.array()
+        details: errors.array(),
+        requestId: req.id
       });
     }
     
@@ -13,18 +13,57 @@
  * - HTTPS/TLS encryption support
  * 
  * Server Configuration (via environment variables):
- *   PORT         - HTTP server port (default: 3000)
- *   HTTPS_PORT   - HTTPS server port (default: 443)
+ *   PORT         - HTTP server port (default: 3000), unix socket path, fd:N or systemd[:name]
+ *   HTTPS_PORT   - HTTPS server port (default: 443), with the same alternatives
+ *   UNIX_SOCKET_MODE - Octal permissions for unix sockets (e.g. 660)
+ *   SERVER_*_TIMEOUT_MS, SERVER_MAX_HEADERS_COUNT, SERVER_MAX_CONNECTIONS_PER_IP -
+ *                  Slow-client protection (see config/serverLimits.js)
+ *   PROXY_PROTOCOL, PROXY_PROTOCOL_TRUSTED - Client addresses from TCP load
+ *                  balancers (see config/proxyProtocol.js)
  *   ENABLE_HTTPS - Enable HTTPS server ('true' to enable)
+ *   ENABLE_HTTP2 - Serve HTTP/2 (with HTTP/1.1 fallback) on the HTTPS port ('true' to enable)
+ *   HTTPS_REDIRECT - Redirect plain HTTP requests to HTTPS ('true' to enable)
+ *   SHUTDOWN_READINESS_DELAY_MS - Time /readyz and /health report not-ready before the listeners close
+ *   SHUTDOWN_DRAIN_TIMEOUT_MS   - Deadline for in-flight requests on shutdown (default: 10000)
+ * 
+ * All settings are validated before anything is started (see
+ * config/settings.js): an invalid value, or a dangerous one in production,
+ * stops startup with the complete list of problems.
  * 
  * Usage:
  *   node server.js           # Start HTTP server only
  *   ENABLE_HTTPS=true node server.js  # Start both HTTP and HTTPS servers
  * 
+ * Requiring the module does not bind any ports, install process handlers or
+ * print anything; it exports startServer() for embedding the server in
+ * another process or starting it on an ephemeral port in integration tests.
+ * Running the file directly (or calling main()) starts the server from
+ * environment configuration and adds the startup summary, signal handling
+ * and crash handlers. SIGHUP reloads the CORS, CSP/helmet and rate-limit
+ * settings without a restart (see config/reload.js).
+ * 
+ * @example
+ * const { startServer } = require('./server');
+ * 
+ * const { http, https, stop } = await startServer({ port: 0, enableHttps: false });
+ * console.log(`Listening on port ${http.address.port}`);
+ * await stop();
+ * 
  * @module server
  * @requires dotenv
  * @requires ./app
  * @requires ./config/https
+ * @requires ./config/acme
+ * @requires ./config/tlsProfiles
+ * @requires ./config/http2
+ * @requires ./config/shutdown
+ * @requires ./config/listenTarget
+ * @requires ./config/serverLimits
+ * @requires ./config/proxyProtocol
+ * @requires ./config/settings
+ * @requires ./config/reload
+ * @requires ./config/logger
+ * @see module:cluster for running several workers with supervision
  */
 
 'use strict';
@@ -59,6 +98,20 @@ require('dotenv').config();
 // APPLICATION IMPORTS
 // =============================================================================
 
+/**
+ * Node.js cluster module
+ * 
+ * Used to detect whether this process runs as a worker of the cluster
+ * supervisor (cluster.js), which stops workers through IPC messages.
+ */
+const cluster = require('cluster');
+
+/**
+ * Node.js http module, used to create the HTTP server with the timeout
+ * options from config/serverLimits.js (app.listen() accepts no options)
+ */
+const http = require('http');
+
 /**
  * Express application with full security middleware stack
  * 
@@ -88,41 +141,183 @@ const app = require('./app');
  */
 const { createSecureServer } = require('./config/https');
 
-// =============================================================================
-// SERVER CONFIGURATION
-// =============================================================================
+/**
+ * ACME certificate management
+ * 
+ * When ACME_ENABLED is 'true', certificates are obtained and renewed
+ * automatically before/while the HTTPS server runs.
+ * 
+ * @see module:config/acme
+ */
+const { isAcmeEnabled, ensureCertificate, scheduleRenewal } = require('./config/acme');
+
+/**
+ * TLS security profile description
+ * 
+ * Reports the active SSL_PROFILE (modern / intermediate / legacy) and any
+ * field overrides in the startup output.
+ * 
+ * @see module:config/tlsProfiles
+ */
+const { getTlsProfile, describeTlsProfile } = require('./config/tlsProfiles');
 
 /**
- * HTTP server port
+ * HTTP/2 enable flag check
+ * 
+ * When ENABLE_HTTP2 is 'true', the HTTPS listener negotiates HTTP/2 via ALPN
+ * and falls back to HTTP/1.1 for older clients.
  * 
- * Defaults to 3000 for development, can be overridden via PORT environment variable.
- * In production, this is typically set to 80 or configured by the hosting platform.
+ * @see module:config/http2
+ */
+const { isHttp2Enabled } = require('./config/http2');
+
+/**
+ * HTTP-to-HTTPS redirect mode check (reported in the startup summary)
+ * 
+ * @see module:middleware/httpsRedirect
+ */
+const { isHttpsRedirectEnabled } = require('./middleware/httpsRedirect');
+
+/**
+ * Access log description for the startup summary; its file is flushed
+ * before the process exits on shutdown
  * 
- * @constant {number}
+ * @see module:middleware/accessLog
  */
-const PORT = process.env.PORT || 3000;
+const { closeAccessLog, describeAccessLog } = require('./middleware/accessLog');
 
 /**
- * HTTPS server port
+ * Connection draining for graceful shutdown
  * 
- * Defaults to 443 (standard HTTPS port), can be overridden via HTTPS_PORT environment variable.
- * Note: Ports below 1024 may require elevated privileges on Unix-like systems.
+ * Tracks open connections and in-flight requests of each server so shutdown
+ * can close idle keep-alive connections and wait for running requests.
  * 
- * @constant {number}
+ * @see module:config/shutdown
  */
-const HTTPS_PORT = process.env.HTTPS_PORT || 443;
+const {
+  getShutdownTiming,
+  markDraining,
+  markReady,
+  trackConnections,
+  drainServer
+} = require('./config/shutdown');
+
+/**
+ * Live configuration reload
+ * 
+ * Re-reads the settings and swaps the CORS, helmet and rate-limit middleware
+ * of ./app without a restart (SIGHUP, or reload() on the startServer() handle).
+ * 
+ * @see module:config/reload
+ */
+const { reloadConfiguration } = require('./config/reload');
+
+/**
+ * Listen targets: TCP ports, unix sockets and inherited file descriptors
+ * 
+ * PORT and HTTPS_PORT may name a unix socket path, an inherited descriptor
+ * (fd:N) or a systemd-activated socket (systemd[:name]) instead of a port.
+ * 
+ * @see module:config/listenTarget
+ */
+const {
+  parseListenTarget,
+  isPortTarget,
+  toListenArgument,
+  removeStaleSocket,
+  applySocketMode,
+  describeListenTarget,
+  describeListenAddress
+} = require('./config/listenTarget');
+
+/**
+ * Timeouts, header limits and the per-IP connection cap
+ * 
+ * Applied identically to the HTTP server here and to the HTTPS server in
+ * config/https.js, to protect against slow or idle clients.
+ * 
+ * @see module:config/serverLimits
+ */
+const {
+  getServerLimits,
+  getServerOptions,
+  applyServerLimits,
+  describeServerLimits
+} = require('./config/serverLimits');
+
+/**
+ * PROXY protocol support for TCP load balancers
+ * 
+ * Applied to the HTTP server here and to the HTTPS server in config/https.js,
+ * so the rate limiter, the per-IP cap and the logs see the original client.
+ * 
+ * @see module:config/proxyProtocol
+ */
+const {
+  isProxyProtocolEnabled,
+  applyProxyProtocol,
+  describeProxyProtocol
+} = require('./config/proxyProtocol');
+
+/**
+ * Typed, validated settings
+ * 
+ * loadSettings() checks every setting and throws with the complete list of
+ * problems, so misconfiguration is caught before any port is bound.
+ * 
+ * @see module:config/settings
+ */
+const { getSettings, readSettings, loadSettings } = require('./config/settings');
+
+/**
+ * Structured logger (JSON in production, readable lines otherwise)
+ * 
+ * @see module:config/logger
+ */
+const { createLogger } = require('./config/logger');
+
+const log = createLogger('server');
+
+// =============================================================================
+// SERVER CONFIGURATION
+// =============================================================================
 
 /**
- * HTTPS enable flag
+ * Resolves startServer() options against the environment.
  * 
- * When set to 'true', the server will attempt to start an HTTPS server in addition
- * to the HTTP server. Requires valid SSL certificates configured via:
+ * Explicit options win over environment variables, so tests can pass
+ * port 0 (an ephemeral port) regardless of PORT in .env. Ports are parsed
+ * into listen targets (TCP port, unix socket or file descriptor). All
+ * settings are validated first, so that bad values fail at startup.
+ * 
+ * Ports default to 3000 (PORT) and 443 (HTTPS_PORT). Ports below 1024 may
+ * require elevated privileges on Unix-like systems.
+ * 
+ * HTTPS is only started when enableHttps is true. Requires valid SSL
+ * certificates configured via:
  * - SSL_KEY_PATH: Path to private key file
  * - SSL_CERT_PATH: Path to certificate file
  * 
- * @constant {boolean}
+ * @param {Object} options - Options passed to startServer()
+ * @returns {Object} Resolved options
+ * @throws {Error} Listing every invalid setting, or when a port option is not
+ *   a valid listen target
  */
-const ENABLE_HTTPS = process.env.ENABLE_HTTPS === 'true';
+function resolveOptions(options) {
+  const settings = loadSettings();
+  const port = options.port !== undefined ? options.port : settings.PORT;
+  const httpsPort = options.httpsPort !== undefined ? options.httpsPort : settings.HTTPS_PORT;
+
+  return {
+    app: options.app || app,
+    target: parseListenTarget(port, { envName: 'PORT', systemdIndex: 0 }),
+    httpsTarget: parseListenTarget(httpsPort, { envName: 'HTTPS_PORT', systemdIndex: 1 }),
+    limits: getServerLimits(),
+    enableHttps: options.enableHttps !== undefined
+      ? options.enableHttps
+      : settings.ENABLE_HTTPS
+  };
+}
 
 // =============================================================================
 // HTTP SERVER STARTUP
@@ -132,7 +327,8 @@ const ENABLE_HTTPS = process.env.ENABLE_HTTPS === 'true';
  * Start HTTP Server
  * 
  * Starts the Express application on the configured HTTP port.
- * The app.listen() method creates an HTTP server and binds it to the specified port.
+ * The HTTP server is created with the headers, request and keep-alive
+ * timeouts from config/serverLimits.js and bound to the specified port.
  * 
  * The server handles all incoming HTTP requests through the Express middleware stack:
  * 1. Rate Limiter - Blocks excessive requests
@@ -143,266 +339,559 @@ const ENABLE_HTTPS = process.env.ENABLE_HTTPS === 'true';
  * 
  * Note: In production behind a reverse proxy (nginx, AWS ELB), you may want to
  * bind to '0.0.0.0' or let the platform manage binding. The default Express
- * behavior binds to all available interfaces.
- * 
- * @returns {http.Server} The HTTP server instance
+ * behavior binds to all available interfaces. Behind a local proxy, a unix
+ * socket avoids exposing a TCP port at all.
+ * 
+ * @param {express.Application} application - Express application instance
+ * @param {Object} target - Listen target from parseListenTarget()
+ * @param {Object} limits - Server limits from getServerLimits()
+ * @returns {Promise<http.Server>} Resolves once the server is listening
+ * @throws {Error} Listen errors such as EADDRINUSE or EACCES (rejected)
  */
-const httpServer = app.listen(PORT, () => {
-  console.log(`HTTP Server running on port ${PORT}`);
-  console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`Security middleware stack active: helmet, cors, rate-limit`);
-  
-  // Log helpful information for development
-  if (process.env.NODE_ENV !== 'production') {
-    console.log(`Local access: http://localhost:${PORT}/`);
-    console.log(`Health check: http://localhost:${PORT}/health`);
+async function startHttpServer(application, target, limits) {
+  if (!cluster.isWorker) {
+    await removeStaleSocket(target);
   }
-});
 
-/**
- * HTTP Server Error Handler
- * 
- * Handles server-level errors such as:
- * - EADDRINUSE: Port already in use
- * - EACCES: Permission denied (for privileged ports < 1024)
- * - EADDRNOTAVAIL: Address not available
- * 
- * Provides informative error messages and exits gracefully on critical errors.
- */
-httpServer.on('error', (error) => {
-  if (error.syscall !== 'listen') {
-    throw error;
-  }
+  return new Promise((resolve, reject) => {
+    const server = http.createServer(getServerOptions(limits), application);
 
-  switch (error.code) {
-    case 'EACCES':
-      console.error(`Port ${PORT} requires elevated privileges`);
-      console.error('Try running with sudo or use a port above 1024');
-      process.exit(1);
-      break;
-    case 'EADDRINUSE':
-      console.error(`Port ${PORT} is already in use`);
-      console.error('Please stop the existing server or use a different port');
-      process.exit(1);
-      break;
-    default:
-      throw error;
-  }
-});
+    applyServerLimits(server, 'HTTP', limits);
+    trackConnections(server);
+
+    if (isProxyProtocolEnabled()) {
+      applyProxyProtocol(server, 'HTTP');
+    }
+
+    server.listen(toListenArgument(target));
+
+    server.once('error', reject);
+    server.once('listening', () => {
+      server.removeListener('error', reject);
+
+      try {
+        applySocketMode(target);
+      } catch (error) {
+        server.close();
+        return reject(error);
+      }
+
+      log.info('HTTP server listening', {
+        address: describeListenAddress(server, target),
+        environment: getSettings().NODE_ENV
+      });
+
+      // Log helpful information for development
+      if (getSettings().NODE_ENV !== 'production' && typeof server.address() !== 'string') {
+        const base = `http://localhost:${server.address().port}`;
+        log.info('Local access', { url: `${base}/`, health: `${base}/health`, readiness: `${base}/readyz` });
+      }
+
+      resolve(server);
+    });
+  });
+}
 
 // =============================================================================
 // HTTPS SERVER STARTUP (CONDITIONAL)
 // =============================================================================
 
 /**
- * HTTPS Server Instance
+ * Start HTTPS Server
+ * 
+ * Creates and starts an HTTPS server with TLS/SSL encryption.
+ * The server uses the same Express application as the HTTP server,
+ * ensuring identical middleware stack and security protections.
  * 
- * Only created when ENABLE_HTTPS environment variable is set to 'true'.
- * Requires valid SSL certificates to be configured.
+ * Certificate Configuration:
+ * - SSL_KEY_PATH: Path to private key file (default: ./certs/server.key)
+ * - SSL_CERT_PATH: Path to certificate file (default: ./certs/server.cert)
  * 
- * @type {https.Server|null}
+ * TLS Security Features:
+ * - Protocol range and cipher suites from the active TLS profile (SSL_PROFILE)
+ * - Proper certificate chain handling
+ * 
+ * A certificate or listen problem does not stop the HTTP server: the error
+ * is logged with troubleshooting steps and null is returned.
+ * 
+ * Development Note:
+ * For development, generate a self-signed certificate in certs/ with:
+ * secure-server gen-certs (or npm run gen-certs; see bin/secure-server.js)
+ * 
+ * Production Note:
+ * Use certificates from a trusted Certificate Authority (CA) such as
+ * Let's Encrypt, DigiCert, or your organization's internal CA, or let the
+ * server obtain them itself via ACME (ACME_ENABLED=true).
+ * 
+ * @param {express.Application} application - Express application instance
+ * @param {Object} target - Listen target from parseListenTarget()
+ * @returns {Promise<https.Server|http2.Http2SecureServer|null>} The listening
+ *   server, or null when HTTPS could not be started
  */
-let httpsServer = null;
+async function startHttpsServer(application, target) {
+  let server;
 
-if (ENABLE_HTTPS) {
-  /**
-   * Start HTTPS Server
-   * 
-   * Creates and starts an HTTPS server with TLS/SSL encryption.
-   * The server uses the same Express application as the HTTP server,
-   * ensuring identical middleware stack and security protections.
-   * 
-   * Certificate Configuration:
-   * - SSL_KEY_PATH: Path to private key file (default: ./certs/server.key)
-   * - SSL_CERT_PATH: Path to certificate file (default: ./certs/server.cert)
-   * 
-   * TLS Security Features:
-   * - Minimum TLS 1.2 version requirement
-   * - Modern cipher suite preferences
-   * - Proper certificate chain handling
-   * 
-   * Development Note:
-   * For development, generate self-signed certificates with:
-   * openssl req -x509 -nodes -days 365 -newkey rsa:2048 \
-   *   -keyout certs/server.key \
-   *   -out certs/server.cert \
-   *   -subj "/C=US/ST=State/L=City/O=Dev/CN=localhost"
-   * 
-   * Production Note:
-   * Use certificates from a trusted Certificate Authority (CA) such as
-   * Let's Encrypt, DigiCert, or your organization's internal CA.
-   */
   try {
-    httpsServer = createSecureServer(app, HTTPS_PORT);
-    console.log(`HTTPS Server running on port ${HTTPS_PORT}`);
-    console.log(`TLS encryption enabled with minimum TLS 1.2`);
-    
-    // Log helpful information for development
-    if (process.env.NODE_ENV !== 'production') {
-      console.log(`Secure access: https://localhost:${HTTPS_PORT}/`);
-      console.log(`Note: Browser may show certificate warning for self-signed certs`);
+    if (!cluster.isWorker) {
+      await removeStaleSocket(target);
     }
+
+    server = createSecureServer(application, target);
   } catch (error) {
-    console.error('Failed to start HTTPS server:', error.message);
-    console.error('');
-    console.error('Troubleshooting steps:');
-    console.error('1. Ensure SSL certificate files exist at configured paths');
-    console.error('2. Verify SSL_KEY_PATH and SSL_CERT_PATH environment variables');
-    console.error('3. Check file permissions on certificate files');
-    console.error('4. For development, generate self-signed certificates');
-    console.error('');
-    console.error('HTTP server will continue running without HTTPS.');
-    console.error('Set ENABLE_HTTPS=false to suppress this message.');
+    log.error('Failed to start HTTPS server; HTTP server will continue running without HTTPS', {
+      err: error,
+      hint: 'Check that the files at SSL_KEY_PATH and SSL_CERT_PATH exist and are readable ' +
+        '(npm run gen-certs creates development certificates), or set ENABLE_HTTPS=false'
+    });
+    return null;
   }
-} else {
-  console.log('HTTPS disabled. Set ENABLE_HTTPS=true to enable secure server.');
-}
 
-// =============================================================================
-// GRACEFUL SHUTDOWN HANDLING
-// =============================================================================
+  trackConnections(server);
+
+  return new Promise((resolve) => {
+    const onError = () => {
+      // createSecureServer() has already logged the reason
+      log.error('HTTP server will continue running without HTTPS');
+      server.close();
+      resolve(null);
+    };
+
+    server.once('error', onError);
+    server.once('listening', () => {
+      server.removeListener('error', onError);
+
+      try {
+        applySocketMode(target);
+      } catch (error) {
+        log.error('Failed to start HTTPS server', { err: error });
+        server.close();
+        return resolve(null);
+      }
+
+      log.info('TLS encryption enabled', { minVersion: getTlsProfile().settings.minVersion });
+
+      // Log helpful information for development
+      if (getSettings().NODE_ENV !== 'production' && typeof server.address() !== 'string') {
+        log.info('Secure access (browsers may warn about self-signed certificates)', {
+          url: `https://localhost:${server.address().port}/`
+        });
+      }
+
+      resolve(server);
+    });
+  });
+}
 
 /**
- * Graceful Shutdown Handler
+ * ACME-Managed HTTPS Startup
  * 
- * Handles process termination signals to ensure clean server shutdown.
- * Closes all active connections before exiting to prevent data loss
- * and allow in-flight requests to complete.
+ * The certificate is obtained (or renewed) before the HTTPS server starts.
+ * The HTTP server is already listening at this point and answers the HTTP-01
+ * challenges the CA uses to validate domain control. Afterwards the
+ * certificate is renewed periodically ahead of expiry.
  * 
- * Signals handled:
- * - SIGTERM: Standard termination signal (Docker, Kubernetes, systemd)
- * - SIGINT: Interrupt signal (Ctrl+C in terminal)
+ * If issuance fails but a usable certificate is already on disk, the
+ * HTTPS server still starts with it and renewal is retried later.
  * 
- * Shutdown process:
- * 1. Stop accepting new connections
- * 2. Wait for existing connections to complete
- * 3. Close HTTP server
- * 4. Close HTTPS server (if running)
- * 5. Exit process
+ * @param {express.Application} application - Express application instance
+ * @param {Object} target - Listen target from parseListenTarget()
+ * @returns {Promise<https.Server|http2.Http2SecureServer|null>} The listening server or null
+ */
+function startAcmeHttpsServer(application, target) {
+  return ensureCertificate()
+    .catch((error) => {
+      log.error('ACME certificate request failed', { err: error });
+    })
+    .then(() => startHttpsServer(application, target))
+    .then((server) => {
+      if (server) {
+        scheduleRenewal(server);
+      }
+
+      return server;
+    });
+}
+
+// =============================================================================
+// PROGRAMMATIC API
+// =============================================================================
+
+/**
+ * Describes a listening server for the handles returned by startServer().
  * 
- * @param {string} signal - The signal that triggered shutdown
+ * @param {net.Server|null} server - Listening server
+ * @returns {Object|null} Handle with the server and its bound address
+ *   (an object with port for TCP, the socket path for unix sockets)
  */
-function gracefulShutdown(signal) {
-  console.log(`\n${signal} received. Starting graceful shutdown...`);
+function describeListener(server) {
+  return server ? { server, address: server.address() } : null;
+}
 
-  // Track shutdown completion
-  let httpClosed = false;
-  let httpsClosed = !httpsServer; // If no HTTPS server, consider it already "closed"
+/**
+ * Starts the HTTP server and, when enabled, the HTTPS server.
+ * 
+ * Requiring this module has no side effects; ports are only bound when
+ * startServer() is called. Options default to the environment variables
+ * described in the module documentation.
+ * 
+ * stop() performs the graceful shutdown sequence from config/shutdown.js:
+ * readiness flip, SHUTDOWN_READINESS_DELAY_MS, then draining both servers
+ * within SHUTDOWN_DRAIN_TIMEOUT_MS. Calling it again returns the same promise.
+ * 
+ * @param {Object} [options] - Server options
+ * @param {number|string} [options.port] - HTTP port, 0 for an ephemeral port, unix socket
+ *   path, fd:N or systemd[:name] (default: PORT or 3000)
+ * @param {number|string} [options.httpsPort] - HTTPS port with the same alternatives
+ *   (default: HTTPS_PORT or 443)
+ * @param {boolean} [options.enableHttps] - Start the HTTPS server (default: ENABLE_HTTPS === 'true')
+ * @param {express.Application} [options.app] - Express application (default: ./app)
+ * @returns {Promise<Object>} Server handles
+ * @returns {Object} return.http - `{ server, address }` of the HTTP server
+ * @returns {Object|null} return.https - `{ server, address }` of the HTTPS server,
+ *   or null when HTTPS is disabled or could not be started
+ * @returns {Function} return.stop - Drains both servers; resolves with the
+ *   `{ idle, drained, forced }` connection counts per server
+ * @returns {Function} return.reload - Reloads the configuration of the CORS,
+ *   helmet and rate-limit middleware of ./app; returns the result of
+ *   reloadConfiguration() from config/reload.js
+ * @throws {Error} When a port is invalid or the HTTP server cannot listen (rejected)
+ * 
+ * @example
+ * // Integration test on an ephemeral port
+ * const { startServer } = require('./server');
+ * 
+ * const { http, stop } = await startServer({ port: 0, enableHttps: false });
+ * const response = await fetch(`http://127.0.0.1:${http.address.port}/health`);
+ * await stop();
+ */
+async function startServer(options = {}) {
+  const { app: application, target, httpsTarget, limits, enableHttps } = resolveOptions(options);
+
+  // A server started after an earlier stop() in the same process is ready again
+  markReady();
+
+  const httpServer = await startHttpServer(application, target, limits);
+
+  let httpsServer = null;
+
+  if (enableHttps) {
+    try {
+      httpsServer = isAcmeEnabled()
+        ? await startAcmeHttpsServer(application, httpsTarget)
+        : await startHttpsServer(application, httpsTarget);
+    } catch (error) {
+      await new Promise((resolve) => httpServer.close(resolve));
+      throw error;
+    }
+
+    // Redirects point to the bound port, e.g. with httpsPort: 0
+    const httpsAddress = httpsServer && httpsServer.address();
+
+    if (httpsAddress && httpsAddress.port) {
+      application.set('https port', httpsAddress.port);
+    }
+  } else {
+    log.info('HTTPS disabled; set ENABLE_HTTPS=true to enable the secure server');
+  }
+
+  let stopping = null;
 
   /**
-   * Exit when all servers are closed
+   * Drains one server and logs the outcome
+   * 
+   * @param {net.Server} server - Server to drain
+   * @param {string} name - Server name for log output
+   * @param {number} drainTimeoutMs - Deadline for in-flight requests
+   * @returns {Promise<Object>} Connection counts
    */
-  function checkAndExit() {
-    if (httpClosed && httpsClosed) {
-      console.log('All servers closed successfully.');
-      console.log('Graceful shutdown complete.');
-      process.exit(0);
+  const drain = (server, name, drainTimeoutMs) => {
+    log.info('Closing server', { server: name });
+
+    return drainServer(server, drainTimeoutMs).then((stats) => {
+      log.info('Server closed', {
+        server: name,
+        drained: stats.drained,
+        idle: stats.idle,
+        forced: stats.forced
+      });
+      return stats;
+    });
+  };
+
+  const stop = () => {
+    if (stopping) {
+      return stopping;
     }
-  }
 
-  // Close HTTP server
-  console.log('Closing HTTP server...');
-  httpServer.close((err) => {
-    if (err) {
-      console.error('Error closing HTTP server:', err.message);
-    } else {
-      console.log('HTTP server closed.');
+    const { readinessDelayMs, drainTimeoutMs } = getShutdownTiming();
+
+    markDraining();
+
+    if (readinessDelayMs > 0) {
+      log.info('Reporting not ready before closing servers', { readinessDelayMs });
     }
-    httpClosed = true;
-    checkAndExit();
-  });
 
-  // Close HTTPS server if it exists
-  if (httpsServer) {
-    console.log('Closing HTTPS server...');
-    httpsServer.close((err) => {
-      if (err) {
-        console.error('Error closing HTTPS server:', err.message);
-      } else {
-        console.log('HTTPS server closed.');
-      }
-      httpsClosed = true;
-      checkAndExit();
-    });
-  }
+    stopping = new Promise((resolve) => setTimeout(resolve, readinessDelayMs))
+      .then(() => Promise.all([
+        drain(httpServer, 'HTTP', drainTimeoutMs),
+        httpsServer ? drain(httpsServer, 'HTTPS', drainTimeoutMs) : null
+      ]))
+      .then(([http, https]) => ({ http, https }));
 
-  // Force exit after timeout if graceful shutdown fails
-  const SHUTDOWN_TIMEOUT = 10000; // 10 seconds
-  setTimeout(() => {
-    console.error('Could not close connections in time, forcefully shutting down');
-    process.exit(1);
-  }, SHUTDOWN_TIMEOUT);
-}
+    return stopping;
+  };
 
-// Register signal handlers for graceful shutdown
-process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
-process.on('SIGINT', () => gracefulShutdown('SIGINT'));
+  return {
+    http: describeListener(httpServer),
+    https: describeListener(httpsServer),
+    stop,
+    reload: (reason) => reloadConfiguration({ reason })
+  };
+}
 
 // =============================================================================
-// UNHANDLED REJECTION AND EXCEPTION HANDLERS
+// COMMAND-LINE ENTRY POINT
 // =============================================================================
 
 /**
- * Unhandled Promise Rejection Handler
+ * Logs a startup failure of the HTTP server and exits.
  * 
- * Catches unhandled promise rejections that would otherwise cause
- * silent failures. Logs the error and exits to prevent unstable state.
+ * Handles listen errors such as:
+ * - EADDRINUSE: Port or socket already in use
+ * - EACCES: Permission denied (for privileged ports < 1024 or socket directories)
+ * - EBADF/ENOTSOCK: Inherited file descriptor is not a listening socket
  * 
- * Note: In Node.js 15+, unhandled rejections terminate the process by default.
- * This handler ensures consistent behavior across Node.js versions.
+ * @param {Error} error - Error from startServer()
+ * @param {Object} target - HTTP listen target that was requested
  */
-process.on('unhandledRejection', (reason, promise) => {
-  console.error('Unhandled Promise Rejection at:', promise);
-  console.error('Reason:', reason);
-  // Exit with error code to signal failure
+function exitOnStartupError(error, target) {
+  const listen = describeListenTarget(target);
+
+  switch (error.code) {
+    case 'EACCES':
+      log.error('HTTP server requires elevated privileges', {
+        listen,
+        hint: isPortTarget(target)
+          ? 'Try running with sudo or use a port above 1024'
+          : 'Check the permissions of the socket directory'
+      });
+      break;
+    case 'EADDRINUSE':
+      log.error('HTTP listen address is already in use', {
+        listen,
+        hint: 'Please stop the existing server or use a different port'
+      });
+      break;
+    case 'EBADF':
+    case 'ENOTSOCK':
+      log.error('HTTP listen target is not an inherited listening socket', { listen, code: error.code });
+      break;
+    default:
+      log.error('Failed to start server', { listen, err: error });
+  }
+
   process.exit(1);
-});
+}
 
 /**
- * Uncaught Exception Handler
+ * Log startup summary
  * 
- * Catches synchronous exceptions that weren't caught by try-catch blocks.
- * These indicate bugs that need to be fixed, so we log and exit.
+ * Provides a clear summary of the server configuration at startup
+ * for easy verification of settings, as a single record so a log pipeline
+ * can index it.
  * 
- * In production, use a process manager (PM2, systemd) to restart automatically.
+ * @param {Object} handles - Handles returned by startServer()
+ * @param {boolean} enableHttps - Whether HTTPS was requested
  */
-process.on('uncaughtException', (error) => {
-  console.error('Uncaught Exception:', error);
-  // Exit with error code to signal failure
-  process.exit(1);
-});
+function logStartupSummary(handles, enableHttps) {
+  const { target, httpsTarget } = resolveOptions({});
+  const summary = {
+    httpListen: describeListenAddress(handles.http.server, target),
+    httpsListen: handles.https
+      ? describeListenAddress(handles.https.server, httpsTarget)
+      : `${describeListenTarget(httpsTarget)} (disabled)`,
+    httpsEnabled: enableHttps
+  };
 
-// =============================================================================
-// STARTUP SUMMARY
-// =============================================================================
+  if (enableHttps) {
+    try {
+      summary.tlsProfile = describeTlsProfile();
+    } catch (error) {
+      summary.tlsProfile = `invalid (${error.message})`;
+    }
+    summary.http2 = isHttp2Enabled() ? 'enabled (HTTP/1.1 fallback)' : 'disabled';
+    summary.httpRedirect = isHttpsRedirectEnabled() ? 'HTTP → HTTPS (ACME and health exempt)' : 'disabled';
+  }
+
+  summary.environment = getSettings().NODE_ENV;
+  summary.settingsFiles = readSettings().files.join(', ') || 'none';
+  summary.trustProxy = getSettings().TRUST_PROXY ? 'enabled' : 'disabled';
+  summary.proxyProtocol = describeProxyProtocol();
+  summary.serverLimits = describeServerLimits();
+  summary.accessLog = describeAccessLog();
+  summary.securityFeatures = [
+    'rate limiting',
+    'security headers',
+    'CORS policy',
+    'input validation',
+    'body size limits',
+    'slow-client protection',
+    ...(handles.https ? ['HTTPS/TLS'] : []),
+    ...(handles.https && isAcmeEnabled() ? ['automatic certificates (ACME)'] : [])
+  ];
+
+  log.info('Server is ready to accept requests', summary);
+}
 
 /**
- * Log startup summary
- * 
- * Provides a clear summary of the server configuration at startup
- * for easy verification of settings.
+ * Runs the server as a process: starts it from environment configuration,
+ * logs the startup summary and installs the process-level handlers below.
+ * Used when server.js is executed directly (node server.js, npm start, or as
+ * a cluster.js worker) and by `secure-server start` (bin/secure-server.js).
  */
-console.log('');
-console.log('='.repeat(60));
-console.log('Server Startup Summary');
-console.log('='.repeat(60));
-console.log(`HTTP Port:      ${PORT}`);
-console.log(`HTTPS Port:     ${HTTPS_PORT}${ENABLE_HTTPS ? '' : ' (disabled)'}`);
-console.log(`HTTPS Enabled:  ${ENABLE_HTTPS}`);
-console.log(`Environment:    ${process.env.NODE_ENV || 'development'}`);
-console.log(`Trust Proxy:    ${process.env.TRUST_PROXY === 'true' ? 'enabled' : 'disabled'}`);
-console.log('='.repeat(60));
-console.log('');
-console.log('Security features active:');
-console.log('  ✓ Rate limiting (express-rate-limit)');
-console.log('  ✓ Security headers (helmet.js)');
-console.log('  ✓ CORS policy (cors)');
-console.log('  ✓ Input validation (express-validator)');
-console.log('  ✓ Body parsing with size limits');
-if (ENABLE_HTTPS) {
-  console.log('  ✓ HTTPS/TLS encryption');
+function main() {
+  let options;
+
+  try {
+    options = resolveOptions({});
+  } catch (error) {
+    if (error.problems) {
+      log.error('Invalid configuration', { problems: error.problems });
+    } else {
+      log.error('Invalid server options', { error: error.message });
+    }
+    process.exit(1);
+  }
+
+  const started = startServer();
+
+  started.then(
+    (handles) => logStartupSummary(handles, options.enableHttps),
+    (error) => exitOnStartupError(error, options.target)
+  );
+
+  // ===========================================================================
+  // GRACEFUL SHUTDOWN HANDLING
+  // ===========================================================================
+
+  /**
+   * Set once shutdown has started
+   * @type {boolean}
+   */
+  let shuttingDown = false;
+
+  /**
+   * Graceful Shutdown Handler
+   * 
+   * Handles process termination signals to ensure clean server shutdown.
+   * Drains all connections before exiting to prevent data loss
+   * and allow in-flight requests to complete.
+   * 
+   * Signals handled:
+   * - SIGTERM: Standard termination signal (Docker, Kubernetes, systemd)
+   * - SIGINT: Interrupt signal (Ctrl+C in terminal)
+   * 
+   * Shutdown process (see stop() in startServer()):
+   * 1. Report not-ready on /readyz and /health (503) and wait SHUTDOWN_READINESS_DELAY_MS
+   *    so load balancers stop sending new traffic
+   * 2. Stop accepting new connections on the HTTP and HTTPS servers
+   * 3. Close idle keep-alive connections
+   * 4. Wait up to SHUTDOWN_DRAIN_TIMEOUT_MS for in-flight requests to complete
+   * 5. Destroy the remaining connections, flush the access log file and exit
+   * 
+   * When running as a cluster worker (see cluster.js), the supervisor triggers
+   * the same shutdown through an IPC 'shutdown' message. Repeated triggers
+   * (e.g. Ctrl+C reaching both the supervisor and its workers) are ignored.
+   * 
+   * @param {string} signal - The signal that triggered shutdown
+   */
+  function gracefulShutdown(signal) {
+    if (shuttingDown) {
+      return;
+    }
+
+    shuttingDown = true;
+    log.info('Starting graceful shutdown', { signal });
+
+    started
+      .then((handles) => handles.stop())
+      .then(closeAccessLog)
+      .then(() => {
+        log.info('Graceful shutdown complete');
+        process.exit(0);
+      });
+
+    // Safety net in case a server never reports closed
+    const { readinessDelayMs, drainTimeoutMs } = getShutdownTiming();
+
+    setTimeout(() => {
+      log.error('Could not close connections in time, forcefully shutting down');
+      process.exit(1);
+    }, readinessDelayMs + drainTimeoutMs + 5000).unref();
+  }
+
+  // Register signal handlers for graceful shutdown
+  process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
+  process.on('SIGINT', () => gracefulShutdown('SIGINT'));
+
+  // SIGHUP reloads CORS, helmet and rate-limit settings without a restart
+  process.on('SIGHUP', () => {
+    if (!shuttingDown) {
+      reloadConfiguration({ reason: 'SIGHUP' });
+    }
+  });
+
+  // Cluster workers are stopped and reloaded by the supervisor (rolling
+  // restarts, shutdown, SIGUSR2)
+  if (cluster.isWorker) {
+    process.on('message', (message) => {
+      if (message && message.type === 'shutdown') {
+        gracefulShutdown('Supervisor shutdown request');
+      } else if (message && message.type === 'reload') {
+        reloadConfiguration({ reason: 'Supervisor reload request' });
+      }
+    });
+  }
+
+  // ===========================================================================
+  // UNHANDLED REJECTION AND EXCEPTION HANDLERS
+  // ===========================================================================
+
+  /**
+   * Unhandled Promise Rejection Handler
+   * 
+   * Catches unhandled promise rejections that would otherwise cause
+   * silent failures. Logs the error and exits to prevent unstable state.
+   * 
+   * Note: In Node.js 15+, unhandled rejections terminate the process by default.
+   * This handler ensures consistent behavior across Node.js versions.
+   */
+  process.on('unhandledRejection', (reason) => {
+    log.error('Unhandled promise rejection', { err: reason });
+    // Exit with error code to signal failure
+    process.exit(1);
+  });
+
+  /**
+   * Uncaught Exception Handler
+   * 
+   * Catches synchronous exceptions that weren't caught by try-catch blocks.
+   * These indicate bugs that need to be fixed, so we log and exit.
+   * 
+   * In production, use a process manager (PM2, systemd) to restart automatically.
+   */
+  process.on('uncaughtException', (error) => {
+    log.error('Uncaught exception', { err: error });
+    // Exit with error code to signal failure
+    process.exit(1);
+  });
 }
-console.log('');
-console.log('Server is ready to accept requests.');
-console.log('Press Ctrl+C to stop.');
-console.log('');
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  startServer,
+  main
+};